@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import { readResultsFromReport } from './lib/input.js';
+import { diffResults, summarizeDiff } from './lib/diff.js';
+import { createLogger } from './lib/logger.js';
+import { displayDiff, exportDiff } from './lib/report.js';
+import { DIFF_EXPORT_FORMATS } from './lib/formats.js';
+import { ApprovalCheckerError, InvalidInputError } from './lib/errors.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 配置
+const config = {
+  logLevel: process.env.LOG_LEVEL || 'info'
+};
+
+// 命令行参数解析
+const program = new Command();
+
+program
+  .name('diff-approvals')
+  .description('比较两次导出的检查结果，列出新增、撤销和变化的授权')
+  .version('1.0.0')
+  .argument('<before>', '较早的报告（address-checker或advanced-address-checker导出的CSV、JSON或NDJSON）')
+  .argument('<after>', '较新的报告')
+  .option('-e, --export <path>', '导出授权变化到文件（格式由--format或文件扩展名决定，默认CSV）')
+  .option('--format <format>', `导出格式: ${DIFF_EXPORT_FORMATS.join('|')}`)
+  .option('-v, --verbose', '显示详细日志')
+  .allowUnknownOption(true); // 允许未知选项，例如--
+
+// 处理参数
+const processedArgs = process.argv.filter(arg => arg !== '--');
+program.parse(processedArgs);
+
+const options = program.opts();
+const [beforePath, afterPath] = program.args;
+
+// 日志函数
+const logger = createLogger({ verbose: options.verbose, logLevel: config.logLevel });
+
+// 主函数
+async function main() {
+  try {
+    if (options.format && !DIFF_EXPORT_FORMATS.includes(options.format.toLowerCase())) {
+      throw new InvalidInputError(`不支持的导出格式: ${options.format}，可选值: ${DIFF_EXPORT_FORMATS.join(', ')}`);
+    }
+
+    // 读取两份报告
+    const before = await readResultsFromReport(beforePath);
+    logger.info(`已从 ${beforePath} 加载${before.length}条结果`);
+    const after = await readResultsFromReport(afterPath);
+    logger.info(`已从 ${afterPath} 加载${after.length}条结果`);
+
+    // 比较并显示变化
+    const changes = diffResults(before, after);
+    const summary = summarizeDiff(changes);
+    displayDiff(changes, summary);
+
+    // 导出变化
+    if (options.export) {
+      await exportDiff(changes, options.export, { format: options.format, summary, before: beforePath, after: afterPath });
+      logger.info(`授权变化已导出到 ${options.export}`);
+    }
+
+  } catch (error) {
+    // 库抛出的已知错误只显示错误信息
+    if (error instanceof ApprovalCheckerError) {
+      logger.error(error.message);
+    } else {
+      logger.error('程序执行出错:', error);
+    }
+    process.exit(1);
+  }
+}
+
+// 执行主函数
+main().catch(error => {
+  logger.error('未捕获的错误:', error);
+  process.exit(1);
+});
@@ -1,38 +1,47 @@
 #!/usr/bin/env node
 
-import { ethers } from 'ethers';
 import { Command } from 'commander';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
-import csv from 'csv-parser';
 import dotenv from 'dotenv';
-import chalk from 'chalk';
-import Table from 'cli-table3';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import { checkApprovals } from './lib/check.js';
+import { readWalletsFromFile, readTokensFromFile, readSpendersFromFile } from './lib/input.js';
+import { resolveNetworks, connectNetwork, getBlockInfo, getNetworkFilePath, splitChainPrefix, selectForChain, parseBlockTags, selectBlockTag } from './lib/networks.js';
+import { applyLabels } from './lib/labels.js';
+import { createContractRegistry, readRegistryFile } from './lib/known-contracts.js';
+import { collectSpenderFacts, applyRiskScores } from './lib/risk.js';
+import { isActiveApproval } from './lib/exposure.js';
+import { createWorkQueue } from './lib/work-queue.js';
+import { createPriceResolver } from './lib/prices.js';
+import { readPolicyFile, evaluatePolicy, POLICY_VIOLATION_EXIT_CODE, POLICY_INCOMPLETE_EXIT_CODE } from './lib/policy.js';
+import { createRateLimiter, throttleProvider } from './lib/rate-limiter.js';
+import { isEnsName, getEnsProvider, createEnsResolver } from './lib/ens.js';
+import { createLogger } from './lib/logger.js';
+import { createProgressPrinter } from './lib/progress.js';
+import {
+  displayResults,
+  displayCoverageGaps,
+  displayFailures,
+  displayPolicyViolations,
+  exportResults,
+  exportCoverageGaps,
+  exportFailures,
+  getCoverageGapsPath,
+  getFailuresPath
+} from './lib/report.js';
+import { EXPORT_FORMATS, resolveExportFormat } from './lib/formats.js';
+import { ApprovalCheckerError, InvalidInputError } from './lib/errors.js';
 
 // 加载环境变量
 dotenv.config();
 
-// ERC20代币ABI
-const ERC20_ABI = [
-  // 只包含我们需要的函数
-  "function allowance(address owner, address spender) view returns (uint256)",
-  "function balanceOf(address account) view returns (uint256)",
-  "function decimals() view returns (uint8)",
-  "function symbol() view returns (string)"
-];
-
 // 配置
+// NETWORK可以是逗号分隔的多个网络，每个网络的RPC URL从 <网络名大写>_RPC_URL 读取
 const config = {
   network: process.env.NETWORK || 'ethereum',
-  rpcUrl: process.env.ETHEREUM_RPC_URL,
   logLevel: process.env.LOG_LEVEL || 'info'
 };
 
-// 根据选择的网络设置RPC URL
-config.rpcUrl = process.env[`${config.network?.toUpperCase()}_RPC_URL`]
-
 // 命令行参数解析
 const program = new Command();
 
@@ -40,17 +49,34 @@ program
   .name('address-checker')
   .description('检查区块链地址对特定代币的授权情况')
   .version('1.0.0')
-  .option('-a, --address <address>', '单个钱包地址')
-  .option('-af, --address-file <path>', '包含钱包地址的文件路径（每行一个地址）')
-  .option('-t, --token <address>', '单个代币合约地址')
-  .option('-tf, --token-file <path>', '包含代币合约地址的文件路径（每行一个地址）')
-  .option('-s, --spender <address>', '单个授权接收者(spender)合约地址')
-  .option('-sf, --spender-file <path>', '包含授权接收者合约地址的文件路径（每行一个地址）')
-  .option('-e, --export <path>', '导出结果到CSV文件')
+  .option('-n, --network <names>', '要检查的网络，多个用逗号分隔，例如 ethereum,bsc,polygon（默认读取NETWORK环境变量）')
+  .option('-a, --address <address>', '单个钱包地址或ENS名称')
+  .option('-af, --address-file <path>', '包含钱包地址的文件路径（每行一个地址或ENS名称，或带address,label,group,owner表头的CSV/TSV）')
+  .option('-t, --token <address>', '单个代币合约地址（可加chainId:前缀限定网络）')
+  .option('-tf, --token-file <path>', '包含代币合约地址的文件路径（每行一个地址，可加chainId:前缀限定网络）')
+  .option('-s, --spender <address>', '单个授权接收者(spender)合约地址或ENS名称（可加chainId:前缀限定网络）')
+  .option('-sf, --spender-file <path>', '包含授权接收者合约地址的文件路径（每行一个地址或ENS名称，可加chainId:前缀限定网络；也可以是带address,label,chainId表头的CSV/TSV）')
+  .option('-e, --export <path>', '导出结果到文件（格式由--format或文件扩展名决定，默认CSV）')
+  .option('--format <format>', `导出格式: ${EXPORT_FORMATS.join('|')}`)
+  .option('--registry <path>', '补充的已知合约登记文件（带address,protocol,role,chainId表头的CSV/TSV），覆盖内置条目')
+  .option('--denylist <path>', '已知被攻击或恶意合约的黑名单文件（每行一个地址，或带address,label,chainId表头的CSV/TSV，label为原因）')
+  .option('--no-risk', '不评估spender风险（跳过EOA、代理合约和部署时间查询）')
+  .option('--block <number|tag>', '在指定区块的快照上检查：区块号或latest/safe/finalized，多网络时用chainId:区块号限定网络，多个用逗号分隔')
+  .option('--policy <path>', '策略文件（JSON），有授权违反策略时以退出码2结束')
   .option('-v, --verbose', '显示详细日志')
-  .option('-c, --checkpoint <path>', '使用检查点文件保存/恢复进度', 'checkpoint.json')
+  .option('-c, --checkpoint <path>', '使用检查点文件保存/恢复进度（多网络时按网络名拆分为多个文件）', 'checkpoint.json')
   .option('--no-checkpoint', '禁用检查点功能')
   .option('--min-value <value>', '最小价值阈值（美元），低于此值的资产将被跳过', '1')
+  .option('--multicall-batch-size <number>', '每个Multicall3请求合并的最大调用数', '500')
+  .option('--wallet-batch-size <number>', '每轮批量查询的钱包地址数', '100')
+  .option('--no-multicall', '禁用Multicall3，逐个发送eth_call')
+  .option('--concurrency <number>', '同时进行的RPC请求数', '4')
+  .option('--rps <number>', '每个网络每秒最多发出的RPC请求数，按RPC服务的套餐限制设置（0为不限制）', '0')
+  .option('--rpc-timeout <seconds>', '每个RPC请求的超时时间', '30')
+  .option('--rpc-retries <number>', 'RPC请求失败或被限流后的最大重试次数（多个RPC URL时依次切换）', '5')
+  .option('--no-ens-names', '不反向解析钱包和spender的ENS主名称（输入中的ENS名称仍会解析）')
+  .option('--discover-tokens', '通过钱包的Approval和Transfer事件自动发现代币，与--token/--token-file合并')
+  .option('-b, --blocks <number>', '自动发现代币时向前查找的区块数', '1000000')
   .allowUnknownOption(true); // 允许未知选项，例如--
 
 // 处理参数
@@ -60,103 +86,273 @@ program.parse(processedArgs);
 const options = program.opts();
 
 // 日志函数
-const logger = {
-  debug: (...args) => {
-    if (options.verbose || config.logLevel === 'debug') {
-      console.log(chalk.gray('[DEBUG]'), ...args);
-    }
-  },
-  info: (...args) => {
-    if (['debug', 'info'].includes(config.logLevel)) {
-      console.log(chalk.blue('[INFO]'), ...args);
-    }
-  },
-  warn: (...args) => {
-    if (['debug', 'info', 'warn'].includes(config.logLevel)) {
-      console.log(chalk.yellow('[WARN]'), ...args);
-    }
-  },
-  error: (...args) => {
-    console.error(chalk.red('[ERROR]'), ...args);
-  }
-};
+const logger = createLogger({ verbose: options.verbose, logLevel: config.logLevel });
 
 // 主函数
 async function main() {
   try {
     // 验证必要参数
     if (!options.address && !options.addressFile) {
-      logger.error('必须提供钱包地址或地址文件');
-      process.exit(1);
+      throw new InvalidInputError('必须提供钱包地址或地址文件');
     }
 
-    if (!options.token && !options.tokenFile) {
-      logger.error('必须提供代币地址或代币地址文件');
-      process.exit(1);
+    if (!options.token && !options.tokenFile && !options.discoverTokens) {
+      throw new InvalidInputError('必须提供代币地址或代币地址文件（或使用--discover-tokens自动发现）');
     }
 
-    // 验证RPC URL
-    if (!config.rpcUrl) {
-      logger.error(`未找到${config.network}网络的RPC URL，请在.env文件中配置`);
-      process.exit(1);
+    if (options.format && !EXPORT_FORMATS.includes(options.format.toLowerCase())) {
+      throw new InvalidInputError(`不支持的导出格式: ${options.format}，可选值: ${EXPORT_FORMATS.join(', ')}`);
     }
 
-    // 连接到区块链网络
-    logger.info(`连接到${config.network}网络...`);
-    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    // 先读取策略文件，规则无效时在连接网络前退出
+    const policy = options.policy ? await readPolicyFile(options.policy) : null;
+
+    // 解析要检查的网络，未配置RPC URL时在连接前退出
+    const networks = resolveNetworks(options.network || config.network);
+    const multipleNetworks = networks.length > 1;
+
+    // 解析快照区块，区块号在不同网络上没有意义，多网络时必须用chainId:前缀限定
+    const blockTags = options.block ? parseBlockTags(options.block) : [];
+    if (multipleNetworks && blockTags.some(entry => entry.chainId === null && typeof entry.blockTag === 'number')) {
+      throw new InvalidInputError('检查多个网络时区块号必须用chainId:前缀限定网络，例如 --block 1:19000000,56:37000000');
+    }
 
-    // 网络检查
-    const network = await provider.getNetwork();
-    logger.info(`已连接到网络: ${network.name} (chainId: ${network.chainId})`);
+    // 先连接所有网络并确认chainId，配置错误时在开始检查前退出
+    const connections = [];
+    for (const network of networks) {
+      logger.info(`连接到${network.name}网络...`);
+      const provider = await connectNetwork(network, {
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      });
+      logger.info(`已连接到网络: ${network.name} (chainId: ${network.chainId})`);
+      // 限速在provider上进行，同一网络的所有请求合计不超过限制
+      const limiter = createRateLimiter({ requestsPerSecond: options.rps });
+      connections.push({ network, provider: limiter.requestsPerSecond > 0 ? throttleProvider(provider, limiter) : provider });
+    }
 
     // 读取地址
-    const addresses = await getAddresses();
-    logger.info(`已加载${addresses.length}个钱包地址`);
+    const inputWallets = await getWallets();
 
     // 读取代币
     const tokens = await getTokens();
     logger.info(`已加载${tokens.length}个代币地址`);
 
+    // 已知合约登记表，用户文件中的条目覆盖内置条目
+    const registry = createContractRegistry(options.registry ? await readRegistryFile(options.registry) : []);
+    const inputDenylist = options.denylist ? await readSpendersFromFile(options.denylist) : [];
+
     // 读取spender合约
-    const spenders = await getSpenders();
+    const inputSpenders = await getSpenders();
+
+    if (inputSpenders.length === 0) {
+      throw new InvalidInputError('未指定spender合约地址。请使用 --spender 或 --spender-file 选项');
+    }
+
+    // 钱包和spender可以是ENS名称，总是在以太坊主网解析，检查其他网络时单独连接主网
+    const hasEnsNames = [...inputWallets, ...inputSpenders, ...inputDenylist].some(entry => isEnsName(entry.address));
+    const ensProvider = hasEnsNames || options.ensNames
+      ? await getEnsProvider(connections, {
+        required: hasEnsNames,
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      })
+      : null;
+    const ens = createEnsResolver({ provider: ensProvider, concurrency: options.concurrency, logger });
+    const wallets = await ens.resolveEntries(inputWallets);
+    const spenders = await ens.resolveEntries(inputSpenders);
+    const denylist = await ens.resolveEntries(inputDenylist);
+
+    const addresses = wallets.map(wallet => wallet.address);
+    logger.info(`已加载${addresses.length}个钱包地址`);
     logger.info(`已加载${spenders.length}个spender合约地址`);
 
-    // 检查授权
-    logger.info('开始检查授权...');
-    const results = await checkApprovals(provider, addresses, tokens, spenders);
+    // 报告中的运行信息
+    const metadata = {
+      generatedAt: new Date().toISOString(),
+      mode: 'basic',
+      networks: [],
+      inputs: {
+        wallets,
+        tokens,
+        spenders,
+        minValueUSD: parseFloat(options.minValue),
+        discoverTokens: Boolean(options.discoverTokens),
+        lookbackBlocks: options.discoverTokens ? parseInt(options.blocks) : null,
+        risk: Boolean(options.risk),
+        denylist,
+        block: options.block || null,
+        policy: options.policy || null
+      }
+    };
+
+    // 依次检查每个网络，代币和spender按chainId选取
+    const results = [];
+    const coverageGaps = [];
+    const failures = [];
+    const checkpoints = [];
+    const spenderFacts = new Map();
+    // 链上价格在各网络间共用缓存，同一次运行中每个代币只查询一次
+    const priceResolver = createPriceResolver({ logger });
+    for (const { network, provider } of connections) {
+      const networkTokens = selectForChain(tokens, network.chainId);
+      const networkSpenders = selectForChain(spenders, network.chainId).map(spender => spender.address);
+      if (networkSpenders.length === 0) {
+        logger.warn(`${network.name}网络没有适用的spender合约，已跳过`);
+        continue;
+      }
+      if (networkTokens.length === 0 && !options.discoverTokens) {
+        logger.warn(`${network.name}网络没有适用的代币，已跳过`);
+        continue;
+      }
+
+      // 指定区块时先解析为区块号，同一网络的所有查询都读取这个区块
+      const blockTag = selectBlockTag(blockTags, network.chainId);
+      const blockInfo = await getBlockInfo(provider, blockTag ?? 'latest');
+      const snapshotBlock = blockTag === null ? null : blockInfo.blockNumber;
+      if (snapshotBlock !== null) {
+        logger.info(`${network.name}网络使用区块 ${snapshotBlock} 的快照（${new Date(blockInfo.timestamp * 1000).toISOString()}），不使用检查点`);
+      }
+
+      // 多网络运行时每个网络使用单独的检查点文件
+      // 检查点不记录区块，快照不读写检查点，避免报告中混入其他区块的授权状态
+      const checkpoint = !options.checkpoint || snapshotBlock !== null
+        ? null
+        : multipleNetworks
+          ? getNetworkFilePath(options.checkpoint, network.name)
+          : options.checkpoint;
+      metadata.networks.push({ name: network.name, chainId: network.chainId, ...blockInfo, snapshot: snapshotBlock !== null });
+
+      // 检查授权，同一网络的检查和风险评估共用一个工作队列
+      logger.info(`开始检查${network.name}网络的授权...`);
+      const workQueue = createWorkQueue({ concurrency: options.concurrency });
+      const emitter = new EventEmitter();
+      const progress = createProgressPrinter();
+      emitter.on('progress', event => progress.update(event));
+      emitter.on('coverageGap', gap => coverageGaps.push(gap));
+      emitter.on('failure', failure => failures.push(failure));
+
+      try {
+        results.push(...await checkApprovals({
+          provider,
+          wallets: addresses,
+          tokens: networkTokens,
+          spenders: networkSpenders,
+          minValueUSD: options.minValue,
+          checkpoint,
+          multicall: options.multicall,
+          multicallBatchSize: options.multicallBatchSize,
+          walletBatchSize: options.walletBatchSize,
+          workQueue,
+          discoverTokens: options.discoverTokens,
+          lookbackBlocks: parseInt(options.blocks),
+          blockTag: snapshotBlock,
+          priceResolver,
+          logger,
+          emitter
+        }));
+      } finally {
+        progress.finish();
+      }
+      if (checkpoint) checkpoints.push(checkpoint);
+
+      // 查询有授权的spender的链上信息，用于风险评分
+      // 出错时只输出警告，该网络的结果不包含spender的链上风险因素，不影响已完成的检查和导出
+      if (options.risk) {
+        const approvedSpenders = results.filter(r => r.chainId === network.chainId && isActiveApproval(r)).map(r => r.spenderAddress);
+        logger.info(`正在评估${network.name}网络${new Set(approvedSpenders).size}个spender的风险...`);
+        try {
+          for (const [key, fact] of await collectSpenderFacts(provider, approvedSpenders, { denylist, blockTag: snapshotBlock ?? 'latest', workQueue, logger })) {
+            spenderFacts.set(key, fact);
+          }
+        } catch (error) {
+          logger.warn(`评估${network.name}网络spender的风险出错，该网络的风险分数不包含spender的链上信息: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    // 反向解析结果中钱包和spender的ENS主名称，同一地址只查询一次
+    let ensNames = new Map();
+    if (options.ensNames && ens.available && results.length > 0) {
+      logger.info('正在反向解析钱包和spender的ENS名称...');
+      ensNames = await ens.lookupAddresses(results.flatMap(result => [result.walletAddress, result.spenderAddress]));
+    }
+
+    // 附加输入文件中的钱包和spender标签、ENS名称，以及已知合约信息，评估风险时附加风险分数
+    const labeledResults = applyLabels(results, { wallets, spenders, registry, ensNames });
+    const scoredResults = options.risk ? applyRiskScores(labeledResults, spenderFacts) : labeledResults;
 
     // 显示结果
-    displayResults(results);
+    displayResults(scoredResults, { logger });
+    displayCoverageGaps(coverageGaps);
+    displayFailures(failures);
+
+    // 按策略检查结果
+    const violations = policy ? evaluatePolicy(scoredResults, policy) : [];
+    if (policy) {
+      displayPolicyViolations(violations, policy.rules.length, failures.length + coverageGaps.length);
+    }
 
     // 导出结果
     if (options.export) {
-      await exportResults(results, options.export);
+      await exportResults(scoredResults, options.export, { format: options.format, metadata, coverageGaps, failures });
       logger.info(`结果已导出到 ${options.export}`);
+
+      // 非CSV格式的报告已包含覆盖缺口和失败列表，CSV格式单独导出
+      if (coverageGaps.length > 0 && resolveExportFormat(options.format, options.export) === 'csv') {
+        const gapsPath = getCoverageGapsPath(options.export);
+        await exportCoverageGaps(coverageGaps, gapsPath);
+        logger.warn(`覆盖缺口已导出到 ${gapsPath}`);
+      }
+      if (failures.length > 0 && resolveExportFormat(options.format, options.export) === 'csv') {
+        const failuresPath = getFailuresPath(options.export);
+        await exportFailures(failures, failuresPath);
+        logger.warn(`${failures.length} 个检查失败，失败列表已导出到 ${failuresPath}`);
+      }
     }
 
-    // 检查点完成后删除检查点文件
-    if (options.checkpoint) {
+    // 检查点完成后删除检查点文件；有失败的检查时保留，再次运行时只重新检查失败的部分
+    if (failures.length > 0 && checkpoints.length > 0) {
+      logger.warn(`有 ${failures.length} 个检查失败，已保留检查点文件，再次运行时将只重新检查这些授权`);
+    }
+    for (const checkpoint of failures.length > 0 ? [] : checkpoints) {
       try {
-        await fs.access(options.checkpoint);
-        await fs.unlink(options.checkpoint);
-        logger.info(`检查全部完成，已删除检查点文件: ${options.checkpoint}`);
+        await fs.access(checkpoint);
+        await fs.unlink(checkpoint);
+        logger.info(`检查全部完成，已删除检查点文件: ${checkpoint}`);
       } catch (error) {
         // 文件不存在，忽略错误
       }
     }
 
+    // 有违规时以单独的退出码结束，便于CI区分策略违规和程序出错
+    if (violations.length > 0) {
+      process.exit(POLICY_VIOLATION_EXIT_CODE);
+    }
+    // 有失败的检查或覆盖缺口时，状态未知的授权可能违反策略，不能按通过处理
+    if (policy && (failures.length > 0 || coverageGaps.length > 0)) {
+      process.exit(POLICY_INCOMPLETE_EXIT_CODE);
+    }
+
   } catch (error) {
-    logger.error('程序执行出错:', error);
+    // 库抛出的已知错误只显示错误信息
+    if (error instanceof ApprovalCheckerError) {
+      logger.error(error.message);
+    } else {
+      logger.error('程序执行出错:', error);
+    }
     process.exit(1);
   }
 }
 
-// 读取地址列表
-async function getAddresses() {
+// 读取钱包列表，地址文件可以是带 address,label,group,owner 表头的CSV/TSV
+async function getWallets() {
   if (options.address) {
-    return [options.address];
+    return [{ address: options.address, label: null, group: null, owner: null }];
   } else if (options.addressFile) {
-    return readLinesFromFile(options.addressFile);
+    return readWalletsFromFile(options.addressFile);
   }
   return [];
 }
@@ -164,593 +360,28 @@ async function getAddresses() {
 // 读取代币列表
 async function getTokens() {
   if (options.token) {
-    return [{ address: options.token, price: null }];
+    const { chainId, value } = splitChainPrefix(options.token);
+    return [{ address: value, price: null, chainId }];
   } else if (options.tokenFile) {
     return readTokensFromFile(options.tokenFile);
   }
   return [];
 }
 
-// 从文件读取代币信息，包括价格
-async function readTokensFromFile(filePath) {
-  try {
-    const content = await fs.readFile(filePath, 'utf8');
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'))
-      .map(line => {
-        const parts = line.split(',');
-        // 检查是否有价格信息
-        if (parts.length > 1) {
-          return {
-            address: parts[0].trim(),
-            price: parseFloat(parts[1].trim())
-          };
-        } else {
-          return {
-            address: parts[0].trim(),
-            price: null
-          };
-        }
-      });
-  } catch (error) {
-    logger.error(`读取文件 ${filePath} 出错:`, error);
-    process.exit(1);
-  }
-}
-
 // 读取spender列表
 async function getSpenders() {
   if (options.spender) {
-    return [options.spender];
+    const { chainId, value } = splitChainPrefix(options.spender);
+    return [{ address: value, chainId, label: null }];
   } else if (options.spenderFile) {
-    return readLinesFromFile(options.spenderFile);
+    return readSpendersFromFile(options.spenderFile);
   }
   // 如果未指定spender，返回一个空数组
   return [];
 }
 
-// 从文件读取行
-async function readLinesFromFile(filePath) {
-  try {
-    const content = await fs.readFile(filePath, 'utf8');
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'));
-  } catch (error) {
-    logger.error(`读取文件 ${filePath} 出错:`, error);
-    process.exit(1);
-  }
-}
-
-// 检查授权
-async function checkApprovals(provider, addresses, tokens, spenders) {
-  const results = [];
-
-  // 如果未指定spender，则设置为空数组表示我们将查询所有已知的授权
-  // 在实际实现中，我们需要另一种方式来获取所有spender，因为区块链上没有直接的方法获取所有授权
-  // 这里简化处理，如果未指定spender，则报错
-  if (spenders.length === 0) {
-    logger.error('未指定spender合约地址。请使用 --spender 或 --spender-file 选项');
-    process.exit(1);
-  }
-
-  // 计算总任务数，用于进度显示
-  const totalTasks = addresses.length * tokens.length * spenders.length;
-  let completedTasks = 0;
-
-  // 进度显示相关变量
-  const startTime = Date.now();
-  let lastUpdate = startTime;
-  let lastProgress = 0;
-
-  // 读取检查点文件（如果存在）
-  let completedChecks = new Set();
-  let savedResults = [];
-
-  if (options.checkpoint) {
-    try {
-      const checkpointData = await fs.readFile(options.checkpoint, 'utf8');
-      const checkpoint = JSON.parse(checkpointData);
-      completedChecks = new Set(checkpoint.completedChecks || []);
-      savedResults = checkpoint.results || [];
-      completedTasks = completedChecks.size;
-
-      if (completedTasks > 0) {
-        logger.info(`从检查点恢复，已完成 ${completedTasks} 个任务`);
-
-        // 将已保存的结果添加到结果数组
-        results.push(...savedResults);
-      }
-    } catch (error) {
-      // 如果文件不存在或无法解析，则使用空的完成任务集
-      logger.debug(`未找到有效的检查点文件或文件解析出错: ${error.message}`);
-      completedChecks = new Set();
-    }
-  }
-
-  // 最后保存检查点的时间
-  let lastCheckpointTime = Date.now();
-  // 保存检查点的频率 (每5分钟)
-  // 定义最小价值常量
-  const MIN_VALUE_USD = parseFloat(options.minValue || 1);
-  const CHECKPOINT_INTERVAL = 300000; // 毫秒
-
-  // 创建进度更新函数
-  const updateProgress = (force = false) => {
-    const now = Date.now();
-    const elapsed = (now - startTime) / 1000; // 秒
-    const percent = Math.floor((completedTasks / totalTasks) * 100);
-
-    // 每500毫秒更新一次进度，或者在强制更新时
-    if (force || now - lastUpdate >= 500 || percent > lastProgress) {
-      lastUpdate = now;
-      lastProgress = percent;
-
-      // 计算预估剩余时间
-      let eta = '计算中...';
-      if (completedTasks > 0) {
-        const timePerTask = elapsed / completedTasks;
-        const remainingTasks = totalTasks - completedTasks;
-        const remainingTime = timePerTask * remainingTasks;
-
-        // 格式化剩余时间
-        if (remainingTime < 60) {
-          eta = `约${Math.ceil(remainingTime)}秒`;
-        } else if (remainingTime < 3600) {
-          eta = `约${Math.ceil(remainingTime / 60)}分钟`;
-        } else {
-          eta = `约${(remainingTime / 3600).toFixed(1)}小时`;
-        }
-      }
-
-      process.stdout.write(`\r进度: [${completedTasks}/${totalTasks}] ${percent}% 完成 | 预计剩余时间: ${eta} | 已保存检查点`);
-    }
-
-    // 定期保存检查点
-    if (options.checkpoint && now - lastCheckpointTime >= CHECKPOINT_INTERVAL) {
-      saveCheckpoint();
-      lastCheckpointTime = now;
-    }
-  };
-
-  // 保存检查点函数
-  const saveCheckpoint = async () => {
-    if (!options.checkpoint) return;
-
-    try {
-      const checkpointData = {
-        completedChecks: Array.from(completedChecks),
-        results: results
-      };
-
-      await fs.writeFile(options.checkpoint, JSON.stringify(checkpointData, null, 2));
-      logger.debug(`已保存检查点，完成任务数: ${completedChecks.size}`);
-    } catch (error) {
-      logger.warn(`保存检查点失败: ${error.message}`);
-    }
-  };
-
-  // 设置定时器，确保即使在长时间查询过程中也能更新进度
-  const progressInterval = setInterval(() => {
-    updateProgress();
-  }, 1000);
-
-  // 设置周期性保存检查点的定时器
-  const checkpointInterval = setInterval(() => {
-    saveCheckpoint();
-  }, CHECKPOINT_INTERVAL);
-
-  try {
-    for (const address of addresses) {
-      logger.debug(`检查地址: ${address}`);
-
-      for (const tokenInfo of tokens) {
-        try {
-          const tokenAddress = tokenInfo.address;
-          logger.debug(`  检查代币: ${tokenAddress}`);
-
-          // 创建代币合约实例
-          const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-
-          // 获取代币信息
-          let symbol, decimals, price;
-          try {
-            // 更新进度消息以显示当前正在检查的内容
-            process.stdout.write(`\r进度: [${completedTasks}/${totalTasks}] 获取代币 ${tokenAddress} 信息中...`);
-
-            [symbol, decimals] = await Promise.all([
-              tokenContract.symbol(),
-              tokenContract.decimals()
-            ]);
-
-            // 如果没有提供价格，尝试从符号推断
-            if (tokenInfo.price === null) {
-              // 假设USDT、USDC、DAI等稳定币价格为1
-              if (['USDT', 'USDC', 'DAI', 'BUSD', 'TUSD', 'USDK', 'GUSD'].includes(symbol)) {
-                price = 1;
-              } else {
-                price = null;
-              }
-            } else {
-              price = tokenInfo.price;
-            }
-
-          } catch (error) {
-            logger.warn(`无法获取代币 ${tokenAddress} 的信息:`, error.message);
-            symbol = '未知';
-            decimals = 18; // 默认值
-            price = tokenInfo.price;
-          }
-
-          // 获取账户余额
-          let balance = ethers.getBigInt(0);
-          let balanceUsd = 0;
-          let skipDueToLowBalance = false;
-
-          try {
-            process.stdout.write(`\r进度: [${completedTasks}/${totalTasks}] 获取地址 ${shortenAddress(address)} 的 ${symbol} 余额中...`);
-
-            balance = await tokenContract.balanceOf(address);
-            logger.debug(`  地址 ${address} 的 ${symbol} 余额: ${ethers.formatUnits(balance, decimals)}`);
-
-            // 计算余额的美元价值
-            if (price !== null && balance > 0) {
-              const formattedBalance = ethers.formatUnits(balance, decimals);
-              balanceUsd = parseFloat(formattedBalance) * price;
-
-              // 检查是否低于最小价值阈值
-              if (balanceUsd < MIN_VALUE_USD) {
-                skipDueToLowBalance = true;
-                logger.debug(`  跳过地址 ${address} 的 ${symbol} 代币检查，余额价值(${balanceUsd.toFixed(2)}美元)低于阈值(${MIN_VALUE_USD}美元)`);
-
-                // 标记所有相关的spender检查为已完成
-                for (const spender of spenders) {
-                  const checkId = `${address}_${tokenAddress}_${spender}`;
-                  if (!completedChecks.has(checkId)) {
-                    completedChecks.add(checkId);
-                    completedTasks++;
-                  }
-                }
-                updateProgress(true);
-                continue; // 跳过此代币的后续检查
-              }
-            }
-          } catch (error) {
-            logger.warn(`获取 ${address} 的 ${symbol} 余额出错:`, error.message);
-          }
-
-          // 如果余额为零或过低，跳过后续的授权检查
-          if (balance.toString() === '0' || skipDueToLowBalance) {
-            logger.debug(`  跳过地址 ${address} 的 ${symbol} 代币检查，余额为零或过低`);
-
-            // 标记所有相关的spender检查为已完成
-            for (const spender of spenders) {
-              const checkId = `${address}_${tokenAddress}_${spender}`;
-              if (!completedChecks.has(checkId)) {
-                completedChecks.add(checkId);
-                completedTasks++;
-              }
-            }
-            updateProgress(true);
-            continue; // 跳过此代币的后续检查
-          }
-
-          // 使用Promise.all对多个spender并行查询授权，但限制并发数防止超出速率限制
-          const batchSize = 3; // 可以根据RPC服务商的限制调整
-          const spenderBatches = [];
-
-          // 将spenders分成批次
-          for (let i = 0; i < spenders.length; i += batchSize) {
-            spenderBatches.push(spenders.slice(i, i + batchSize));
-          }
-
-          // 按批次处理spenders
-          for (const batch of spenderBatches) {
-            // 创建一个包含当前批次所有spender的查询任务数组
-            const batchTasks = batch.map(async (spender) => {
-              try {
-                // 创建该检查的唯一标识
-                const checkId = `${address}_${tokenAddress}_${spender}`;
-
-                // 如果这个检查已经完成，跳过
-                if (completedChecks.has(checkId)) {
-                  logger.debug(`跳过已完成的检查: ${checkId}`);
-                  return;
-                }
-
-                process.stdout.write(`\r进度: [${completedTasks}/${totalTasks}] 检查 ${shortenAddress(address)} 对 ${symbol} 授权给 ${shortenAddress(spender)}...`);
-
-                // 获取授权金额
-                const allowance = await tokenContract.allowance(address, spender);
-
-                // 检查是否是无限授权 (2^256 - 1)
-                const maxUint256 = ethers.MaxUint256;
-                const isInfiniteApproval = allowance.toString() === maxUint256.toString();
-
-                // 格式化显示的金额
-                const formattedAllowance = isInfiniteApproval
-                  ? '∞'
-                  : ethers.formatUnits(allowance, decimals);
-
-                // 计算曝光量（授权金额与余额的较小值）
-                let exposedAmount;
-                if (isInfiniteApproval) {
-                  // 如果是无限授权，曝光量等于余额
-                  exposedAmount = balance;
-                } else {
-                  // 否则，曝光量为授权金额与余额的较小值
-                  exposedAmount = allowance > balance ? balance : allowance;
-                }
-
-                // 格式化显示的曝光量
-                const formattedExposedAmount = ethers.formatUnits(exposedAmount, decimals);
-
-                // 计算曝光美元价值
-                let exposedValueUSD = null;
-                if (price !== null) {
-                  exposedValueUSD = parseFloat(formattedExposedAmount) * price;
-                }
-
-                // 添加到结果
-                results.push({
-                  walletAddress: address,
-                  tokenAddress: tokenAddress,
-                  tokenSymbol: symbol,
-                  spenderAddress: spender,
-                  allowance: formattedAllowance,
-                  rawAllowance: allowance.toString(),
-                  isInfiniteApproval,
-                  balance: ethers.formatUnits(balance, decimals),
-                  rawBalance: balance.toString(),
-                  exposedAmount: formattedExposedAmount,
-                  rawExposedAmount: exposedAmount.toString(),
-                  price: price,
-                  exposedValueUSD: exposedValueUSD
-                });
-
-                // 标记此检查已完成
-                completedChecks.add(checkId);
-
-              } catch (error) {
-                logger.warn(`检查 ${address} 对 ${tokenAddress} 授权给 ${spender} 出错:`, error.message);
-              } finally {
-                // 无论成功还是失败，都更新进度
-                completedTasks++;
-                updateProgress();
-              }
-            });
-
-            // 并行执行批次内的所有任务
-            await Promise.all(batchTasks);
-          }
-        } catch (error) {
-          logger.warn(`处理代币 ${tokenInfo.address} 出错:`, error.message);
-
-          // 如果处理代币出错，更新该代币对该地址的所有spender的进度
-          for (const spender of spenders) {
-            const checkId = `${address}_${tokenInfo.address}_${spender}`;
-            if (!completedChecks.has(checkId)) {
-              completedTasks++;
-              completedChecks.add(checkId);
-            }
-          }
-
-          updateProgress(true);
-
-          // 出错后保存检查点
-          if (options.checkpoint) {
-            await saveCheckpoint();
-            lastCheckpointTime = Date.now();
-          }
-        }
-      }
-    }
-  } catch (error) {
-    // 出现未捕获的错误，尝试保存检查点
-    logger.error('检查授权过程中出现错误:', error);
-    if (options.checkpoint) {
-      await saveCheckpoint();
-    }
-    throw error;
-  } finally {
-    // 停止进度更新定时器
-    clearInterval(progressInterval);
-    clearInterval(checkpointInterval);
-
-    // 确保显示最终进度
-    process.stdout.write(`\r进度: [${totalTasks}/${totalTasks}] 100% 完成！${' '.repeat(40)}\n`);
-
-    // 最后再次保存检查点
-    if (options.checkpoint) {
-      await saveCheckpoint();
-    }
-  }
-
-  return results;
-}
-
-// 显示结果
-function displayResults(results) {
-  if (results.length === 0) {
-    logger.info('未找到任何授权信息');
-    return;
-  }
-
-  // 计算摘要信息（这部分不会导致栈溢出）
-  const uniqueWallets = new Set(results.map(r => r.walletAddress)).size;
-  const uniqueTokens = new Set(results.map(r => r.tokenAddress)).size;
-  const uniqueSpenders = new Set(results.map(r => r.spenderAddress)).size;
-  const infiniteApprovals = results.filter(r => r.isInfiniteApproval).length;
-
-  // 计算总曝光价值
-  let totalExposedValueUSD = 0;
-  let exposedValueCount = 0;
-  for (const result of results) {
-    if (result.exposedValueUSD !== null) {
-      totalExposedValueUSD += result.exposedValueUSD;
-      exposedValueCount++;
-    }
-  }
-
-  // 安全显示结果 - 处理大数据量
-  const MAX_DISPLAY_ROWS = 100; // 限制表格显示最多100行
-
-  console.log(`\n总共找到 ${results.length} 个授权结果。`);
-
-  if (results.length > MAX_DISPLAY_ROWS) {
-    console.log(`数据量过大，仅显示前 ${MAX_DISPLAY_ROWS} 行和最重要的授权。所有数据都已保存在导出的CSV文件中。`);
-
-    // 按曝光价值排序，找出价值最高的结果
-    const sortedResults = [...results]
-      .filter(r => r.exposedValueUSD !== null)
-      .sort((a, b) => b.exposedValueUSD - a.exposedValueUSD);
-
-    // 获取高价值和无限授权的结果
-    const highValueResults = sortedResults.slice(0, MAX_DISPLAY_ROWS / 2);
-    const infiniteResults = results
-      .filter(r => r.isInfiniteApproval)
-      .slice(0, MAX_DISPLAY_ROWS / 2);
-
-    // 合并高价值和无限授权结果并去重
-    const importantResults = [...highValueResults];
-    for (const result of infiniteResults) {
-      if (!importantResults.some(r =>
-        r.walletAddress === result.walletAddress &&
-        r.tokenAddress === result.tokenAddress &&
-        r.spenderAddress === result.spenderAddress)) {
-        importantResults.push(result);
-      }
-    }
-
-    // 限制最终显示的结果数量
-    const displayResults = importantResults.slice(0, MAX_DISPLAY_ROWS);
-
-    // 创建表格
-    displayResultTable(displayResults);
-  } else {
-    // 数据量适中，正常显示
-    displayResultTable(results);
-  }
-
-  // 显示摘要
-  console.log('\n摘要:');
-  console.log(`检查了 ${uniqueWallets} 个钱包地址`);
-  console.log(`检查了 ${uniqueTokens} 个代币合约`);
-  console.log(`检查了 ${uniqueSpenders} 个spender合约`);
-  console.log(`发现 ${results.length} 个授权，其中 ${infiniteApprovals} 个为无限授权`);
-  if (exposedValueCount > 0) {
-    console.log(`总曝光价值: $${totalExposedValueUSD.toFixed(2)} USD`);
-  }
-}
-
-// 新增辅助函数，用于显示表格（避免长函数栈溢出）
-function displayResultTable(results) {
-  // 创建表格
-  const table = new Table({
-    head: [
-      chalk.white('钱包地址'),
-      chalk.white('代币'),
-      chalk.white('Spender合约'),
-      chalk.white('授权金额'),
-      chalk.white('余额'),
-      chalk.white('曝光量'),
-      chalk.white('曝光价值(USD)'),
-      chalk.white('无限授权')
-    ],
-    colWidths: [16, 10, 16, 12, 12, 12, 16, 10]
-  });
-
-  // 填充表格数据，使用批处理避免栈溢出
-  const BATCH_SIZE = 20;
-  for (let i = 0; i < results.length; i += BATCH_SIZE) {
-    const batch = results.slice(i, i + BATCH_SIZE);
-
-    for (const result of batch) {
-      const isInfinite = result.isInfiniteApproval
-        ? chalk.red('是')
-        : chalk.green('否');
-
-      const allowance = result.isInfiniteApproval
-        ? chalk.red(result.allowance)
-        : parseFloat(result.allowance) > 0
-          ? chalk.yellow(result.allowance)
-          : chalk.green(result.allowance);
-
-      const balance = chalk.cyan(result.balance);
-
-      const exposedAmount = parseFloat(result.exposedAmount) > 0
-        ? chalk.yellow(result.exposedAmount)
-        : chalk.green(result.exposedAmount);
-
-      const exposedValueUSD = result.exposedValueUSD !== null
-        ? (parseFloat(result.exposedValueUSD) > 100
-          ? chalk.red(`$${result.exposedValueUSD.toFixed(2)}`)
-          : chalk.yellow(`$${result.exposedValueUSD.toFixed(2)}`))
-        : chalk.gray('未知');
-
-      table.push([
-        shortenAddress(result.walletAddress),
-        result.tokenSymbol,
-        shortenAddress(result.spenderAddress),
-        allowance,
-        balance,
-        exposedAmount,
-        exposedValueUSD,
-        isInfinite
-      ]);
-    }
-
-    // 在批处理中间添加微小延迟以避免栈溢出
-    if (i + BATCH_SIZE < results.length) {
-      // 这里实际运行时不会真的延迟，只是给JavaScript引擎一个让出控制权的机会
-      // 避免同步调用导致栈构建过深
-    }
-  }
-
-  try {
-    // 安全地渲染表格
-    console.log(table.toString());
-  } catch (error) {
-    // 如果仍然出错，使用更简单的格式显示
-    console.log('表格渲染失败，使用简化格式显示结果:');
-    console.log('----------------------------------------------------');
-
-    for (const result of results) {
-      console.log(
-        `${shortenAddress(result.walletAddress)} | ${result.tokenSymbol} | ` +
-        `${shortenAddress(result.spenderAddress)} | 授权: ${result.allowance} | ` +
-        `曝光: ${result.exposedAmount} | 价值: ${result.exposedValueUSD !== null ? '$' + result.exposedValueUSD.toFixed(2) : '未知'} | ` +
-        `无限授权: ${result.isInfiniteApproval ? '是' : '否'}`
-      );
-    }
-  }
-}
-
-// 导出结果到CSV
-async function exportResults(results, filepath) {
-  let csv = 'WalletAddress,TokenAddress,TokenSymbol,SpenderAddress,Allowance,Balance,ExposedAmount,Price,ExposedValueUSD,IsInfiniteApproval\n';
-
-  for (const result of results) {
-    const exposedValueUSD = result.exposedValueUSD !== null ? result.exposedValueUSD.toFixed(2) : 'unknown';
-    const price = result.price !== null ? result.price : 'unknown';
-
-    csv += `${result.walletAddress},${result.tokenAddress},${result.tokenSymbol},${result.spenderAddress},${result.allowance},${result.balance},${result.exposedAmount},${price},${exposedValueUSD},${result.isInfiniteApproval}\n`;
-  }
-
-  await fs.writeFile(filepath, csv);
-}
-
-// 缩短地址显示
-function shortenAddress(address) {
-  if (!address || address.length < 10) return address;
-  return `${address.slice(0, 6)}...${address.slice(-4)}`;
-}
-
 // 执行主函数
 main().catch(error => {
   logger.error('未捕获的错误:', error);
   process.exit(1);
-}); 
\ No newline at end of file
+});
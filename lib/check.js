@@ -0,0 +1,370 @@
+import { ethers } from 'ethers';
+import fs from 'fs/promises';
+import { createMulticall } from './multicall.js';
+import { fetchBalances, fetchAllowances } from './erc20.js';
+import { loadTokenDetails } from './tokens.js';
+import { createPriceResolver } from './prices.js';
+import { discoverWalletTokens } from './token-discovery.js';
+import { describeError } from './log-scanner.js';
+import { buildApprovalRow } from './exposure.js';
+import { normalizeTokens } from './input.js';
+import { getBlockInfo } from './networks.js';
+import { createWorkQueue, mapConcurrent } from './work-queue.js';
+import { silentLogger } from './logger.js';
+import { InvalidInputError, NetworkError } from './errors.js';
+
+// 保存检查点的频率 (每5分钟)
+const CHECKPOINT_INTERVAL = 300000; // 毫秒
+
+// 检查一组钱包地址对指定代币授权给指定spender的情况
+// discoverTokens为true时先通过钱包在最近lookbackBlocks个区块内的Approval和Transfer事件自动发现代币
+// blockTag指定时所有读取固定在该区块（区块号或latest、safe、finalized等标签），代币发现的日志扫描也在该区块结束
+// 代币文件中没有价格的代币通过priceResolver从链上查询，多次调用共用同一个priceResolver时复用已查询的价格
+// metadataCache为同一网络上多次调用共用的代币信息缓存（Map），见loadTokenDetails
+// 进度通过emitter的progress事件通知，每条结果同时通过result事件通知，代币发现的覆盖缺口通过coverageGap事件通知
+// RPC重试后仍无法读取余额或授权的检查通过failure事件通知，不计入已完成的检查，下次从检查点恢复时重新检查
+// 同时最多发出concurrency个RPC请求，多个钱包批次并发处理；传入workQueue时与其他调用共用并发限制
+export async function checkApprovals({
+  provider,
+  wallets,
+  tokens,
+  spenders,
+  minValueUSD = 1,
+  checkpoint = null,
+  multicall: useMulticall = true,
+  multicallBatchSize,
+  walletBatchSize = 100,
+  concurrency,
+  workQueue = null,
+  discoverTokens = false,
+  lookbackBlocks = 1000000,
+  blockTag = null,
+  chunkSize,
+  maxRetries,
+  logger = silentLogger,
+  priceResolver = createPriceResolver({ logger }),
+  metadataCache = null,
+  emitter = null
+}) {
+  if (!provider) {
+    throw new InvalidInputError('未提供provider');
+  }
+  if (!wallets || wallets.length === 0) {
+    throw new InvalidInputError('必须提供钱包地址');
+  }
+  if ((!tokens || tokens.length === 0) && !discoverTokens) {
+    throw new InvalidInputError('必须提供代币地址');
+  }
+  // 区块链上没有直接的方法获取所有授权，因此必须指定spender
+  if (!spenders || spenders.length === 0) {
+    throw new InvalidInputError('未指定spender合约地址');
+  }
+
+  const addresses = wallets;
+  tokens = normalizeTokens(tokens || []);
+  const results = [];
+
+  // 结果中记录chainId，多网络运行时可以区分来源
+  let chainId;
+  try {
+    chainId = Number((await provider.getNetwork()).chainId);
+  } catch (error) {
+    throw new NetworkError(`获取网络信息失败: ${error.message}`, { cause: error });
+  }
+
+  // 计算总任务数，用于进度显示（自动发现代币后重新计算）
+  let totalTasks = addresses.length * tokens.length * spenders.length;
+  let completedTasks = 0;
+  let failedTasks = 0;
+
+  const emitProgress = (action = '') => {
+    emitter?.emit('progress', { completed: completedTasks, failed: failedTasks, total: totalTasks, action });
+  };
+
+  // 指定区块时先解析为区块号，整个检查过程读取同一个区块
+  const pinnedBlock = blockTag === null ? null : (await getBlockInfo(provider, blockTag)).blockNumber;
+  if (pinnedBlock !== null) {
+    logger.info(`所有查询固定在区块 ${pinnedBlock}`);
+  }
+
+  // 所有RPC请求共用的工作队列，限制同时进行的请求数
+  const queue = workQueue || createWorkQueue({ concurrency });
+
+  // 创建Multicall执行器，将多个eth_call合并为一次请求
+  const multicall = createMulticall(provider, {
+    batchSize: multicallBatchSize,
+    enabled: useMulticall,
+    blockTag: pinnedBlock ?? 'latest',
+    queue,
+    logger
+  });
+
+  // 自动发现代币，与传入的代币合并（传入的代币优先，保留代币文件中的价格）
+  if (discoverTokens) {
+    let currentBlock = pinnedBlock;
+    if (currentBlock === null) {
+      try {
+        currentBlock = await provider.getBlockNumber();
+      } catch (error) {
+        throw new NetworkError(`获取当前区块高度失败: ${error.message}`, { cause: error });
+      }
+    }
+    const fromBlock = Math.max(0, currentBlock - lookbackBlocks);
+
+    emitProgress(`查找 ${addresses.length} 个地址使用过的代币`);
+    const validWallets = addresses.filter(address => ethers.isAddress(address));
+    const { tokens: foundTokens, gaps } = validWallets.length > 0
+      ? await discoverWalletTokens(provider, validWallets, fromBlock, currentBlock, {
+        multicall,
+        chunkSize,
+        maxRetries,
+        queue,
+        logger,
+        onProgress: ({ scannedBlocks, totalBlocks, toBlock }) => {
+          const percent = Math.floor((scannedBlocks / totalBlocks) * 100);
+          emitProgress(`查找地址使用过的代币: 区块 ${toBlock} (${percent}%)`);
+        }
+      })
+      : { tokens: [], gaps: [] };
+
+    for (const gap of gaps) {
+      const coverageGap = { ...gap, chainId, scope: 'tokens', tokens: [], wallets: validWallets };
+      logger.warn(`区块 ${gap.fromBlock}-${gap.toBlock} 的事件无法获取，自动发现的代币可能不完整: ${gap.error}`);
+      emitter?.emit('coverageGap', coverageGap);
+    }
+
+    const knownTokens = new Set(tokens.map(token => token.address.toLowerCase()));
+    const newTokens = foundTokens.filter(address => !knownTokens.has(address.toLowerCase()));
+    tokens = [...tokens, ...normalizeTokens(newTokens)];
+    totalTasks = addresses.length * tokens.length * spenders.length;
+    logger.info(`自动发现 ${foundTokens.length} 个代币，合并后共检查 ${tokens.length} 个代币`);
+  }
+
+  // 读取检查点文件（如果存在）
+  let completedChecks = new Set();
+
+  if (checkpoint) {
+    try {
+      const checkpointData = await fs.readFile(checkpoint, 'utf8');
+      const savedCheckpoint = JSON.parse(checkpointData);
+      completedChecks = new Set(savedCheckpoint.completedChecks || []);
+      completedTasks = completedChecks.size;
+
+      if (completedTasks > 0) {
+        logger.info(`从检查点恢复，已完成 ${completedTasks} 个任务`);
+
+        // 将已保存的结果添加到结果数组
+        results.push(...(savedCheckpoint.results || []));
+      }
+    } catch (error) {
+      // 如果文件不存在或无法解析，则使用空的完成任务集
+      logger.debug(`未找到有效的检查点文件或文件解析出错: ${error.message}`);
+      completedChecks = new Set();
+    }
+  }
+
+  // 定义最小价值常量
+  const MIN_VALUE_USD = parseFloat(minValueUSD ?? 1);
+
+  // 保存检查点函数，并发的批次同时保存时依次写入，避免文件内容交错
+  let checkpointWrite = Promise.resolve();
+  const saveCheckpoint = () => {
+    if (!checkpoint) return Promise.resolve();
+
+    checkpointWrite = checkpointWrite.then(async () => {
+      try {
+        const checkpointData = {
+          completedChecks: Array.from(completedChecks),
+          results: results
+        };
+
+        await fs.writeFile(checkpoint, JSON.stringify(checkpointData, null, 2));
+        logger.debug(`已保存检查点，完成任务数: ${completedChecks.size}`);
+        emitter?.emit('checkpoint', { path: checkpoint, completed: completedChecks.size });
+      } catch (error) {
+        logger.warn(`保存检查点失败: ${error.message}`);
+      }
+    });
+    return checkpointWrite;
+  };
+
+  // 设置周期性保存检查点的定时器
+  const checkpointInterval = checkpoint
+    ? setInterval(() => {
+      saveCheckpoint();
+    }, CHECKPOINT_INTERVAL)
+    : null;
+
+  walletBatchSize = Math.max(1, parseInt(walletBatchSize || 100));
+
+  // 记录失败的检查，同一检查只记录一次
+  const failedChecks = new Set();
+  const addFailure = (address, token, spender, stage, error) => {
+    const checkId = `${address}_${token.address}_${spender}`;
+    if (completedChecks.has(checkId) || failedChecks.has(checkId)) return;
+    failedChecks.add(checkId);
+    failedTasks++;
+    emitter?.emit('failure', {
+      chainId,
+      walletAddress: address,
+      tokenAddress: token.address,
+      tokenSymbol: token.symbol,
+      spenderAddress: spender,
+      assetType: 'ERC20',
+      approvalType: 'allowance',
+      stage,
+      error: describeError(error)
+    });
+  };
+
+  // 将某个地址对某个代币的所有spender检查标记为已完成
+  const markTokenChecksCompleted = (address, tokenAddress) => {
+    for (const spender of spenders) {
+      const checkId = `${address}_${tokenAddress}_${spender}`;
+      if (!completedChecks.has(checkId)) {
+        completedChecks.add(checkId);
+        completedTasks++;
+      }
+    }
+  };
+
+  try {
+    // 一次性获取所有代币的信息
+    emitProgress(`获取 ${tokens.length} 个代币的信息中...`);
+    const tokenDetails = await loadTokenDetails(multicall, tokens, logger,
+      unpriced => priceResolver.getPrices({ provider, multicall, chainId, tokens: unpriced, blockTag: pinnedBlock ?? 'latest' }),
+      metadataCache);
+
+    // 按批次处理钱包地址，每批的余额和授权查询各合并为少量Multicall请求
+    // 多个批次并发处理，实际同时进行的请求数由工作队列限制
+    const walletBatches = [];
+    for (let i = 0; i < addresses.length; i += walletBatchSize) {
+      walletBatches.push({ start: i, wallets: addresses.slice(i, i + walletBatchSize) });
+    }
+
+    await mapConcurrent(walletBatches, queue.concurrency, async ({ start: i, wallets: walletBatch }) => {
+      try {
+        // 收集本批次需要查询余额的 地址×代币 组合
+        const balanceQueries = [];
+        for (const address of walletBatch) {
+          for (const token of tokenDetails) {
+            // 如果所有spender都已检查过，跳过
+            const allCompleted = spenders.every(spender => completedChecks.has(`${address}_${token.address}_${spender}`));
+            if (allCompleted) {
+              logger.debug(`跳过已完成的检查: ${address}_${token.address}`);
+              continue;
+            }
+            balanceQueries.push({ token: token.address, owner: address, tokenDetail: token });
+          }
+        }
+
+        emitProgress(`获取 ${walletBatch.length} 个地址的余额中...`);
+        const balanceResults = await fetchBalances(multicall, balanceQueries);
+
+        // 根据余额筛选需要检查授权的组合
+        const allowanceQueries = [];
+        balanceQueries.forEach((query, index) => {
+          const { owner: address, tokenDetail: token } = query;
+          const { symbol, decimals, price } = token;
+          const balanceResult = balanceResults[index];
+
+          // 余额未知时无法判断是否需要检查授权，也无法计算曝光，记为失败
+          if (!balanceResult.success) {
+            logger.warn(`获取 ${address} 的 ${symbol} 余额出错:`, describeError(balanceResult.error));
+            for (const spender of spenders) {
+              addFailure(address, token, spender, 'balance', balanceResult.error);
+            }
+            return;
+          }
+          const balance = balanceResult.value;
+          logger.debug(`  地址 ${address} 的 ${symbol} 余额: ${ethers.formatUnits(balance, decimals ?? 0)}`);
+
+          // 计算余额的美元价值，检查是否低于最小价值阈值；精度未知时无法换算，不跳过
+          if (price !== null && decimals !== null && balance > 0) {
+            const balanceUsd = parseFloat(ethers.formatUnits(balance, decimals)) * price;
+            if (balanceUsd < MIN_VALUE_USD) {
+              logger.debug(`  跳过地址 ${address} 的 ${symbol} 代币检查，余额价值(${balanceUsd.toFixed(2)}美元)低于阈值(${MIN_VALUE_USD}美元)`);
+              markTokenChecksCompleted(address, token.address);
+              return;
+            }
+          }
+
+          // 如果余额为零，跳过后续的授权检查
+          if (balance.toString() === '0') {
+            logger.debug(`  跳过地址 ${address} 的 ${symbol} 代币检查，余额为零或过低`);
+            markTokenChecksCompleted(address, token.address);
+            return;
+          }
+
+          for (const spender of spenders) {
+            const checkId = `${address}_${token.address}_${spender}`;
+            if (completedChecks.has(checkId)) continue;
+            allowanceQueries.push({ token: token.address, owner: address, spender, balance, tokenDetail: token, checkId });
+          }
+        });
+
+        emitProgress(`检查 ${allowanceQueries.length} 个授权中...`);
+        const allowanceResults = await fetchAllowances(multicall, allowanceQueries);
+
+        allowanceQueries.forEach((query, index) => {
+          const { owner: address, spender, balance, tokenDetail: token, checkId } = query;
+          const allowanceResult = allowanceResults[index];
+
+          if (!allowanceResult.success) {
+            logger.warn(`检查 ${address} 对 ${token.address} 授权给 ${spender} 出错:`, describeError(allowanceResult.error));
+            addFailure(address, token, spender, 'allowance', allowanceResult.error);
+            return;
+          }
+          completedTasks++;
+
+          // 添加到结果
+          const row = buildApprovalRow({
+            walletAddress: address,
+            token,
+            spenderAddress: spender,
+            allowance: allowanceResult.value,
+            balance
+          });
+          const result = { ...row, chainId };
+          results.push(result);
+          emitter?.emit('result', result);
+
+          // 标记此检查已完成
+          completedChecks.add(checkId);
+        });
+        emitProgress();
+      } catch (error) {
+        logger.warn(`处理地址批次 ${i + 1}-${i + walletBatch.length} 出错:`, describeError(error));
+
+        // 该批次中尚未完成的检查都记为失败
+        for (const address of walletBatch) {
+          for (const token of tokenDetails) {
+            for (const spender of spenders) {
+              addFailure(address, token, spender, 'allowance', error);
+            }
+          }
+        }
+
+        emitProgress();
+
+        // 出错后保存检查点
+        await saveCheckpoint();
+      }
+    });
+  } catch (error) {
+    // 出现未捕获的错误，尝试保存检查点
+    logger.error('检查授权过程中出现错误:', error);
+    await saveCheckpoint();
+    throw error;
+  } finally {
+    // 停止检查点定时器
+    if (checkpointInterval) {
+      clearInterval(checkpointInterval);
+    }
+
+    // 最后再次保存检查点
+    await saveCheckpoint();
+  }
+
+  return results;
+}
@@ -0,0 +1,139 @@
+import { isActiveApproval } from './exposure.js';
+
+// 变化类型，按显示顺序排列
+export const DIFF_CHANGES = ['new', 'revoked', 'became-infinite', 'increased', 'decreased'];
+
+// 授权的唯一标识：网络、钱包、代币、spender，Permit2内部授权和NFT单个token授权分别单独计算
+// withChain为false时不区分网络，用于比较没有ChainId列的旧报告
+function approvalKey(result, withChain) {
+  return [
+    withChain ? result.chainId ?? '' : '',
+    result.walletAddress.toLowerCase(),
+    result.tokenAddress.toLowerCase(),
+    result.spenderAddress.toLowerCase(),
+    result.approvalType || 'allowance',
+    result.tokenId ?? ''
+  ].join(':');
+}
+
+// 报告中的每条结果都有chainId
+function hasChainIds(results) {
+  return results.every(result => result.chainId !== null && result.chainId !== undefined);
+}
+
+// 十进制金额字符串转为按最小单位计的BigInt，小数位补齐到scale位，无法解析时为0
+function decimalToBigInt(value, scale) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value ?? '').trim());
+  if (!match) return 0n;
+  return BigInt(match[1] + (match[2] || '').padEnd(scale, '0'));
+}
+
+// 比较两次授权金额，返回-1、0或1；无限授权大于任何有限金额
+// 两侧都有原始金额时按原始金额比较，否则按十进制字符串精确比较，避免浮点数丢失精度
+function compareAllowance(before, after) {
+  if (before.isInfiniteApproval || after.isInfiniteApproval) {
+    return Number(after.isInfiniteApproval) - Number(before.isInfiniteApproval);
+  }
+  let previous;
+  let current;
+  if (before.rawAllowance && after.rawAllowance) {
+    previous = BigInt(before.rawAllowance);
+    current = BigInt(after.rawAllowance);
+  } else {
+    const scale = Math.max(...[before.allowance, after.allowance].map(value => (String(value ?? '').split('.')[1] || '').length));
+    previous = decimalToBigInt(before.allowance, scale);
+    current = decimalToBigInt(after.allowance, scale);
+  }
+  return current > previous ? 1 : current < previous ? -1 : 0;
+}
+
+// 授权前后的变化类型，没有变化时返回null
+function classifyChange(before, after) {
+  const wasActive = isActiveApproval(before);
+  const nowActive = isActiveApproval(after);
+  if (!wasActive && !nowActive) return null;
+  if (!wasActive) return 'new';
+  if (!nowActive) return 'revoked';
+  if (!before.isInfiniteApproval && after.isInfiniteApproval) return 'became-infinite';
+
+  const comparison = compareAllowance(before, after);
+  if (comparison > 0) return 'increased';
+  if (comparison < 0) return 'decreased';
+  return null;
+}
+
+// 有效授权的曝光价值，无效的授权为0，价格未知时为null
+function activeValue(result) {
+  return isActiveApproval(result) ? result.exposedValueUSD ?? null : 0;
+}
+
+// 比较两次检查结果（readResultsFromReport读取的报告，或checkApprovals/discoverApprovals的结果）
+// 返回变化列表，每项包含变化类型、授权前后的金额和曝光价值，以及曝光价值的变化（任一侧价格未知时为null）
+// 按变化类型排序，同一类型内曝光价值变化大的在前
+// 任一侧没有chainId（没有ChainId列的旧CSV报告）时不按网络区分授权
+export function diffResults(before, after) {
+  const withChain = hasChainIds(before) && hasChainIds(after);
+  const beforeByKey = new Map(before.map(result => [approvalKey(result, withChain), result]));
+  const afterByKey = new Map(after.map(result => [approvalKey(result, withChain), result]));
+  const keys = new Set([...beforeByKey.keys(), ...afterByKey.keys()]);
+
+  const changes = [];
+  for (const key of keys) {
+    const previous = beforeByKey.get(key);
+    const current = afterByKey.get(key);
+    const change = classifyChange(previous, current);
+    if (!change) continue;
+
+    // 标签、协议和风险等信息优先使用较新的报告
+    const latest = current ?? previous;
+    const valueBefore = previous ? activeValue(previous) : 0;
+    const valueAfter = current ? activeValue(current) : 0;
+
+    changes.push({
+      change,
+      chainId: latest.chainId ?? null,
+      walletAddress: latest.walletAddress,
+      walletLabel: latest.walletLabel ?? null,
+      tokenAddress: latest.tokenAddress,
+      tokenSymbol: latest.tokenSymbol,
+      spenderAddress: latest.spenderAddress,
+      spenderLabel: latest.spenderLabel ?? null,
+      spenderProtocol: latest.spenderProtocol ?? null,
+      spenderRole: latest.spenderRole ?? null,
+      assetType: latest.assetType || 'ERC20',
+      approvalType: latest.approvalType || 'allowance',
+      tokenId: latest.tokenId ?? null,
+      allowanceBefore: isActiveApproval(previous) ? previous.allowance : null,
+      allowanceAfter: isActiveApproval(current) ? current.allowance : null,
+      isInfiniteBefore: isActiveApproval(previous) && previous.isInfiniteApproval,
+      isInfiniteAfter: isActiveApproval(current) && current.isInfiniteApproval,
+      exposedValueBeforeUSD: valueBefore,
+      exposedValueAfterUSD: valueAfter,
+      exposedValueDeltaUSD: valueBefore === null || valueAfter === null ? null : valueAfter - valueBefore,
+      riskScore: latest.riskScore ?? null,
+      riskLevel: latest.riskLevel ?? null
+    });
+  }
+
+  return changes.sort((a, b) =>
+    DIFF_CHANGES.indexOf(a.change) - DIFF_CHANGES.indexOf(b.change) ||
+    Math.abs(b.exposedValueDeltaUSD ?? 0) - Math.abs(a.exposedValueDeltaUSD ?? 0));
+}
+
+// 变化的汇总：每种变化的数量和曝光价值的总变化（任一项价格未知时只累加已知的部分）
+export function summarizeDiff(changes) {
+  const counts = Object.fromEntries(DIFF_CHANGES.map(change => [change, 0]));
+  let exposedValueDeltaUSD = 0;
+  let unknownValues = 0;
+
+  for (const change of changes) {
+    counts[change.change]++;
+    if (change.exposedValueDeltaUSD === null) {
+      unknownValues++;
+    } else {
+      exposedValueDeltaUSD += change.exposedValueDeltaUSD;
+    }
+  }
+
+  return { changes: changes.length, counts, exposedValueDeltaUSD, unknownValues };
+}
@@ -0,0 +1,673 @@
+import { ethers } from 'ethers';
+import { createMulticall } from './multicall.js';
+import { erc20Interface, fetchBalances, fetchAllowances } from './erc20.js';
+import { scanLogs, chunkArray, describeError } from './log-scanner.js';
+import {
+  createScanState,
+  loadScanCheckpoint,
+  saveScanCheckpoint,
+  getLastScannedBlock,
+  markScanned,
+  addApproval,
+  removeApproval,
+  addDiscoveredTokens
+} from './scan-checkpoint.js';
+import { discoverWalletTokens, addressToTopic } from './token-discovery.js';
+import { scanNftApprovalLogs, checkNftApprovals } from './nft.js';
+import {
+  PERMIT2_ADDRESS,
+  PERMIT2_EVENT_TOPICS,
+  isPermit2Log,
+  parsePermit2Log,
+  fetchPermit2Allowances,
+  buildPermit2ApprovalRow
+} from './permit2.js';
+import { loadTokenDetails } from './tokens.js';
+import { createPriceResolver } from './prices.js';
+import { buildApprovalRow } from './exposure.js';
+import { normalizeTokens } from './input.js';
+import { getBlockInfo } from './networks.js';
+import { createWorkQueue, mapConcurrent } from './work-queue.js';
+import { silentLogger } from './logger.js';
+import { InvalidInputError, NetworkError } from './errors.js';
+
+// 检查点中记录NFT扫描、代币发现和Permit2扫描进度使用的键（这几类扫描按钱包而不是按代币合约进行）
+const NFT_SCAN_KEY = 'nft';
+const TOKEN_DISCOVERY_SCAN_KEY = 'token-discovery';
+const PERMIT2_SCAN_KEY = 'permit2';
+
+// 通过历史Approval事件发现钱包授权过的spender，并检查当前授权状态
+// 同时通过Permit2的Approval/Permit事件发现Permit2内部的spender授权
+// nft为true时同时发现ERC721/ERC1155的ApprovalForAll和单个token授权
+// discoverTokens为true时先通过钱包的Approval和Transfer事件自动发现代币，与传入的代币合并后检查
+// blockTag指定时日志扫描在该区块结束，所有读取固定在该区块（区块号或latest、safe、finalized等标签）
+// 代币文件中没有价格的代币通过priceResolver从链上查询，多次调用共用同一个priceResolver时复用已查询的价格
+// metadataCache为同一网络上多次调用共用的代币信息缓存（Map），见loadTokenDetails
+// 返回 { results, coverageGaps, failures }，coverageGaps为重试后仍无法扫描的区块范围，
+// failures为RPC重试后仍无法读取余额或当前授权的授权组合
+// 进度通过emitter的progress事件通知，每条结果、覆盖缺口和失败分别通过result、coverageGap和failure事件通知
+// 同时最多发出concurrency个RPC请求，日志扫描的各组和各代币的检查并发进行；传入workQueue时与其他调用共用并发限制
+export async function discoverApprovals({
+  provider,
+  wallets,
+  tokens,
+  lookbackBlocks = 1000000,
+  blockTag = null,
+  checkpoint = null,
+  chunkSize,
+  maxRetries,
+  ownersPerQuery = 50,
+  tokensPerQuery = 20,
+  nft = false,
+  discoverTokens = false,
+  multicall: useMulticall = true,
+  multicallBatchSize,
+  concurrency,
+  workQueue = null,
+  logger = silentLogger,
+  priceResolver = createPriceResolver({ logger }),
+  metadataCache = null,
+  emitter = null
+}) {
+  if (!provider) {
+    throw new InvalidInputError('未提供provider');
+  }
+  if (!wallets || wallets.length === 0) {
+    throw new InvalidInputError('必须提供钱包地址');
+  }
+  // NFT模式和自动发现代币时可以不提供代币
+  if ((!tokens || tokens.length === 0) && !nft && !discoverTokens) {
+    throw new InvalidInputError('必须提供代币地址');
+  }
+
+  const addresses = wallets;
+  tokens = normalizeTokens(tokens || []);
+  const results = [];
+  let currentBlock;
+  if (blockTag === null) {
+    try {
+      currentBlock = await provider.getBlockNumber();
+    } catch (error) {
+      throw new NetworkError(`获取当前区块高度失败: ${error.message}`, { cause: error });
+    }
+  } else {
+    currentBlock = (await getBlockInfo(provider, blockTag)).blockNumber;
+  }
+  const startBlock = Math.max(0, currentBlock - lookbackBlocks);
+
+  logger.info(blockTag === null
+    ? `当前区块高度: ${currentBlock}, 将查找从区块 ${startBlock} 开始的授权事件`
+    : `所有查询固定在区块 ${currentBlock}, 将查找区块 ${startBlock} 到 ${currentBlock} 的授权事件`);
+
+  // 计算总任务数，用于进度显示（加载检查点后会按实际需要扫描的组合重新计算）
+  let totalTasks = tokens.length * addresses.length;
+  let completedTasks = 0;
+
+  const emitProgress = (action = '') => {
+    emitter?.emit('progress', { completed: completedTasks, failed: failures.length, total: totalTasks, action });
+  };
+
+  // 读取检查点：已发现的授权组合，以及每个代币已扫描到的区块
+  const network = await provider.getNetwork();
+  const chainId = Number(network.chainId);
+  const scanState = checkpoint
+    ? await loadScanCheckpoint(checkpoint, chainId, logger)
+    : createScanState(chainId);
+  if (scanState.approvals.size > 0) {
+    logger.info(`从检查点恢复，已记录 ${scanState.approvals.size} 个授权组合`);
+  }
+
+  // 保存检查点，并发扫描的各组同时保存时依次写入，避免文件内容交错
+  let checkpointWrite = Promise.resolve();
+  const saveCheckpoint = () => {
+    if (!checkpoint) return Promise.resolve();
+    checkpointWrite = checkpointWrite.then(async () => {
+      try {
+        await saveScanCheckpoint(checkpoint, scanState);
+        logger.debug(`已保存检查点，已记录授权组合数: ${scanState.approvals.size}`);
+        emitter?.emit('checkpoint', { path: checkpoint, approvals: scanState.approvals.size });
+      } catch (error) {
+        logger.warn(`保存检查点失败: ${error.message}`);
+      }
+    });
+    return checkpointWrite;
+  };
+
+  // 每条结果和覆盖缺口都带上chainId，多网络运行时可以区分来源
+  const addResult = (row) => {
+    const result = { ...row, chainId };
+    results.push(result);
+    emitter?.emit('result', result);
+  };
+
+  // 重试后仍无法扫描的区块范围
+  const coverageGaps = [];
+  const addCoverageGap = (gap) => {
+    const coverageGap = { ...gap, chainId };
+    coverageGaps.push(coverageGap);
+    emitter?.emit('coverageGap', coverageGap);
+  };
+
+  // 已发现但无法确认当前状态的授权组合
+  const failures = [];
+  const addFailure = ({ owner, spender, tokenDetail }, approvalType, stage, error) => {
+    const failure = {
+      chainId,
+      walletAddress: owner,
+      tokenAddress: tokenDetail.address,
+      tokenSymbol: tokenDetail.symbol,
+      spenderAddress: spender,
+      assetType: tokenDetail.assetType ?? 'ERC20',
+      approvalType,
+      stage,
+      error: describeError(error)
+    };
+    failures.push(failure);
+    emitter?.emit('failure', failure);
+  };
+  const approvalTopic = erc20Interface.getEvent('Approval').topicHash;
+
+  // 所有RPC请求共用的工作队列，限制同时进行的请求数
+  const queue = workQueue || createWorkQueue({ concurrency });
+
+  // 创建Multicall执行器，将余额和授权查询合并为少量请求；指定区块时固定读取扫描结束的区块
+  const multicall = createMulticall(provider, {
+    batchSize: multicallBatchSize,
+    enabled: useMulticall,
+    blockTag: blockTag === null ? 'latest' : currentBlock,
+    queue,
+    logger
+  });
+
+  try {
+    // 钱包地址对应的topic（Approval事件的owner参数），以及topic与原始输入的对应关系
+    const ownerByTopic = new Map();
+    for (const address of addresses) {
+      try {
+        ownerByTopic.set(addressToTopic(address), address);
+      } catch (error) {
+        logger.warn(`无效的钱包地址 ${address}，已跳过`);
+      }
+    }
+    if (ownerByTopic.size === 0) {
+      throw new InvalidInputError('没有有效的钱包地址');
+    }
+    const walletByAddress = new Map([...ownerByTopic.values()].map(address => [address.toLowerCase(), address]));
+
+    // 按检查点中记录的扫描进度，将钱包按起始区块分组（用于不按合约地址进行的扫描）
+    const groupWalletsByFromBlock = (scanKey) => {
+      const plan = new Map();
+      for (const [topic, address] of ownerByTopic) {
+        const lastScannedBlock = getLastScannedBlock(scanState, scanKey, address);
+        const fromBlock = lastScannedBlock === null ? startBlock : lastScannedBlock + 1;
+        if (fromBlock > currentBlock) continue;
+        if (!plan.has(fromBlock)) plan.set(fromBlock, []);
+        plan.get(fromBlock).push(topic);
+      }
+      return plan;
+    };
+
+    // 自动发现代币：查找钱包发出过Approval或收到过Transfer的ERC20合约
+    if (discoverTokens) {
+      const discoveryPlan = groupWalletsByFromBlock(TOKEN_DISCOVERY_SCAN_KEY);
+      totalTasks = [...discoveryPlan.values()].reduce((sum, topics) => sum + topics.length, 0);
+
+      for (const [fromBlock, ownerTopics] of discoveryPlan) {
+        const groupWallets = ownerTopics.map(topic => ownerByTopic.get(topic));
+        emitProgress(`从区块 ${fromBlock} 开始查找 ${groupWallets.length} 个地址使用过的代币`);
+
+        const { tokens: foundTokens, gaps } = await discoverWalletTokens(provider, groupWallets, fromBlock, currentBlock, {
+          multicall,
+          ownersPerQuery,
+          chunkSize,
+          maxRetries,
+          queue,
+          logger,
+          onProgress: ({ scannedBlocks, totalBlocks, toBlock }) => {
+            const percent = Math.floor((scannedBlocks / totalBlocks) * 100);
+            emitProgress(`查找 ${groupWallets.length} 个地址使用过的代币: 区块 ${toBlock} (${percent}%)`);
+          }
+        });
+        addDiscoveredTokens(scanState, foundTokens);
+
+        for (const gap of gaps) {
+          addCoverageGap({ ...gap, scope: 'tokens', tokens: [], wallets: groupWallets });
+        }
+
+        const fullyScannedBlock = gaps.length > 0
+          ? Math.min(...gaps.map(gap => gap.fromBlock)) - 1
+          : currentBlock;
+        if (fullyScannedBlock >= fromBlock) {
+          markScanned(scanState, [TOKEN_DISCOVERY_SCAN_KEY], groupWallets, fullyScannedBlock);
+        }
+        await saveCheckpoint();
+
+        completedTasks += ownerTopics.length;
+        emitProgress();
+      }
+
+      // 传入的代币优先（保留代币文件中的价格），再加入自动发现的代币
+      const knownTokens = new Set(tokens.map(token => token.address.toLowerCase()));
+      const newTokens = [...scanState.discoveredTokens].filter(address => !knownTokens.has(address.toLowerCase()));
+      tokens = [...tokens, ...normalizeTokens(newTokens)];
+      logger.info(`自动发现 ${scanState.discoveredTokens.size} 个代币，合并后共检查 ${tokens.length} 个代币`);
+    }
+
+    // 一次性获取所有代币的信息
+    emitProgress(`获取 ${tokens.length} 个代币的信息`);
+    const tokenDetails = await loadTokenDetails(multicall, tokens, logger,
+      unpriced => priceResolver.getPrices({ provider, multicall, chainId, tokens: unpriced, blockTag: multicall.blockTag }),
+      metadataCache);
+
+    // 日志中的合约地址与代币的对应关系
+    const tokenByAddress = new Map(tokenDetails.map(token => [token.address.toLowerCase(), token]));
+
+    // 根据检查点确定每个 代币×钱包 的起始区块：扫描过的从上次扫描到的区块之后开始，否则从startBlock开始
+    // 起始区块和钱包集合都相同的代币合并为一组扫描
+    const scanPlan = new Map();
+    for (const token of tokenDetails) {
+      const topicsByFromBlock = new Map();
+      for (const [topic, address] of ownerByTopic) {
+        const lastScannedBlock = getLastScannedBlock(scanState, token.address, address);
+        const fromBlock = lastScannedBlock === null ? startBlock : lastScannedBlock + 1;
+        if (fromBlock > currentBlock) continue;
+        if (!topicsByFromBlock.has(fromBlock)) topicsByFromBlock.set(fromBlock, []);
+        topicsByFromBlock.get(fromBlock).push(topic);
+      }
+      for (const [fromBlock, ownerTopics] of topicsByFromBlock) {
+        const key = `${fromBlock}|${ownerTopics.join(',')}`;
+        if (!scanPlan.has(key)) scanPlan.set(key, { fromBlock, ownerTopics, tokens: [] });
+        scanPlan.get(key).tokens.push(token);
+      }
+    }
+
+    // Permit2事件只查询Permit2一个合约，NFT授权事件不限制合约地址，都按钱包记录扫描进度
+    const permit2ScanPlan = tokenDetails.length > 0 ? groupWalletsByFromBlock(PERMIT2_SCAN_KEY) : new Map();
+    const nftScanPlan = nft ? groupWalletsByFromBlock(NFT_SCAN_KEY) : new Map();
+
+    totalTasks = completedTasks;
+    for (const { fromBlock, ownerTopics, tokens: planTokens } of scanPlan.values()) {
+      totalTasks += ownerTopics.length * planTokens.length;
+      if (fromBlock !== startBlock) {
+        logger.info(`${planTokens.length} 个代币 × ${ownerTopics.length} 个地址将从区块 ${fromBlock} 开始增量扫描`);
+      }
+    }
+    for (const [fromBlock, ownerTopics] of permit2ScanPlan) {
+      totalTasks += ownerTopics.length;
+      if (fromBlock !== startBlock) {
+        logger.info(`${ownerTopics.length} 个地址的Permit2授权将从区块 ${fromBlock} 开始增量扫描`);
+      }
+    }
+    for (const [fromBlock, ownerTopics] of nftScanPlan) {
+      totalTasks += ownerTopics.length;
+      if (fromBlock !== startBlock) {
+        logger.info(`${ownerTopics.length} 个地址的NFT授权将从区块 ${fromBlock} 开始增量扫描`);
+      }
+    }
+
+    // 每次eth_getLogs同时查询多个代币和多个地址，各组并发扫描
+    const scanGroups = [];
+    for (const { fromBlock, ownerTopics, tokens: planTokens } of scanPlan.values()) {
+      for (const tokenGroup of chunkArray(planTokens, Math.max(1, parseInt(tokensPerQuery)))) {
+        for (const ownerGroup of chunkArray(ownerTopics, Math.max(1, parseInt(ownersPerQuery)))) {
+          scanGroups.push({ fromBlock, tokenGroup, ownerGroup });
+        }
+      }
+    }
+
+    await mapConcurrent(scanGroups, queue.concurrency, async ({ fromBlock, tokenGroup, ownerGroup }) => {
+      const groupLabel = `${tokenGroup.length} 个代币 × ${ownerGroup.length} 个地址`;
+      const groupTokens = tokenGroup.map(token => token.address);
+      const groupWallets = ownerGroup.map(topic => ownerByTopic.get(topic));
+      logger.debug(`扫描 ${groupLabel} 从区块 ${fromBlock} 开始的授权事件`);
+
+      const { logs, gaps } = await scanLogs(provider, {
+        address: groupTokens,
+        topics: [approvalTopic, ownerGroup]
+      }, fromBlock, currentBlock, {
+        chunkSize,
+        maxRetries,
+        queue,
+        logger,
+        onProgress: ({ scannedBlocks, totalBlocks, toBlock }) => {
+          const percent = Math.floor((scannedBlocks / totalBlocks) * 100);
+          emitProgress(`扫描 ${groupLabel} 的授权事件: 区块 ${toBlock} (${percent}%)`);
+        }
+      });
+      logger.debug(`  发现 ${logs.length} 个授权事件`);
+
+      for (const log of logs) {
+        // ERC721的Approval事件有4个topic（tokenId也被索引），这里只处理ERC20
+        if (log.topics.length !== 3) continue;
+
+        const owner = ownerByTopic.get(log.topics[1].toLowerCase());
+        const token = tokenByAddress.get(log.address.toLowerCase());
+        if (!owner || !token) continue;
+
+        const spender = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+        addApproval(scanState, { wallet: owner, token: token.address, spender });
+      }
+
+      // 记录无法获取日志的区块范围
+      for (const gap of gaps) {
+        addCoverageGap({ ...gap, scope: 'erc20', tokens: groupTokens, wallets: groupWallets });
+      }
+
+      // 只推进到第一个缺口之前，缺口部分在下次运行时重新扫描
+      const fullyScannedBlock = gaps.length > 0
+        ? Math.min(...gaps.map(gap => gap.fromBlock)) - 1
+        : currentBlock;
+      if (fullyScannedBlock >= fromBlock) {
+        markScanned(scanState, groupTokens, groupWallets, fullyScannedBlock);
+      }
+      await saveCheckpoint();
+
+      completedTasks += tokenGroup.length * ownerGroup.length;
+      emitProgress();
+    });
+
+    // 扫描Permit2的Approval/Permit事件：每个区块范围只查询一次，按事件中的代币拆分为各代币的Permit2内部授权
+    // 扫描进度按钱包记录，所以所有代币的授权都记入检查点，只检查本次指定的代币，之后加入的代币也不需要重新扫描
+    const permit2ScanGroups = [];
+    for (const [fromBlock, ownerTopics] of permit2ScanPlan) {
+      for (const ownerGroup of chunkArray(ownerTopics, Math.max(1, parseInt(ownersPerQuery)))) {
+        permit2ScanGroups.push({ fromBlock, ownerGroup });
+      }
+    }
+
+    await mapConcurrent(permit2ScanGroups, queue.concurrency, async ({ fromBlock, ownerGroup }) => {
+      const groupWallets = ownerGroup.map(topic => ownerByTopic.get(topic));
+      logger.debug(`扫描 ${ownerGroup.length} 个地址从区块 ${fromBlock} 开始的Permit2授权事件`);
+
+      const { logs, gaps } = await scanLogs(provider, {
+        address: PERMIT2_ADDRESS,
+        topics: [PERMIT2_EVENT_TOPICS, ownerGroup]
+      }, fromBlock, currentBlock, {
+        chunkSize,
+        maxRetries,
+        queue,
+        logger,
+        onProgress: ({ scannedBlocks, totalBlocks, toBlock }) => {
+          const percent = Math.floor((scannedBlocks / totalBlocks) * 100);
+          emitProgress(`扫描 ${ownerGroup.length} 个地址的Permit2授权事件: 区块 ${toBlock} (${percent}%)`);
+        }
+      });
+      logger.debug(`  发现 ${logs.length} 个Permit2授权事件`);
+
+      for (const log of logs) {
+        if (!isPermit2Log(log)) continue;
+        const owner = ownerByTopic.get(log.topics[1].toLowerCase());
+        if (!owner) continue;
+        const { token: tokenAddress, spender } = parsePermit2Log(log);
+        const token = tokenByAddress.get(tokenAddress.toLowerCase());
+        addApproval(scanState, { wallet: owner, token: token?.address ?? tokenAddress, spender, kind: 'permit2' });
+      }
+
+      for (const gap of gaps) {
+        addCoverageGap({ ...gap, scope: 'permit2', tokens: [], wallets: groupWallets });
+      }
+
+      const fullyScannedBlock = gaps.length > 0
+        ? Math.min(...gaps.map(gap => gap.fromBlock)) - 1
+        : currentBlock;
+      if (fullyScannedBlock >= fromBlock) {
+        markScanned(scanState, [PERMIT2_SCAN_KEY], groupWallets, fullyScannedBlock);
+      }
+      await saveCheckpoint();
+
+      completedTasks += ownerGroup.length;
+      emitProgress();
+    });
+
+    // 扫描NFT授权事件：ApprovalForAll、ERC721单个token的Approval，以及ERC1155转入记录
+    const nftScanGroups = [];
+    for (const [fromBlock, ownerTopics] of nftScanPlan) {
+      for (const ownerGroup of chunkArray(ownerTopics, Math.max(1, parseInt(ownersPerQuery)))) {
+        nftScanGroups.push({ fromBlock, ownerGroup });
+      }
+    }
+
+    await mapConcurrent(nftScanGroups, queue.concurrency, async ({ fromBlock, ownerGroup }) => {
+      const groupWallets = ownerGroup.map(topic => ownerByTopic.get(topic));
+      logger.debug(`扫描 ${ownerGroup.length} 个地址从区块 ${fromBlock} 开始的NFT授权事件`);
+
+      const { operatorApprovals, tokenApprovals, holdings, gaps } = await scanNftApprovalLogs(
+        provider, ownerGroup, ownerByTopic, fromBlock, currentBlock, {
+          chunkSize,
+          maxRetries,
+          queue,
+          logger,
+          onProgress: ({ scannedBlocks, totalBlocks, toBlock }) => {
+            const percent = Math.floor((scannedBlocks / totalBlocks) * 100);
+            emitProgress(`扫描 ${ownerGroup.length} 个地址的NFT授权事件: 区块 ${toBlock} (${percent}%)`);
+          }
+        });
+
+      for (const approval of operatorApprovals) {
+        addApproval(scanState, { ...approval, kind: 'operator' });
+      }
+      for (const approval of tokenApprovals) {
+        addApproval(scanState, { ...approval, kind: 'token' });
+      }
+      for (const holding of holdings) {
+        addApproval(scanState, { ...holding, kind: 'holding' });
+      }
+
+      for (const gap of gaps) {
+        addCoverageGap({ ...gap, scope: 'nft', tokens: [], wallets: groupWallets });
+      }
+
+      const fullyScannedBlock = gaps.length > 0
+        ? Math.min(...gaps.map(gap => gap.fromBlock)) - 1
+        : currentBlock;
+      if (fullyScannedBlock >= fromBlock) {
+        markScanned(scanState, [NFT_SCAN_KEY], groupWallets, fullyScannedBlock);
+      }
+      await saveCheckpoint();
+
+      completedTasks += ownerGroup.length;
+      emitProgress();
+    });
+
+    // 本次需要检查的授权组合：检查点中记录的和本次新发现的
+    const approvalPairs = [];
+    const permit2Pairs = [];
+    const nftCandidates = { operatorApprovals: [], tokenApprovals: [], holdings: [] };
+    for (const approval of scanState.approvals.values()) {
+      const { wallet, token: tokenAddress, spender, kind } = approval;
+      const owner = walletByAddress.get(wallet.toLowerCase());
+      if (!owner) continue;
+
+      if (kind === 'permit2') {
+        const token = tokenByAddress.get(tokenAddress.toLowerCase());
+        if (token) permit2Pairs.push({ token: token.address, owner, spender, tokenDetail: token });
+        continue;
+      }
+
+      // NFT授权按类型分别确认
+      if (kind) {
+        if (!nft) continue;
+        const candidate = { ...approval, wallet: owner };
+        if (kind === 'operator') nftCandidates.operatorApprovals.push(candidate);
+        if (kind === 'token') nftCandidates.tokenApprovals.push(candidate);
+        if (kind === 'holding') nftCandidates.holdings.push(candidate);
+        continue;
+      }
+
+      const token = tokenByAddress.get(tokenAddress.toLowerCase());
+      if (!token) continue;
+      approvalPairs.push({ token: token.address, owner, spender, tokenDetail: token });
+    }
+
+    // Permit2内部授权的过期时间与当前区块时间比较
+    let currentTimestamp = Math.floor(Date.now() / 1000);
+    if (permit2Pairs.length > 0) {
+      try {
+        currentTimestamp = (await provider.getBlock(currentBlock)).timestamp;
+      } catch (error) {
+        logger.warn(`获取区块 ${currentBlock} 的时间出错，使用本地时间判断Permit2授权是否过期:`, error.message);
+      }
+    }
+
+    // 检查一个代币的Permit2内部授权，spender实际能转走的数量还受钱包对Permit2合约的ERC20授权限制
+    const checkPermit2Pairs = async (token, pairs, balances, balanceErrors) => {
+      const { address: tokenAddress, symbol } = token;
+      const owners = [...new Set(pairs.map(pair => pair.owner))];
+      emitProgress(`检查 ${pairs.length} 个 ${symbol} 的Permit2授权`);
+      const tokenAllowanceResults = await fetchAllowances(multicall, owners.map(owner => ({ token: tokenAddress, owner, spender: PERMIT2_ADDRESS })));
+      const permit2Results = await fetchPermit2Allowances(multicall, pairs);
+
+      const tokenAllowances = new Map();
+      owners.forEach((owner, index) => {
+        tokenAllowances.set(owner, tokenAllowanceResults[index]);
+      });
+
+      pairs.forEach((pair, index) => {
+        const { owner: address, spender } = pair;
+        const permit2Result = permit2Results[index];
+        if (!permit2Result.success) {
+          logger.warn(`检查 ${address} 在Permit2中对 ${spender} 的 ${symbol} 授权出错:`, describeError(permit2Result.error));
+          addFailure(pair, 'permit2', 'allowance', permit2Result.error);
+          return;
+        }
+        // 钱包对Permit2合约的ERC20授权限制了实际能转走的数量，读取失败时无法计算
+        const tokenAllowance = tokenAllowances.get(address);
+        if (!tokenAllowance.success) {
+          addFailure(pair, 'permit2', 'allowance', tokenAllowance.error);
+          return;
+        }
+        if (!balances.has(address)) {
+          addFailure(pair, 'permit2', 'balance', balanceErrors.get(address));
+          return;
+        }
+
+        // 授权金额为0（已撤销或已用完）时从检查点中移除，再次授权时会产生新的事件
+        const { amount, expiration } = permit2Result.value;
+        if (amount === 0n) {
+          logger.debug(`  跳过 ${address} 在Permit2中对 ${spender} 的零值授权`);
+          removeApproval(scanState, { wallet: address, token: tokenAddress, spender, kind: 'permit2' });
+          return;
+        }
+
+        const row = buildPermit2ApprovalRow({
+          walletAddress: address,
+          token,
+          spenderAddress: spender,
+          amount,
+          expiration,
+          tokenAllowance: tokenAllowance.value,
+          balance: balances.get(address),
+          timestamp: currentTimestamp
+        });
+        addResult(row);
+      });
+    };
+
+    // 按代币批量读取余额和当前授权，各代币并发处理
+    await mapConcurrent(tokenDetails, queue.concurrency, async (token) => {
+      const { address: tokenAddress, symbol, decimals } = token;
+      const tokenPairs = approvalPairs.filter(pair => pair.tokenDetail === token);
+      const tokenPermit2Pairs = permit2Pairs.filter(pair => pair.tokenDetail === token);
+      if (tokenPairs.length === 0 && tokenPermit2Pairs.length === 0) return;
+
+      try {
+        // 批量获取有授权记录的地址的余额
+        const owners = [...new Set([...tokenPairs, ...tokenPermit2Pairs].map(pair => pair.owner))];
+        emitProgress(`获取 ${owners.length} 个地址的 ${symbol} 余额`);
+        const balanceResults = await fetchBalances(multicall, owners.map(owner => ({ token: tokenAddress, owner })));
+
+        // 余额读取失败的地址无法计算曝光，其授权记为失败
+        const balances = new Map();
+        const balanceErrors = new Map();
+        owners.forEach((address, index) => {
+          if (balanceResults[index].success) {
+            balances.set(address, balanceResults[index].value);
+            logger.debug(`  地址 ${address} 的 ${symbol} 余额: ${ethers.formatUnits(balanceResults[index].value, decimals ?? 0)}`);
+          } else {
+            logger.warn(`获取 ${address} 的 ${symbol} 余额出错:`, describeError(balanceResults[index].error));
+            balanceErrors.set(address, balanceResults[index].error);
+          }
+        });
+
+        // 批量获取当前授权金额
+        if (tokenPairs.length > 0) {
+          emitProgress(`检查 ${tokenPairs.length} 个 ${symbol} 授权`);
+        }
+        const allowanceResults = await fetchAllowances(multicall, tokenPairs);
+
+        tokenPairs.forEach((pair, index) => {
+          const { owner: address, spender } = pair;
+          const allowanceResult = allowanceResults[index];
+          if (!allowanceResult.success) {
+            logger.warn(`检查 ${address} 对 ${spender} 的当前授权出错:`, describeError(allowanceResult.error));
+            addFailure(pair, 'allowance', 'allowance', allowanceResult.error);
+            return;
+          }
+
+          const allowance = allowanceResult.value;
+
+          // 如果授权金额为0，且我们只关心当前有效的授权，可以跳过
+          // 已撤销的授权也从检查点中移除，再次授权时会产生新的Approval事件
+          if (allowance.toString() === '0') {
+            logger.debug(`  跳过 ${address} 对 ${spender} 的零值授权`);
+            removeApproval(scanState, { wallet: address, token: tokenAddress, spender });
+            return;
+          }
+          if (!balances.has(address)) {
+            addFailure(pair, 'allowance', 'balance', balanceErrors.get(address));
+            return;
+          }
+
+          // 添加到结果
+          const row = buildApprovalRow({
+            walletAddress: address,
+            token,
+            spenderAddress: spender,
+            allowance,
+            balance: balances.get(address)
+          });
+          addResult(row);
+        });
+
+        if (tokenPermit2Pairs.length > 0) {
+          await checkPermit2Pairs(token, tokenPermit2Pairs, balances, balanceErrors);
+        }
+      } catch (error) {
+        logger.warn(`处理代币 ${tokenAddress} 出错:`, describeError(error));
+        // 该代币尚未得到结果的授权组合都记为失败
+        const done = new Set(results.map(result => `${result.walletAddress}_${result.tokenAddress}_${result.spenderAddress}_${result.approvalType}`));
+        const recorded = new Set(failures.map(failure => `${failure.walletAddress}_${failure.tokenAddress}_${failure.spenderAddress}_${failure.approvalType}`));
+        for (const [pairs, approvalType] of [[tokenPairs, 'allowance'], [tokenPermit2Pairs, 'permit2']]) {
+          for (const pair of pairs) {
+            const key = `${pair.owner}_${tokenAddress}_${pair.spender}_${approvalType}`;
+            if (!done.has(key) && !recorded.has(key)) addFailure(pair, approvalType, 'allowance', error);
+          }
+        }
+      }
+    });
+
+    // 确认NFT授权当前是否有效，已失效的从检查点中移除
+    if (nft && (nftCandidates.operatorApprovals.length > 0 || nftCandidates.tokenApprovals.length > 0)) {
+      emitProgress(`检查 ${nftCandidates.operatorApprovals.length + nftCandidates.tokenApprovals.length} 个NFT授权`);
+      const { operatorRows, tokenRows, revoked, failed } = await checkNftApprovals(multicall, nftCandidates, logger);
+
+      for (const approval of revoked) {
+        removeApproval(scanState, approval);
+      }
+      // 无法确认状态的NFT授权保留在检查点中，与ERC20授权一样记为失败
+      for (const { approval, approvalType, assetType, tokenSymbol, error } of failed) {
+        addFailure({ owner: approval.wallet, spender: approval.spender, tokenDetail: { address: approval.token, symbol: tokenSymbol, assetType } }, approvalType, 'allowance', error);
+      }
+      for (const row of [...operatorRows, ...tokenRows]) {
+        addResult(row);
+      }
+    }
+
+    await saveCheckpoint();
+  } finally {
+    completedTasks = totalTasks;
+    emitProgress();
+  }
+
+  return { results, coverageGaps, failures };
+}
@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { resolveNetworks, connectNetwork } from './networks.js';
+import { silentLogger } from './logger.js';
+import { mapConcurrent, DEFAULT_CONCURRENCY } from './work-queue.js';
+import { ConfigError, InvalidInputError, NetworkError } from './errors.js';
+
+// ENS注册表只部署在以太坊主网，检查其他网络时名称也在主网解析
+const ENS_CHAIN_ID = 1;
+
+// 判断输入是否为需要解析的名称（例如 vitalik.eth、ops.example.com），地址和其他字符串返回false
+export function isEnsName(value) {
+  if (typeof value !== 'string') return false;
+  const name = value.trim();
+  return !ethers.isHexString(name) && /^[^\s.]+(\.[^\s.]+)+$/.test(name);
+}
+
+// 获取解析名称使用的主网provider：已连接主网时直接共用，否则单独连接ETHEREUM_RPC_URL
+// 未配置ETHEREUM_RPC_URL时返回null；required为false时主网无法连接只输出警告并返回null
+// options为 { timeout, maxRetries, logger }，见connectNetwork
+export async function getEnsProvider(connections, { required = false, env = process.env, ...options } = {}) {
+  const mainnet = connections.find(connection => connection.network.chainId === ENS_CHAIN_ID);
+  if (mainnet) return mainnet.provider;
+
+  let network;
+  try {
+    [network] = resolveNetworks('ethereum', env);
+  } catch (error) {
+    if (required) {
+      throw new ConfigError('输入中包含ENS名称，需要在以太坊主网解析，请在.env文件中配置ETHEREUM_RPC_URL');
+    }
+    return null;
+  }
+
+  try {
+    return await connectNetwork(network, options);
+  } catch (error) {
+    if (required || !(error instanceof NetworkError)) throw error;
+    options.logger?.warn(`无法连接以太坊主网，将不显示ENS名称: ${error.message}`);
+    return null;
+  }
+}
+
+// 创建ENS解析器，正向解析（名称 -> 地址）和反向解析（地址 -> 主名称）的结果都会缓存，同一名称或地址只查询一次
+// provider为以太坊主网的provider，为null时不能解析名称，反向解析总是返回null
+export function createEnsResolver({ provider = null, concurrency = DEFAULT_CONCURRENCY, logger = silentLogger } = {}) {
+  const forward = new Map();
+  const reverse = new Map();
+
+  // 解析名称，名称不存在或未设置地址时返回null，RPC请求失败时抛出NetworkError
+  const resolveName = (name) => {
+    const key = name.trim().toLowerCase();
+    if (!forward.has(key)) {
+      if (!provider) {
+        throw new ConfigError(`无法解析ENS名称 ${name}，需要在.env文件中配置ETHEREUM_RPC_URL`);
+      }
+      const pending = provider.resolveName(key).catch(error => {
+        // 通用解析器对没有解析器的名称会revert（ResolverNotFound），与名称不存在相同
+        if (ethers.isError(error, 'CALL_EXCEPTION')) return null;
+        forward.delete(key);
+        throw new NetworkError(`解析ENS名称 ${name} 失败: ${error.message}`, { cause: error });
+      });
+      forward.set(key, pending);
+    }
+    return forward.get(key);
+  };
+
+  // 反向解析地址的主名称，ethers会正向解析主名称确认与地址一致，没有主名称或查询失败时返回null
+  const lookupAddress = (address) => {
+    const key = address.toLowerCase();
+    if (!provider) return Promise.resolve(null);
+    if (!reverse.has(key)) {
+      reverse.set(key, provider.lookupAddress(address).catch(error => {
+        logger.debug(`反向解析 ${address} 失败: ${error.message}`);
+        return null;
+      }));
+    }
+    return reverse.get(key);
+  };
+
+  return {
+    available: provider !== null,
+    resolveName,
+    lookupAddress,
+
+    // 把钱包或spender条目中的名称解析为地址，返回新的条目数组，名称保存在ensName字段，地址条目的ensName为null
+    // 有名称无法解析时抛出InvalidInputError，列出所有无法解析的名称
+    async resolveEntries(entries) {
+      const names = [...new Set(entries.filter(entry => isEnsName(entry.address)).map(entry => entry.address.trim().toLowerCase()))];
+      if (names.length === 0) {
+        return entries.map(entry => ({ ...entry, ensName: null }));
+      }
+
+      const resolved = new Map();
+      await mapConcurrent(names, concurrency, async (name) => {
+        resolved.set(name, await resolveName(name));
+      });
+
+      const unresolved = names.filter(name => !resolved.get(name));
+      if (unresolved.length > 0) {
+        throw new InvalidInputError(`无法解析ENS名称: ${unresolved.join(', ')}`);
+      }
+      for (const name of names) {
+        logger.debug(`ENS名称 ${name} 解析为 ${resolved.get(name)}`);
+      }
+
+      return entries.map(entry => {
+        if (!isEnsName(entry.address)) return { ...entry, ensName: null };
+        const name = entry.address.trim().toLowerCase();
+        return { ...entry, address: resolved.get(name), ensName: name };
+      });
+    },
+
+    // 反向解析一组地址，返回 Map<小写地址, 主名称>，没有主名称的地址不在Map中
+    async lookupAddresses(addresses) {
+      const names = new Map();
+      if (!provider) return names;
+      const unique = [...new Set(addresses.map(address => address.toLowerCase()))];
+      await mapConcurrent(unique, concurrency, async (address) => {
+        const name = await lookupAddress(address);
+        if (name) names.set(address, name);
+      });
+      return names;
+    }
+  };
+}
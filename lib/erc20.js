@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+
+// ERC20代币ABI
+export const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "function totalSupply() view returns (uint256)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+export const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// 批量获取代币的symbol和decimals
+// symbol()按原始返回数据解析：标准代币返回string，MKR等早期代币返回bytes32；symbol()失败或为空时使用name()
+// 返回与tokenAddresses一一对应的 { symbol, decimals, error }，无法确定的字段为null
+export async function fetchTokenMetadata(multicall, tokenAddresses) {
+  const calls = [];
+  for (const target of tokenAddresses) {
+    calls.push({ target, contractInterface: erc20Interface, method: 'symbol', raw: true });
+    calls.push({ target, contractInterface: erc20Interface, method: 'name', raw: true });
+    calls.push({ target, contractInterface: erc20Interface, method: 'decimals' });
+  }
+
+  const results = await multicall.call(calls);
+
+  return tokenAddresses.map((_, index) => {
+    const [symbolResult, nameResult, decimalsResult] = results.slice(index * 3, index * 3 + 3);
+    const symbol = (symbolResult.success ? decodeTokenText(symbolResult.value) : null) ??
+      (nameResult.success ? decodeTokenText(nameResult.value) : null);
+    return {
+      symbol,
+      decimals: decimalsResult.success ? Number(decimalsResult.value) : null,
+      error: symbol === null ? symbolResult.error || new Error('symbol()和name()都没有返回有效的文本') : decimalsResult.error
+    };
+  });
+}
+
+// 解析symbol()或name()的返回数据，支持ABI编码的string和右侧补零的bytes32，无法解析或为空时返回null
+export function decodeTokenText(returnData) {
+  if (!returnData || returnData === '0x') return null;
+  let text = null;
+  try {
+    [text] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], returnData);
+  } catch (error) {
+    const bytes = ethers.getBytes(returnData);
+    if (bytes.length === 32) {
+      const end = bytes.indexOf(0);
+      try {
+        text = ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end));
+      } catch (decodeError) {
+        return null;
+      }
+    }
+  }
+  // 去掉控制字符，避免破坏表格和导出文件
+  const cleaned = text?.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return cleaned || null;
+}
+
+// 批量获取余额，queries中每一项形如 { token, owner }
+// 返回与queries一一对应的 { success, value, error }
+export async function fetchBalances(multicall, queries) {
+  return multicall.call(queries.map(({ token, owner }) => ({
+    target: token,
+    contractInterface: erc20Interface,
+    method: 'balanceOf',
+    args: [owner]
+  })));
+}
+
+// 批量获取授权金额，queries中每一项形如 { token, owner, spender }
+// 返回与queries一一对应的 { success, value, error }
+export async function fetchAllowances(multicall, queries) {
+  return multicall.call(queries.map(({ token, owner, spender }) => ({
+    target: token,
+    contractInterface: erc20Interface,
+    method: 'allowance',
+    args: [owner, spender]
+  })));
+}
@@ -0,0 +1,37 @@
+// 库中抛出的所有错误的基类，code字段便于调用方区分错误类型
+export class ApprovalCheckerError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'APPROVAL_CHECKER_ERROR';
+  }
+}
+
+// 输入参数无效，例如缺少钱包地址、代币或spender
+export class InvalidInputError extends ApprovalCheckerError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_INPUT', ...options });
+  }
+}
+
+// 读取输入文件失败
+export class InputFileError extends ApprovalCheckerError {
+  constructor(filePath, cause) {
+    super(`读取文件 ${filePath} 出错: ${cause?.message}`, { code: 'INPUT_FILE_ERROR', cause });
+    this.filePath = filePath;
+  }
+}
+
+// 配置错误，例如未配置RPC URL
+export class ConfigError extends ApprovalCheckerError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options });
+  }
+}
+
+// 与RPC节点通信失败
+export class NetworkError extends ApprovalCheckerError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NETWORK_ERROR', ...options });
+  }
+}
@@ -0,0 +1,85 @@
+import { ethers } from 'ethers';
+
+// 根据授权金额和余额生成一行结果
+// token为 { address, symbol, decimals, price, priceSource, priceBlock, underlying }，allowance和balance为bigint
+// LP代币和金库份额的曝光量同时按底层资产拆分为underlyingAssets
+// decimals为null（精度未知）时金额按最小单位显示，不计算美元价值，并标记decimalsUnknown
+export function buildApprovalRow({ walletAddress, token, spenderAddress, allowance, balance }) {
+  const decimalsUnknown = token.decimals === null || token.decimals === undefined;
+  const decimals = decimalsUnknown ? 0 : token.decimals;
+  const price = decimalsUnknown ? null : token.price;
+
+  // 检查是否是无限授权 (2^256 - 1)
+  const maxUint256 = ethers.MaxUint256;
+  const isInfiniteApproval = allowance.toString() === maxUint256.toString();
+
+  // 格式化显示的金额
+  const formattedAllowance = isInfiniteApproval
+    ? '∞'
+    : ethers.formatUnits(allowance, decimals);
+
+  // 计算曝光量（授权金额与余额的较小值）
+  let exposedAmount;
+  if (isInfiniteApproval) {
+    // 如果是无限授权，曝光量等于余额
+    exposedAmount = balance;
+  } else {
+    // 否则，曝光量为授权金额与余额的较小值
+    exposedAmount = allowance > balance ? balance : allowance;
+  }
+
+  // 格式化显示的曝光量
+  const formattedExposedAmount = ethers.formatUnits(exposedAmount, decimals);
+
+  // 计算曝光美元价值
+  let exposedValueUSD = null;
+  if (price !== null) {
+    exposedValueUSD = parseFloat(formattedExposedAmount) * price;
+  }
+
+  // 曝光量对应的底层资产数量和价值
+  const underlyingAssets = token.underlying && !decimalsUnknown
+    ? token.underlying.map(asset => {
+      const amount = parseFloat(formattedExposedAmount) * asset.amountPerToken;
+      return {
+        tokenAddress: asset.address,
+        tokenSymbol: asset.symbol,
+        amount,
+        valueUSD: asset.price !== null ? amount * asset.price : null
+      };
+    })
+    : null;
+
+  return {
+    walletAddress,
+    tokenAddress: token.address,
+    tokenSymbol: token.symbol,
+    spenderAddress,
+    allowance: formattedAllowance,
+    rawAllowance: allowance.toString(),
+    isInfiniteApproval,
+    balance: ethers.formatUnits(balance, decimals),
+    rawBalance: balance.toString(),
+    exposedAmount: formattedExposedAmount,
+    rawExposedAmount: exposedAmount.toString(),
+    price: token.price,
+    priceSource: token.priceSource ?? null,
+    priceBlock: token.priceBlock ?? null,
+    exposedValueUSD: exposedValueUSD,
+    underlyingAssets,
+    assetType: 'ERC20',
+    approvalType: 'allowance',
+    tokenId: null,
+    expiration: null,
+    isExpired: false,
+    decimalsUnknown
+  };
+}
+
+// 授权是否有效：基本模式的结果包含授权金额为0的行，Permit2授权过期后也不再有效
+// NFT单个token授权的金额为"#tokenId"，始终有效
+export function isActiveApproval(result) {
+  if (!result || result.isExpired) return false;
+  if (result.isInfiniteApproval || result.approvalType === 'token') return true;
+  return parseFloat(result.allowance) > 0;
+}
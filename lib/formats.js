@@ -0,0 +1,488 @@
+import { getNetworkName } from './networks.js';
+import { summarizeResults, summarizeWalletExposure } from './summary.js';
+import { formatContractRole } from './known-contracts.js';
+
+// 支持的导出格式
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'md', 'html'];
+
+// 确定导出格式：未指定时按文件扩展名判断，无法判断时为csv
+export function resolveExportFormat(format, filepath) {
+  if (format) return String(format).toLowerCase();
+  const extension = String(filepath).split('.').pop().toLowerCase();
+  if (extension === 'markdown') return 'md';
+  if (extension === 'htm') return 'html';
+  return EXPORT_FORMATS.includes(extension) ? extension : 'csv';
+}
+
+// 代币列的显示，NFT授权附带合约标准，Permit2内部授权附带Permit2标记，精度未知的代币附带标记
+export function formatTokenLabel(result) {
+  const suffix = result.decimalsUnknown ? ' [精度未知]' : '';
+  if (result.approvalType === 'permit2') {
+    return `${result.tokenSymbol} (Permit2)${suffix}`;
+  }
+  return result.assetType && result.assetType !== 'ERC20'
+    ? `${result.tokenSymbol} (${result.assetType})${suffix}`
+    : `${result.tokenSymbol}${suffix}`;
+}
+
+// 失败检查的授权类型，与结果行相同按资产类型和授权方式区分，旧记录没有assetType时按授权方式推断
+export function formatFailureType(failure) {
+  if (failure.approvalType === 'permit2') return 'Permit2';
+  if (failure.approvalType === 'operator') return `${failure.assetType || 'NFT'} 全部授权`;
+  if (failure.approvalType === 'token') return `${failure.assetType || 'ERC721'} 单个token授权`;
+  return failure.assetType || 'ERC20';
+}
+
+// Permit2授权的到期时间（UTC），超出Date可表示范围的视为永不过期
+export function formatExpiration(expiration) {
+  if (expiration === null || expiration === undefined) return '';
+  const date = new Date(expiration * 1000);
+  return Number.isNaN(date.getTime()) ? 'never' : date.toISOString();
+}
+
+// 按RFC 4180转义CSV字段：包含逗号、双引号或换行的字段用双引号包围，字段内的双引号写成两个
+export function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 生成CSV内容，rows的第一行为表头，行之间使用CRLF
+export function formatCsvRows(rows) {
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV报告，列顺序保持不变，新增的列追加在末尾，旧的读取脚本不受影响
+export function formatCsv(results) {
+  const rows = [[
+    'WalletAddress', 'TokenAddress', 'TokenSymbol', 'SpenderAddress', 'Allowance', 'Balance', 'ExposedAmount',
+    'Price', 'ExposedValueUSD', 'IsInfiniteApproval', 'AssetType', 'ApprovalType', 'TokenId', 'Expiration',
+    'IsExpired', 'ChainId', 'Network', 'WalletLabel', 'WalletGroup', 'WalletOwner', 'SpenderLabel',
+    'SpenderProtocol', 'SpenderRole', 'RiskScore', 'RiskLevel', 'RiskReasons', 'PriceSource', 'PriceBlock', 'UnderlyingAssets',
+    'WalletEnsName', 'SpenderEnsName', 'DecimalsUnknown', 'RawAllowance'
+  ]];
+
+  for (const result of results) {
+    rows.push([
+      result.walletAddress,
+      result.tokenAddress,
+      result.tokenSymbol,
+      result.spenderAddress,
+      result.allowance,
+      result.balance,
+      result.exposedAmount,
+      result.price !== null ? result.price : 'unknown',
+      result.exposedValueUSD !== null ? result.exposedValueUSD.toFixed(2) : 'unknown',
+      result.isInfiniteApproval,
+      result.assetType || 'ERC20',
+      result.approvalType || 'allowance',
+      result.tokenId ?? '',
+      formatExpiration(result.expiration),
+      result.isExpired || false,
+      result.chainId ?? '',
+      result.chainId !== undefined ? getNetworkName(result.chainId) : '',
+      result.walletLabel ?? '',
+      result.walletGroup ?? '',
+      result.walletOwner ?? '',
+      result.spenderLabel ?? '',
+      result.spenderProtocol ?? 'unknown',
+      result.spenderRole ?? 'unknown',
+      result.riskScore ?? '',
+      result.riskLevel ?? '',
+      (result.riskReasons || []).join('; '),
+      result.priceSource ?? '',
+      result.priceBlock ?? '',
+      formatUnderlyingAssets(result),
+      result.walletEnsName ?? '',
+      result.spenderEnsName ?? '',
+      result.decimalsUnknown || false,
+      result.rawAllowance ?? ''
+    ]);
+  }
+
+  return formatCsvRows(rows);
+}
+
+// spender的协议名称和角色，未登记的合约显示为未知
+export function formatSpenderProtocol(result) {
+  if (!result.spenderProtocol) return '未知合约';
+  return result.spenderRole ? `${result.spenderProtocol} (${formatContractRole(result.spenderRole)})` : result.spenderProtocol;
+}
+
+// 价格来源的显示名称
+const PRICE_SOURCE_NAMES = { 'token-file': '代币文件', chainlink: 'Chainlink', dex: 'DEX池', lp: 'LP底层资产', erc4626: 'ERC-4626金库' };
+
+// 价格来源和查询价格的区块，没有价格时返回空字符串
+export function formatPriceSource(result) {
+  if (!result.priceSource) return '';
+  const name = PRICE_SOURCE_NAMES[result.priceSource] ?? result.priceSource;
+  return result.priceBlock !== null && result.priceBlock !== undefined ? `${name} @${result.priceBlock}` : name;
+}
+
+// 底层资产数量保留6位有效数字，不使用科学计数法
+export function formatAssetAmount(amount) {
+  return amount.toLocaleString('en-US', { maximumSignificantDigits: 6, useGrouping: false });
+}
+
+// LP代币和金库份额的曝光量对应的底层资产，例如"1.5 WETH + 3000 USDC"，其他代币返回空字符串
+export function formatUnderlyingAssets(result) {
+  if (!result.underlyingAssets) return '';
+  return result.underlyingAssets.map(asset => `${formatAssetAmount(asset.amount)} ${asset.tokenSymbol}`).join(' + ');
+}
+
+// 风险等级的显示名称
+const RISK_LEVEL_NAMES = { high: '高', medium: '中', low: '低' };
+
+// 风险分数和等级，未评估时返回空字符串
+export function formatRisk(result) {
+  if (result.riskScore === null || result.riskScore === undefined) return '';
+  return `${result.riskScore} (${RISK_LEVEL_NAMES[result.riskLevel] ?? result.riskLevel})`;
+}
+
+// JSON中的BigInt转为字符串
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// JSON报告：运行信息、摘要、完整结果（包含raw*原始金额）、覆盖缺口和失败的检查
+export function formatJson({ results, coverageGaps = [], failures = [], metadata = {} }) {
+  return JSON.stringify({
+    metadata,
+    summary: { ...summarizeResults(results), walletExposure: summarizeWalletExposure(results) },
+    results,
+    coverageGaps,
+    failures
+  }, jsonReplacer, 2);
+}
+
+// NDJSON报告：每行一个对象，第一行为运行信息，之后依次为结果、覆盖缺口和失败的检查，用type字段区分
+export function formatNdjson({ results, coverageGaps = [], failures = [], metadata = {} }) {
+  const lines = [
+    JSON.stringify({ type: 'metadata', ...metadata }, jsonReplacer),
+    ...results.map(result => JSON.stringify({ type: 'result', ...result }, jsonReplacer)),
+    ...coverageGaps.map(gap => JSON.stringify({ type: 'coverageGap', ...gap }, jsonReplacer)),
+    ...failures.map(failure => JSON.stringify({ type: 'failure', ...failure }, jsonReplacer))
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// 监控告警的JSON，每条一行，用于追加到NDJSON文件或输出到stdout
+export function formatAlertJson(alert) {
+  return JSON.stringify({ type: 'alert', ...alert }, jsonReplacer);
+}
+
+// 格式化美元金额，未知时返回"未知"
+function formatUSD(value) {
+  return value === null || value === undefined ? '未知' : `$${value.toFixed(2)}`;
+}
+
+// 结果表格的列，Markdown和HTML报告共用
+// value为显示内容，sort为HTML排序使用的值（数值列按数值排序）
+const RESULT_COLUMNS = [
+  { title: '网络', value: r => getNetworkName(r.chainId) },
+  { title: '钱包地址', value: r => r.walletAddress },
+  { title: 'ENS名称', value: r => r.walletEnsName ?? '' },
+  { title: '钱包标签', value: r => r.walletLabel ?? '' },
+  { title: '分组', value: r => r.walletGroup ?? '' },
+  { title: '负责人', value: r => r.walletOwner ?? '' },
+  { title: '代币', value: r => formatTokenLabel(r) },
+  { title: '代币地址', value: r => r.tokenAddress },
+  { title: 'Spender合约', value: r => r.spenderAddress },
+  { title: 'Spender ENS名称', value: r => r.spenderEnsName ?? '' },
+  { title: 'Spender标签', value: r => r.spenderLabel ?? '' },
+  { title: 'Spender协议', value: r => formatSpenderProtocol(r) },
+  { title: '授权金额', value: r => r.isExpired ? '已过期' : r.allowance, sort: r => r.isInfiniteApproval ? Infinity : parseFloat(r.allowance) },
+  { title: '余额', value: r => r.balance, sort: r => parseFloat(r.balance) },
+  { title: '曝光量', value: r => r.exposedAmount, sort: r => parseFloat(r.exposedAmount) },
+  { title: '底层资产', value: r => formatUnderlyingAssets(r) },
+  { title: '价格(USD)', value: r => r.price ?? '未知', sort: r => r.price },
+  { title: '价格来源', value: r => formatPriceSource(r) },
+  { title: '曝光价值(USD)', value: r => formatUSD(r.exposedValueUSD), sort: r => r.exposedValueUSD },
+  { title: '无限授权', value: r => r.isInfiniteApproval ? '是' : '否' },
+  { title: '到期时间', value: r => formatExpiration(r.expiration) },
+  { title: '风险评分', value: r => formatRisk(r), sort: r => r.riskScore ?? null },
+  { title: '风险原因', value: r => (r.riskReasons || []).join('；') }
+];
+
+// 覆盖缺口表格的列
+const GAP_COLUMNS = [
+  { title: '网络', value: g => getNetworkName(g.chainId) },
+  { title: '起始区块', value: g => g.fromBlock, sort: g => g.fromBlock },
+  { title: '结束区块', value: g => g.toBlock, sort: g => g.toBlock },
+  { title: '范围', value: g => g.scope === 'nft' ? 'NFT(全部合约)' : g.scope === 'tokens' ? '代币发现(全部合约)' : g.scope === 'permit2' ? 'Permit2(全部代币)' : (g.tokens || []).join(', ') },
+  { title: '钱包地址', value: g => (g.wallets || []).join(', ') },
+  { title: '错误', value: g => g.error }
+];
+
+// 失败检查表格的列
+const FAILURE_COLUMNS = [
+  { title: '网络', value: f => getNetworkName(f.chainId) },
+  { title: '钱包地址', value: f => f.walletAddress },
+  { title: '代币', value: f => f.tokenSymbol || f.tokenAddress },
+  { title: '代币地址', value: f => f.tokenAddress },
+  { title: 'Spender合约', value: f => f.spenderAddress },
+  { title: '授权类型', value: formatFailureType },
+  { title: '失败步骤', value: f => f.stage === 'balance' ? '读取余额' : '读取授权' },
+  { title: '错误', value: f => f.error }
+];
+
+// 运行信息的文字描述，Markdown和HTML报告共用
+function describeMetadata(metadata) {
+  const lines = [];
+  if (metadata.generatedAt) lines.push(['生成时间', metadata.generatedAt]);
+  for (const network of metadata.networks || []) {
+    const block = network.blockNumber !== undefined
+      ? `${network.snapshot ? '快照 ' : ''}区块 ${network.blockNumber}${network.timestamp ? `（${new Date(network.timestamp * 1000).toISOString()}）` : ''}`
+      : '';
+    lines.push([`${network.name} (chainId: ${network.chainId})`, block]);
+  }
+  for (const [key, value] of Object.entries(metadata.inputs || {})) {
+    lines.push([key, Array.isArray(value) ? `${value.length} 项` : String(value)]);
+  }
+  return lines;
+}
+
+// 摘要的文字描述，与终端摘要的内容一致
+function describeSummary(summary) {
+  const lines = [
+    `钱包地址: ${summary.wallets}`,
+    `代币合约: ${summary.tokens}`,
+    `spender合约: ${summary.spenders}`,
+    `授权: ${summary.approvals}，其中 ${summary.infiniteApprovals} 个为无限授权`,
+    `总曝光价值: ${formatUSD(summary.exposedValueUSD)}`
+  ];
+  if (summary.highRiskApprovals !== null) {
+    lines.push(`高风险授权: ${summary.highRiskApprovals}`);
+  }
+  if (summary.unknownDecimalsApprovals > 0) {
+    lines.push(`代币精度未知的授权: ${summary.unknownDecimalsApprovals}（金额为最小单位，未计入曝光价值）`);
+  }
+  if (summary.chains.length > 1) {
+    for (const chain of summary.chains) {
+      lines.push(`${chain.network} (chainId: ${chain.chainId}): ${chain.approvals} 个授权，曝光价值 ${formatUSD(chain.exposedValueUSD)}`);
+    }
+  }
+  return lines;
+}
+
+// Markdown表格单元格中的竖线和换行需要转义
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function markdownTable(columns, rows) {
+  return [
+    `| ${columns.map(column => column.title).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => escapeMarkdown(column.value(row))).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Markdown报告：运行信息、摘要、完整结果表格、覆盖缺口和失败的检查
+export function formatMarkdown({ results, coverageGaps = [], failures = [], metadata = {} }) {
+  const summary = summarizeResults(results);
+  const sections = ['# 授权检查报告'];
+
+  const metadataLines = describeMetadata(metadata);
+  if (metadataLines.length > 0) {
+    sections.push(metadataLines.map(([key, value]) => `- **${escapeMarkdown(key)}**: ${escapeMarkdown(value)}`).join('\n'));
+  }
+
+  sections.push('## 摘要', describeSummary(summary).map(line => `- ${escapeMarkdown(line)}`).join('\n'));
+  sections.push('## 授权', results.length > 0 ? markdownTable(RESULT_COLUMNS, results) : '未找到任何授权信息');
+
+  if (coverageGaps.length > 0) {
+    sections.push('## 覆盖缺口', '以下区块范围的授权事件无法获取，相关钱包的结果可能不完整。', markdownTable(GAP_COLUMNS, coverageGaps));
+  }
+  if (failures.length > 0) {
+    sections.push('## 检查失败', '以下授权组合在多次重试后仍无法读取，状态未知。', markdownTable(FAILURE_COLUMNS, failures));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 可排序的HTML表格，数值列在data-sort中保存排序值
+function htmlTable(columns, rows) {
+  const head = columns.map(column => `<th>${escapeHtml(column.title)}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = columns.map(column => {
+      const sortValue = column.sort ? column.sort(row) : null;
+      const attribute = typeof sortValue === 'number' && !Number.isNaN(sortValue)
+        ? ` data-sort="${sortValue === Infinity ? 'Infinity' : sortValue}"`
+        : '';
+      return `<td${attribute}>${escapeHtml(column.value(row))}</td>`;
+    }).join('');
+    return `<tr>${cells}</tr>`;
+  }).join('\n');
+  return `<table class="sortable">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// 点击表头排序，有data-sort的单元格按数值排序，其余按文本排序
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach(function (th, index) {
+  th.addEventListener('click', function () {
+    var table = th.closest('table');
+    var tbody = table.tBodies[0];
+    var ascending = th.getAttribute('data-order') !== 'asc';
+    table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('data-order'); });
+    th.setAttribute('data-order', ascending ? 'asc' : 'desc');
+    var value = function (row) {
+      var cell = row.cells[index];
+      var sort = cell.getAttribute('data-sort');
+      return sort !== null ? parseFloat(sort) : cell.textContent;
+    };
+    var rows = Array.prototype.slice.call(tbody.rows);
+    rows.sort(function (a, b) {
+      var x = value(a), y = value(b);
+      if (typeof x === 'number' && typeof y !== 'number') return -1;
+      if (typeof y === 'number' && typeof x !== 'number') return 1;
+      var result = typeof x === 'number' ? (x === y ? 0 : x < y ? -1 : 1) : String(x).localeCompare(String(y));
+      return ascending ? result : -result;
+    });
+    rows.forEach(function (row) { tbody.appendChild(row); });
+  });
+});
+`;
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 22px; }
+h2 { font-size: 18px; margin-top: 32px; }
+table { border-collapse: collapse; font-size: 13px; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; word-break: break-all; }
+th { background: #f4f4f4; cursor: pointer; user-select: none; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+tr:nth-child(even) td { background: #fafafa; }
+.metadata td:first-child { font-weight: bold; width: 240px; }
+.warning { color: #c0392b; }
+`;
+
+// HTML报告：单个文件，不依赖外部资源，可直接作为附件发送
+export function formatHtml({ results, coverageGaps = [], failures = [], metadata = {} }) {
+  const summary = summarizeResults(results);
+  const parts = [];
+
+  const metadataLines = describeMetadata(metadata);
+  if (metadataLines.length > 0) {
+    const rows = metadataLines.map(([key, value]) => `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n');
+    parts.push(`<table class="metadata">\n${rows}\n</table>`);
+  }
+
+  parts.push('<h2>摘要</h2>');
+  parts.push(`<ul>\n${describeSummary(summary).map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}\n</ul>`);
+
+  if (summary.chains.length > 1) {
+    const chainIds = summary.chains.map(chain => chain.chainId);
+    const walletColumns = [
+      { title: '钱包地址', value: w => w.walletAddress },
+      { title: 'ENS名称', value: w => w.walletEnsName ?? '' },
+      { title: '钱包标签', value: w => w.walletLabel ?? '' },
+      ...chainIds.map(chainId => ({
+        title: getNetworkName(chainId),
+        value: w => chainId in w.chains ? formatUSD(w.chains[chainId]) : '-',
+        sort: w => w.chains[chainId] ?? null
+      })),
+      { title: '跨链总曝光(USD)', value: w => formatUSD(w.exposedValueUSD), sort: w => w.exposedValueUSD }
+    ];
+    parts.push('<h2>各钱包跨链总曝光</h2>', htmlTable(walletColumns, summarizeWalletExposure(results)));
+  }
+
+  parts.push('<h2>授权</h2>');
+  parts.push(results.length > 0 ? htmlTable(RESULT_COLUMNS, results) : '<p>未找到任何授权信息</p>');
+
+  if (coverageGaps.length > 0) {
+    parts.push('<h2 class="warning">覆盖缺口</h2>');
+    parts.push('<p class="warning">以下区块范围的授权事件无法获取，相关钱包的结果可能不完整。</p>');
+    parts.push(htmlTable(GAP_COLUMNS, coverageGaps));
+  }
+  if (failures.length > 0) {
+    parts.push('<h2 class="warning">检查失败</h2>');
+    parts.push('<p class="warning">以下授权组合在多次重试后仍无法读取，状态未知。</p>');
+    parts.push(htmlTable(FAILURE_COLUMNS, failures));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>授权检查报告</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>授权检查报告</h1>
+${parts.join('\n')}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// 授权变化类型的显示名称
+const DIFF_CHANGE_NAMES = {
+  new: '新增授权',
+  revoked: '已撤销',
+  'became-infinite': '变为无限授权',
+  increased: '授权增加',
+  decreased: '授权减少'
+};
+
+export function formatDiffChange(change) {
+  return DIFF_CHANGE_NAMES[change] ?? change;
+}
+
+// 支持的变化导出格式，变化报告用于告警，只提供机器可读的格式
+export const DIFF_EXPORT_FORMATS = ['csv', 'json'];
+
+// 授权变化的CSV，每个变化一行；授权不存在的一侧金额为空
+export function formatDiffCsv(changes) {
+  const rows = [[
+    'Change', 'ChainId', 'Network', 'WalletAddress', 'WalletLabel', 'TokenAddress', 'TokenSymbol', 'SpenderAddress',
+    'SpenderLabel', 'SpenderProtocol', 'AssetType', 'ApprovalType', 'TokenId', 'AllowanceBefore', 'AllowanceAfter',
+    'IsInfiniteBefore', 'IsInfiniteAfter', 'ExposedValueBeforeUSD', 'ExposedValueAfterUSD', 'ExposedValueDeltaUSD',
+    'RiskScore', 'RiskLevel'
+  ]];
+
+  const formatValue = (value) => value === null ? 'unknown' : value.toFixed(2);
+  for (const change of changes) {
+    rows.push([
+      change.change,
+      change.chainId ?? '',
+      change.chainId !== null ? getNetworkName(change.chainId) : '',
+      change.walletAddress,
+      change.walletLabel ?? '',
+      change.tokenAddress,
+      change.tokenSymbol,
+      change.spenderAddress,
+      change.spenderLabel ?? '',
+      change.spenderProtocol ?? 'unknown',
+      change.assetType,
+      change.approvalType,
+      change.tokenId ?? '',
+      change.allowanceBefore ?? '',
+      change.allowanceAfter ?? '',
+      change.isInfiniteBefore,
+      change.isInfiniteAfter,
+      formatValue(change.exposedValueBeforeUSD),
+      formatValue(change.exposedValueAfterUSD),
+      formatValue(change.exposedValueDeltaUSD),
+      change.riskScore ?? '',
+      change.riskLevel ?? ''
+    ]);
+  }
+
+  return formatCsvRows(rows);
+}
+
+// 授权变化的JSON：比较的两份报告、变化汇总和完整的变化列表
+export function formatDiffJson({ changes, summary, before = null, after = null }) {
+  return JSON.stringify({ before, after, summary, changes }, jsonReplacer, 2);
+}
@@ -0,0 +1,871 @@
+import type { EventEmitter } from 'events';
+import type { Provider, Interface } from 'ethers';
+
+/** 代币输入：地址字符串，或带可选价格（美元）的对象 */
+/** symbol和decimals覆盖链上读取的代币信息，用于symbol()或decimals()无法调用的代币 */
+export type TokenInput = string | {
+  address: string;
+  price?: number | null;
+  chainId?: number | null;
+  symbol?: string | null;
+  decimals?: number | null;
+};
+
+/** 日志对象，未传入时不输出任何内容 */
+export interface Logger {
+  debug(...args: unknown[]): void;
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** 一行授权检查结果 */
+export interface ApprovalResult {
+  /** 结果所在网络的chainId */
+  chainId: number;
+  walletAddress: string;
+  tokenAddress: string;
+  tokenSymbol: string;
+  spenderAddress: string;
+  /** 格式化后的授权金额，无限授权为"∞"；代币精度未知时为最小单位 */
+  allowance: string;
+  /** 原始授权金额（十进制字符串） */
+  rawAllowance: string;
+  isInfiniteApproval: boolean;
+  balance: string;
+  rawBalance: string;
+  /** 曝光量：授权金额与余额中的较小值 */
+  exposedAmount: string;
+  rawExposedAmount: string;
+  price: number | null;
+  /** 价格来源：代币文件、Chainlink、DEX池储备、LP代币或ERC-4626金库的底层资产，没有价格时为null */
+  priceSource: PriceSource | null;
+  /** 读取链上价格的区块，代币文件中的价格为null */
+  priceBlock: number | null;
+  exposedValueUSD: number | null;
+  /** LP代币和ERC-4626金库份额的曝光量对应的底层资产，其他代币为null */
+  underlyingAssets: UnderlyingAsset[] | null;
+  /** 代币的decimals无法确定：金额为最小单位，曝光价值为null（NFT授权没有此字段） */
+  decimalsUnknown?: boolean;
+  /** 资产类型：ERC20、ERC721或ERC1155 */
+  assetType: 'ERC20' | 'ERC721' | 'ERC1155';
+  /**
+   * 授权类型：allowance（ERC20 approve）、permit2（Permit2内部授权）、
+   * operator（setApprovalForAll）或token（NFT单个tokenId授权）
+   */
+  approvalType: 'allowance' | 'permit2' | 'operator' | 'token';
+  /** NFT单个token授权的tokenId，其他类型为null */
+  tokenId: string | null;
+  /** Permit2授权的到期时间（Unix秒），其他类型为null */
+  expiration: number | null;
+  /** Permit2授权是否已过期，已过期的授权金额和曝光量为0 */
+  isExpired: boolean;
+  /** 输入文件中的钱包标签、分组和负责人，由applyLabels添加 */
+  walletLabel?: string | null;
+  walletGroup?: string | null;
+  walletOwner?: string | null;
+  /** 输入文件中的spender标签，由applyLabels添加 */
+  spenderLabel?: string | null;
+  /** 钱包和spender在以太坊主网反向解析的ENS主名称，由applyLabels添加 */
+  walletEnsName?: string | null;
+  spenderEnsName?: string | null;
+  /** 已知合约登记表中spender的协议名称和角色（router、aggregator、lending、vault、marketplace、bridge、permit），未登记时为null */
+  spenderProtocol?: string | null;
+  spenderRole?: string | null;
+  /** spender风险分数（0-100）、等级和原因，由applyRiskScores添加 */
+  riskScore?: number | null;
+  riskLevel?: RiskLevel | null;
+  riskReasons?: string[];
+}
+
+/** 重试后仍无法扫描的区块范围，其中的授权可能被遗漏 */
+export interface CoverageGap {
+  chainId: number;
+  fromBlock: number;
+  toBlock: number;
+  error: string;
+  /**
+   * erc20为按代币扫描Approval事件，nft为不限合约扫描NFT授权事件，
+   * tokens为自动发现代币时的扫描，permit2为扫描Permit2的授权事件（nft、tokens和permit2时tokens字段为空）
+   */
+  scope: 'erc20' | 'nft' | 'tokens' | 'permit2';
+  tokens: string[];
+  wallets: string[];
+}
+
+/** RPC重试后仍无法读取余额或当前授权的授权组合，授权状态未知 */
+export interface ApprovalFailure {
+  chainId: number;
+  walletAddress: string;
+  tokenAddress: string;
+  tokenSymbol: string;
+  spenderAddress: string;
+  assetType: ApprovalResult['assetType'];
+  /** operator为NFT全部授权（ApprovalForAll），token为ERC721单个token授权 */
+  approvalType: 'allowance' | 'permit2' | 'operator' | 'token';
+  /** 失败的步骤：读取余额或读取授权 */
+  stage: 'balance' | 'allowance';
+  error: string;
+}
+
+export type PriceSource = 'token-file' | 'chainlink' | 'dex' | 'lp' | 'erc4626';
+
+export interface UnderlyingAsset {
+  tokenAddress: string;
+  tokenSymbol: string;
+  amount: number;
+  valueUSD: number | null;
+}
+
+/** 一个网络的链上价格来源配置，地址均为校验和格式 */
+export interface NetworkPriceSources {
+  /** 代币地址到Chainlink USD聚合器的对应关系 */
+  feeds: Record<string, string>;
+  /** Chainlink Feed Registry，没有时为null */
+  feedRegistry: string | null;
+  /** Uniswap V2兼容的工厂合约 */
+  dexFactories: string[];
+  /** DEX回退时的计价资产，价格来自feeds */
+  baseAssets: Array<{ address: string; decimals: number }>;
+}
+
+/** 内置的各网络价格来源，键为chainId */
+export const PRICE_SOURCES: Record<number, NetworkPriceSources>;
+
+/** 区块号或区块标签 */
+export type BlockTag = number | 'latest' | 'safe' | 'finalized' | 'earliest';
+
+export interface PriceResolver {
+  getPrices(options: {
+    provider: Provider;
+    multicall: Multicall;
+    chainId: number;
+    tokens: Array<{ address: string; decimals: number }>;
+    /** 读取价格的区块，默认'latest' */
+    blockTag?: BlockTag;
+  }): Promise<Map<string, {
+    price: number | null;
+    source: Exclude<PriceSource, 'token-file'> | null;
+    /** LP代币和金库份额每单位对应的底层资产 */
+    underlying: Array<{ address: string; symbol: string; amountPerToken: number; price: number | null }> | null;
+    block: number | null;
+  }>>;
+}
+
+/** 创建链上价格解析器，价格按 chainId:地址 缓存在内存中 */
+export function createPriceResolver(options?: { logger?: Logger; sources?: Record<number, NetworkPriceSources> }): PriceResolver;
+
+/** progress事件参数 */
+export interface ProgressEvent {
+  completed: number;
+  /** 重试后仍失败的检查数（checkApprovals），已结束但不计入completed */
+  failed?: number;
+  total: number;
+  action: string;
+}
+
+interface CommonOptions {
+  provider: Provider;
+  wallets: string[];
+  /** 检查点文件路径，为空时不使用检查点 */
+  checkpoint?: string | null | false;
+  /** 是否使用Multicall3合并调用，默认true */
+  multicall?: boolean;
+  /** 每个Multicall3请求合并的最大调用数，默认500 */
+  multicallBatchSize?: number | string;
+  /** 在该区块的快照上检查（区块号或latest、safe、finalized等标签），日志扫描也在该区块结束；默认读取最新区块 */
+  blockTag?: BlockTag | null;
+  /** 链上价格解析器，多次调用传入同一个实例时共用价格缓存；默认每次调用新建 */
+  priceResolver?: PriceResolver;
+  /** 代币symbol和decimals的缓存（小写地址 -> 信息），同一网络上多次调用传入同一个Map时只读取一次 */
+  metadataCache?: Map<string, { symbol: string; decimals: number }> | null;
+  /** 同时进行的RPC请求数，默认4；传入workQueue时由workQueue决定 */
+  concurrency?: number | string;
+  /** 工作队列，同一网络上多次并发调用传入同一个队列时合计不超过其并发数 */
+  workQueue?: WorkQueue | null;
+  logger?: Logger;
+  /**
+   * 事件通知：
+   * - progress: ProgressEvent
+   * - result: ApprovalResult
+   * - coverageGap: CoverageGap（discoverApprovals，以及启用discoverTokens的checkApprovals）
+   * - failure: ApprovalFailure
+   * - checkpoint: { path: string }
+   */
+  emitter?: EventEmitter | null;
+}
+
+export interface CheckApprovalsOptions extends CommonOptions {
+  /** discoverTokens为true时可以为空 */
+  tokens?: TokenInput[];
+  spenders: string[];
+  /** 余额价值低于该值（美元）的代币跳过检查，默认1 */
+  minValueUSD?: number | string;
+  /** 每轮批量查询的钱包地址数，默认100 */
+  walletBatchSize?: number | string;
+  /** 通过钱包的Approval和Transfer事件自动发现代币，默认false */
+  discoverTokens?: boolean;
+  /** 自动发现代币时向前查找的区块数，默认1000000 */
+  lookbackBlocks?: number;
+  /** 自动发现代币时每次eth_getLogs查询的最大区块数，默认50000 */
+  chunkSize?: number | string;
+  /** 自动发现代币时日志查询失败后的最大重试次数，默认3 */
+  maxRetries?: number | string;
+}
+
+export interface DiscoverApprovalsOptions extends CommonOptions {
+  /** nft或discoverTokens为true时可以为空 */
+  tokens?: TokenInput[];
+  /** 向前查找Approval事件的区块数，默认1000000 */
+  lookbackBlocks?: number;
+  /** 每次eth_getLogs查询的最大区块数，默认50000 */
+  chunkSize?: number | string;
+  /** 日志查询失败后的最大重试次数，默认3 */
+  maxRetries?: number | string;
+  /** 每次eth_getLogs查询的钱包地址数，默认50 */
+  ownersPerQuery?: number | string;
+  /** 每次eth_getLogs查询的代币合约数，默认20 */
+  tokensPerQuery?: number | string;
+  /** 同时发现ERC721/ERC1155授权，默认false */
+  nft?: boolean;
+  /** 通过钱包的Approval和Transfer事件自动发现代币，与tokens合并，默认false */
+  discoverTokens?: boolean;
+}
+
+export interface DiscoverApprovalsResult {
+  results: ApprovalResult[];
+  coverageGaps: CoverageGap[];
+  failures: ApprovalFailure[];
+}
+
+export function checkApprovals(options: CheckApprovalsOptions): Promise<ApprovalResult[]>;
+export function discoverApprovals(options: DiscoverApprovalsOptions): Promise<DiscoverApprovalsResult>;
+
+/** 监控到的授权，在结果行的基础上附加事件信息 */
+export interface ApprovalAlert extends ApprovalResult {
+  /** 授权事件所在的区块和交易 */
+  blockNumber: number | null;
+  transactionHash: string | null;
+  logIndex: number | null;
+  /** 读取授权金额和余额的区块 */
+  checkedBlock: number;
+  detectedAt: string;
+  /** 链重组后对被重组区块中的授权重新检查的结果 */
+  reorg: boolean;
+}
+
+export interface ApprovalWatcherOptions {
+  provider: Provider;
+  wallets: string[];
+  /** 只监控这些代币的ERC20授权，为空时监控所有合约 */
+  tokens?: TokenInput[];
+  /** 监控ERC20授权，默认true；为false时只监控NFT授权，需要同时设置nft */
+  erc20?: boolean;
+  /** 同时监控ApprovalForAll和ERC721单个token授权，默认false */
+  nft?: boolean;
+  /** 监控状态文件，保存处理进度和最近区块的哈希；为空时不保存 */
+  stateFile?: string | null;
+  /** 没有监控状态时开始的区块，默认当前区块之后 */
+  fromBlock?: number | string | null;
+  /** 轮询间隔（毫秒），默认12000 */
+  pollInterval?: number;
+  /** 检测链重组时保留的最近区块数，默认12 */
+  reorgDepth?: number | string;
+  chunkSize?: number | string;
+  maxRetries?: number | string;
+  ownersPerQuery?: number | string;
+  multicall?: boolean;
+  multicallBatchSize?: number | string;
+  /** 未传入时每轮新建，价格随区块更新 */
+  priceResolver?: PriceResolver | null;
+  logger?: Logger;
+  /**
+   * 事件通知：
+   * - alert: ApprovalAlert
+   * - reorg: { chainId, fromBlock, toBlock }
+   * - coverageGap: CoverageGap
+   * - failure: ApprovalFailure，读取状态失败的授权在之后每一轮重新检查，同一授权只通知一次
+   * - poll: { chainId, fromBlock, toBlock, alerts }
+   */
+  emitter?: EventEmitter | null;
+}
+
+export interface ApprovalWatcher {
+  /** 持续监控直到stop()被调用 */
+  run(): Promise<void>;
+  /** 停止监控，run()在当前一轮处理完成并保存状态后返回 */
+  stop(): void;
+}
+
+/** 创建授权监控器，新的授权事件通过emitter的alert事件通知 */
+export function createApprovalWatcher(options: ApprovalWatcherOptions): ApprovalWatcher;
+
+export interface WorkQueue {
+  /** 同时运行的最大任务数 */
+  concurrency: number;
+  /** 提交任务，同时运行的任务达到concurrency时按提交顺序等待 */
+  run<T>(task: () => T | Promise<T>): Promise<T>;
+}
+
+export const DEFAULT_CONCURRENCY: number;
+/** 创建工作队列，任务内不能再向同一个队列提交任务并等待其完成 */
+export function createWorkQueue(options?: { concurrency?: number | string }): WorkQueue;
+/** 对items中的每一项执行fn，同时最多concurrency个，返回与items一一对应的结果 */
+export function mapConcurrent<T, R>(items: T[], concurrency: number | string, fn: (item: T, index: number) => Promise<R>): Promise<R[]>;
+
+export interface RateLimiter {
+  /** 每秒放行的请求数，0为不限速 */
+  requestsPerSecond: number;
+  /** 等待一个令牌 */
+  acquire(): Promise<void>;
+}
+
+/** 令牌桶限速器，requestsPerSecond为0时不限速 */
+export function createRateLimiter(options?: { requestsPerSecond?: number; burst?: number }): RateLimiter;
+
+/** 让provider的每个JSON-RPC请求先经过限速器（替换provider.send），返回同一个provider */
+export function throttleProvider<T extends import('ethers').JsonRpcApiProvider>(provider: T, limiter: RateLimiter): T;
+
+export interface ApprovalServerOptions {
+  /** 已连接的网络，所有请求共用这些provider */
+  networks: Array<{ name: string; chainId: number; provider: import('ethers').JsonRpcApiProvider }>;
+  registry?: ContractRegistry;
+  /** 请求风险评估时使用的黑名单 */
+  denylist?: SpenderInput[];
+  /** 请求未指定blocks时向前查找的区块数，默认1000000 */
+  lookbackBlocks?: number;
+  /** 每个网络每秒最多的RPC请求数，所有请求共用，默认0（不限速） */
+  requestsPerSecond?: number;
+  /** 每个网络同时进行的RPC请求数，所有请求和任务共用，默认4 */
+  concurrency?: number | string;
+  /** 链上价格的缓存时间（毫秒），默认300000 */
+  priceTtl?: number;
+  /** 同时运行的批量任务数，默认1 */
+  jobConcurrency?: number;
+  /** 保留的已结束任务数，默认100 */
+  maxJobs?: number;
+  /** 任务请求体的最大字节数，默认1MB */
+  maxBodySize?: number;
+  chunkSize?: number | string;
+  maxRetries?: number | string;
+  ownersPerQuery?: number | string;
+  tokensPerQuery?: number | string;
+  multicall?: boolean;
+  multicallBatchSize?: number | string;
+  /** 解析请求中ENS名称的以太坊主网provider，默认使用networks中chainId为1的网络，都没有时不支持ENS名称 */
+  ensProvider?: Provider | null;
+  /** 反向解析结果中钱包和spender的ENS主名称，默认true */
+  ensNames?: boolean;
+  logger?: Logger;
+}
+
+export interface ApprovalServer {
+  server: import('http').Server;
+  /** 开始监听，默认127.0.0.1:3000 */
+  listen(port?: number, host?: string): Promise<import('net').AddressInfo>;
+  /** 停止接受新连接，排队中的任务不再运行 */
+  close(): Promise<void>;
+}
+
+/**
+ * 创建授权查询HTTP服务：
+ * - GET /wallets/:address/approvals：单个钱包的即时查询，address可以是ENS名称
+ * - POST /jobs、GET /jobs/:id、GET /jobs/:id/results：批量检查任务
+ */
+export function createApprovalServer(options: ApprovalServerOptions): ApprovalServer;
+
+export const MULTICALL3_ADDRESS: string;
+
+export interface MulticallCall {
+  target: string;
+  contractInterface: Interface;
+  method: string;
+  args?: unknown[];
+  /** 为true时不解码，value为返回的原始数据 */
+  raw?: boolean;
+}
+
+export interface MulticallResult {
+  success: boolean;
+  value: any;
+  error: Error | null;
+}
+
+export interface Multicall {
+  call(calls: MulticallCall[]): Promise<MulticallResult[]>;
+  batchSize: number;
+  /** 所有调用读取的区块 */
+  blockTag: BlockTag;
+  /** 发送请求使用的工作队列 */
+  queue: WorkQueue;
+}
+
+export function createMulticall(provider: Provider, options?: {
+  batchSize?: number | string;
+  address?: string;
+  enabled?: boolean;
+  logger?: Logger;
+  /** 所有调用读取的区块，默认'latest' */
+  blockTag?: BlockTag;
+  /** 限制同时进行的请求数的工作队列，默认新建一个并发数为DEFAULT_CONCURRENCY的队列 */
+  queue?: WorkQueue;
+}): Multicall;
+
+export function scanLogs(
+  provider: Provider,
+  filter: { address?: string | string[]; topics?: Array<string | string[] | null> },
+  fromBlock: number,
+  toBlock: number,
+  options?: {
+    chunkSize?: number | string;
+    minChunkSize?: number | string;
+    maxRetries?: number | string;
+    /** 每次eth_getLogs都通过该工作队列发送 */
+    queue?: WorkQueue;
+    logger?: Logger;
+    onProgress?: (progress: { scannedBlocks: number; totalBlocks: number; fromBlock: number; toBlock: number }) => void;
+  }
+): Promise<{ logs: import('ethers').Log[]; gaps: Array<{ fromBlock: number; toBlock: number; error: string }> }>;
+
+export const PERMIT2_ADDRESS: string;
+
+export interface NetworkConfig {
+  name: string;
+  chainId: number;
+  /** 第一个RPC URL */
+  rpcUrl: string;
+  /** 按优先顺序排列的全部RPC URL，未提供时只使用rpcUrl */
+  rpcUrls?: string[];
+}
+
+export interface RpcProviderOptions {
+  /** 每个请求的超时时间（毫秒），默认30000 */
+  timeout?: number;
+  /** 请求失败或被限流后的最大重试次数，默认5 */
+  maxRetries?: number | string;
+  logger?: Logger;
+}
+
+export type RpcProvider = import('ethers').JsonRpcProvider & {
+  /** 各端点的健康状态，url可能包含API密钥，name只包含主机名 */
+  readonly endpoints: Array<{ url: string; name: string; failures: number; healthy: boolean }>;
+  /** 查询每个端点的chainId，无法连接的端点chainId为null */
+  probeEndpoints(): Promise<Array<{ url: string; name: string; chainId: number | null; error: Error | null }>>;
+};
+
+export const DEFAULT_RPC_TIMEOUT: number;
+export const DEFAULT_RPC_RETRIES: number;
+/** 创建支持多个RPC URL的provider：失败的端点暂停使用并切换到下一个，全部失败时指数退避重试，重试用完后抛出NetworkError */
+export function createRpcProvider(urls: string | string[], options?: RpcProviderOptions): RpcProvider;
+/** 是否为限流错误（HTTP 429或RPC返回的额度超限错误） */
+export function isRateLimitError(error: unknown): boolean;
+
+/** 支持的网络名称与chainId */
+export const NETWORKS: Record<string, { chainId: number; label: string }>;
+export function getNetworkName(chainId: number | bigint): string;
+/** 解析逗号分隔的网络列表，RPC URL从 <网络名大写>_RPC_URL 读取 */
+export function resolveNetworks(names?: string, env?: Record<string, string | undefined>): NetworkConfig[];
+/** 连接网络并确认每个RPC URL返回的chainId与预期一致，全部URL都无法连接时抛出NetworkError */
+export function connectNetwork(network: NetworkConfig, options?: RpcProviderOptions): Promise<RpcProvider>;
+
+export function readLinesFromFile(filePath: string): Promise<string[]>;
+/** 读取代币文件：每行"地址,价格,symbol,decimals"，价格、symbol和decimals可以省略，地址可加chainId:前缀 */
+export function readTokensFromFile(filePath: string): Promise<Array<{
+  address: string;
+  price: number | null;
+  chainId: number | null;
+  symbol: string | null;
+  decimals: number | null;
+}>>;
+/** 带标签的钱包输入 */
+export interface WalletInput {
+  address: string;
+  label: string | null;
+  group: string | null;
+  owner: string | null;
+}
+
+/** 带标签的spender输入，chainId为null时适用于所有网络 */
+export interface SpenderInput {
+  address: string;
+  chainId: number | null;
+  label: string | null;
+}
+
+/**
+ * 读取钱包文件：带address,label,group,owner表头的CSV/TSV，或每行一个地址（行尾"# 注释"作为标签）
+ * 找不到address列的表头或文件中没有钱包地址时抛出InputFileError
+ */
+export function readWalletsFromFile(filePath: string): Promise<WalletInput[]>;
+/** 读取spender文件：带address,label,chainId表头的CSV/TSV，或每行一个地址（支持chainId:前缀和行尾注释） */
+export function readSpendersFromFile(filePath: string): Promise<SpenderInput[]>;
+
+/** 已知合约登记条目，chains为null时适用于所有网络 */
+export interface KnownContract {
+  chains: number[] | null;
+  address: string;
+  protocol: string;
+  role: string | null;
+}
+
+export interface ContractRegistry {
+  /** 未登记的地址返回null */
+  lookup(chainId: number, address: string): { protocol: string; role: string | null } | null;
+}
+
+/** 内置的常见spender合约 */
+export const KNOWN_CONTRACTS: KnownContract[];
+/** 创建登记表，extraEntries覆盖内置条目 */
+export function createContractRegistry(extraEntries?: KnownContract[]): ContractRegistry;
+/** 读取带address,protocol,role,chainId表头的CSV/TSV登记文件 */
+export function readRegistryFile(filePath: string): Promise<KnownContract[]>;
+
+/** 把钱包和spender标签以及已知合约信息附加到检查结果，返回新的结果数组；registry默认为内置登记表 */
+export function applyLabels<T extends ApprovalResult>(
+  results: T[],
+  labels?: {
+    wallets?: WalletInput[];
+    spenders?: Array<Pick<SpenderInput, 'address' | 'label'> & { chainId?: number | null }>;
+    registry?: ContractRegistry;
+    /** 反向解析得到的ENS主名称，键为小写地址 */
+    ensNames?: Map<string, string>;
+  }
+): Array<T & Required<Pick<ApprovalResult, 'walletLabel' | 'walletGroup' | 'walletOwner' | 'spenderLabel' | 'spenderProtocol' | 'spenderRole' | 'walletEnsName' | 'spenderEnsName'>>>;
+
+/** 是否为需要解析的名称（例如 vitalik.eth），地址返回false */
+export function isEnsName(value: unknown): boolean;
+
+/**
+ * 获取解析ENS名称使用的以太坊主网provider：connections中有主网时直接使用，否则连接ETHEREUM_RPC_URL；
+ * 未配置时返回null，required为true时抛出ConfigError
+ */
+export function getEnsProvider(
+  connections: Array<{ network: { chainId: number }; provider: Provider }>,
+  options?: RpcProviderOptions & { required?: boolean; env?: Record<string, string | undefined> }
+): Promise<Provider | null>;
+
+export interface EnsResolver {
+  /** 是否有可用的主网provider */
+  available: boolean;
+  /** 解析名称，不存在时返回null，结果会缓存 */
+  resolveName(name: string): Promise<string | null>;
+  /** 反向解析地址的主名称，没有主名称或查询失败时返回null，结果会缓存 */
+  lookupAddress(address: string): Promise<string | null>;
+  /** 把条目中的名称解析为地址，名称保存在ensName字段；有名称无法解析时抛出InvalidInputError */
+  resolveEntries<T extends { address: string }>(entries: T[]): Promise<Array<T & { ensName: string | null }>>;
+  /** 反向解析一组地址，返回 Map<小写地址, 主名称> */
+  lookupAddresses(addresses: string[]): Promise<Map<string, string>>;
+}
+
+/** 创建ENS解析器，provider为以太坊主网的provider（为null时不能解析名称） */
+export function createEnsResolver(options?: { provider?: Provider | null; concurrency?: number | string; logger?: Logger }): EnsResolver;
+
+export type RiskLevel = 'high' | 'medium' | 'low';
+
+/** spender的链上信息，部署时间需要归档节点，无法查询时为null */
+export interface SpenderFacts {
+  address: string;
+  isEOA: boolean;
+  /** 是否为EIP-1967/EIP-1822可升级代理 */
+  isProxy: boolean;
+  implementation: string | null;
+  /** 代理合约管理员（EIP-1967管理员槽或owner()），未知时为null */
+  admin: string | null;
+  adminIsEOA: boolean | null;
+  deployedBlock: number | null;
+  deployedAt: number | null;
+  ageDays: number | null;
+  denylisted: boolean;
+  denylistReason: string | null;
+}
+
+/** 收集spender的链上信息，返回的Map以"chainId:小写地址"为键 */
+export function collectSpenderFacts(
+  provider: Provider,
+  spenders: string[],
+  options?: {
+    denylist?: SpenderInput[];
+    blockTag?: BlockTag;
+    /** 与同一网络的其他检查共用的工作队列，默认新建一个并发数为concurrency的队列 */
+    workQueue?: WorkQueue | null;
+    concurrency?: number | string;
+    logger?: Logger;
+  }
+): Promise<Map<string, SpenderFacts>>;
+/** 计算一行结果的风险分数，facts缺失时只按授权本身评估 */
+export function scoreApproval(
+  result: ApprovalResult,
+  facts?: SpenderFacts
+): { riskScore: number; riskLevel: RiskLevel; riskReasons: string[] };
+/** 为结果附加风险分数，应在applyLabels之后调用（未登记的合约会加分） */
+export function applyRiskScores<T extends ApprovalResult>(
+  results: T[],
+  facts: Map<string, SpenderFacts>
+): Array<T & Required<Pick<ApprovalResult, 'riskScore' | 'riskLevel' | 'riskReasons'>>>;
+
+/** 从导出的CSV报告读回的一行结果，原始金额只有rawAllowance（旧报告没有RawAllowance列时为null）；旧报告没有ChainId列时chainId为null */
+export type ReportRow = Omit<ApprovalResult, 'chainId' | 'rawAllowance' | 'rawBalance' | 'rawExposedAmount' | 'underlyingAssets'> & {
+  chainId: number | null;
+  rawAllowance: string | null;
+};
+export function readResultsFromCsv(filePath: string): Promise<ReportRow[]>;
+/** 按扩展名读取导出的CSV、JSON或NDJSON报告；Markdown和HTML报告抛出InvalidInputError */
+export function readResultsFromReport(filePath: string): Promise<Array<ReportRow | ApprovalResult>>;
+
+type RevocationSource = Pick<ApprovalResult, 'walletAddress' | 'tokenAddress' | 'spenderAddress' | 'approvalType' | 'tokenId'>;
+
+/** 撤销一条授权的调用 */
+export function buildRevocation(result: RevocationSource): { to: string; data: string; method: string };
+
+/** 未签名的撤销交易，数值字段为十进制字符串 */
+export interface RevocationTransaction {
+  chainId: number;
+  from: string;
+  to: string;
+  data: string;
+  value: string;
+  /** 模拟失败的交易为null */
+  nonce: number | null;
+  gasLimit: string | null;
+  maxFeePerGas: string | null;
+  maxPriorityFeePerGas: string | null;
+  /** 不支持EIP-1559的网络使用gasPrice */
+  gasPrice: string | null;
+  revoke: {
+    method: string;
+    tokenAddress: string;
+    tokenSymbol: string;
+    spenderAddress: string;
+    assetType: ApprovalResult['assetType'];
+    approvalType: ApprovalResult['approvalType'];
+    tokenId: string | null;
+    exposedValueUSD: number | null;
+  };
+  simulation: { success: boolean; error: string | null };
+  /** eth_call模拟或gas估算失败，交易可能会revert */
+  flagged: boolean;
+}
+
+/** 去重并跳过授权金额为0的结果 */
+export function collectRevocations<T extends RevocationSource & Pick<ApprovalResult, 'allowance'>>(
+  results: T[]
+): Array<{ result: T; call: { to: string; data: string; method: string } }>;
+
+/** 生成撤销交易并用eth_call模拟，results应属于provider所在的网络 */
+export function prepareRevocations(options: {
+  provider: Provider;
+  results: Array<RevocationSource & Pick<ApprovalResult, 'tokenSymbol' | 'allowance' | 'assetType' | 'exposedValueUSD'>>;
+  logger?: Logger;
+  /** 触发progress事件 */
+  emitter?: EventEmitter;
+}): Promise<RevocationTransaction[]>;
+
+/** 签名from与钱包地址一致且未被标记的交易 */
+export function signRevocations(
+  wallet: import('ethers').Signer & { address: string },
+  transactions: RevocationTransaction[]
+): Promise<Array<{ transaction: RevocationTransaction; signedTransaction: string }>>;
+
+export interface SafeInfo {
+  address: string;
+  owners: string[];
+  threshold: number;
+}
+
+/** 通过getOwners和getThreshold识别Safe多签，键为小写地址 */
+export function detectSafes(multicall: Multicall, wallets: string[]): Promise<Map<string, SafeInfo>>;
+
+/** Safe Transaction Builder批量交易文件 */
+export interface SafeBatch {
+  version: string;
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    txBuilderVersion: string;
+    createdFromSafeAddress: string;
+    createdFromOwnerAddress: string;
+  };
+  transactions: Array<{ to: string; value: string; data: string; contractMethod: null; contractInputsValues: null }>;
+}
+
+/** 生成一个Safe的批量撤销文件，results应属于该Safe和chainId对应的网络 */
+export function buildSafeBatch(options: {
+  chainId: number;
+  safe: SafeInfo;
+  results: Array<RevocationSource & Pick<ApprovalResult, 'allowance'>>;
+  createdAt?: number;
+}): SafeBatch;
+
+/** 结果摘要，与命令行摘要的内容一致；曝光价值全部未知时为null */
+export interface ResultSummary {
+  wallets: number;
+  tokens: number;
+  spenders: number;
+  approvals: number;
+  infiniteApprovals: number;
+  /** 高风险授权数，没有评估风险时为null */
+  highRiskApprovals: number | null;
+  /** 代币精度未知的授权数 */
+  unknownDecimalsApprovals: number;
+  exposedValueUSD: number | null;
+  chains: Array<{ chainId: number; network: string; approvals: number; exposedValueUSD: number | null }>;
+}
+export function summarizeResults(results: ApprovalResult[]): ResultSummary;
+
+/** 每个钱包的跨链总曝光，chains的键为chainId，按总曝光从高到低排序 */
+export function summarizeWalletExposure(results: ApprovalResult[]): Array<{
+  walletAddress: string;
+  walletLabel: string | null;
+  walletEnsName: string | null;
+  exposedValueUSD: number | null;
+  chains: Record<string, number | null>;
+}>;
+
+export type DiffChange = 'new' | 'revoked' | 'became-infinite' | 'increased' | 'decreased';
+/** 变化类型，按显示顺序排列 */
+export const DIFF_CHANGES: DiffChange[];
+
+/** 两次检查结果之间一条授权的变化，授权不存在或已失效的一侧金额为null、曝光价值为0 */
+export interface ApprovalChange {
+  change: DiffChange;
+  chainId: number | null;
+  walletAddress: string;
+  walletLabel: string | null;
+  tokenAddress: string;
+  tokenSymbol: string;
+  spenderAddress: string;
+  spenderLabel: string | null;
+  spenderProtocol: string | null;
+  spenderRole: string | null;
+  assetType: ApprovalResult['assetType'];
+  approvalType: ApprovalResult['approvalType'];
+  tokenId: string | null;
+  allowanceBefore: string | null;
+  allowanceAfter: string | null;
+  isInfiniteBefore: boolean;
+  isInfiniteAfter: boolean;
+  exposedValueBeforeUSD: number | null;
+  exposedValueAfterUSD: number | null;
+  /** 任一侧价格未知时为null */
+  exposedValueDeltaUSD: number | null;
+  riskScore: number | null;
+  riskLevel: RiskLevel | null;
+}
+
+type DiffInput = Pick<ApprovalResult, 'walletAddress' | 'tokenAddress' | 'tokenSymbol' | 'spenderAddress' | 'allowance' | 'isInfiniteApproval' | 'exposedValueUSD'> &
+  Partial<Omit<ApprovalResult, 'chainId' | 'rawAllowance'>> & { chainId?: number | null; rawAllowance?: string | null };
+
+/** 比较两次检查结果，按 网络+钱包+代币+spender 匹配（Permit2授权和NFT单个token授权分别匹配），只返回有变化的授权 */
+export function diffResults(before: DiffInput[], after: DiffInput[]): ApprovalChange[];
+
+export interface DiffSummary {
+  changes: number;
+  counts: Record<DiffChange, number>;
+  /** 价格已知的变化的曝光价值总变化 */
+  exposedValueDeltaUSD: number;
+  /** 价格未知的变化数 */
+  unknownValues: number;
+}
+export function summarizeDiff(changes: ApprovalChange[]): DiffSummary;
+
+export type PolicyRuleType = 'spender-allowlist' | 'spender-denylist' | 'max-allowance' | 'no-infinite-approvals' | 'max-wallet-exposure';
+export const POLICY_RULE_TYPES: PolicyRuleType[];
+/** 存在策略违规时命令行的退出码 */
+export const POLICY_VIOLATION_EXIT_CODE: 2;
+/** 没有违规但有失败的检查或覆盖缺口时命令行的退出码 */
+export const POLICY_INCOMPLETE_EXIT_CODE: 3;
+
+/** 规则中的地址，chainId为null时适用于所有网络 */
+export interface PolicyAddress {
+  chainId: number | null;
+  address: string;
+}
+
+interface PolicyRuleBase {
+  /** 未指定时为 <type>#<序号> */
+  id: string;
+  description: string | null;
+}
+export type PolicyRule = PolicyRuleBase & (
+  | { type: 'spender-allowlist'; spenders: PolicyAddress[]; allowKnownContracts: boolean }
+  | { type: 'spender-denylist'; spenders: PolicyAddress[] }
+  | { type: 'max-allowance'; token: PolicyAddress; max: number }
+  | { type: 'no-infinite-approvals'; allowlist: PolicyAddress[]; allowKnownContracts: boolean }
+  | { type: 'max-wallet-exposure'; maxUSD: number; wallets: PolicyAddress[] | null }
+);
+
+export interface Policy {
+  rules: PolicyRule[];
+}
+
+/** 一条违规；max-wallet-exposure的违规只有钱包信息，其他字段为null */
+export interface PolicyViolation {
+  ruleId: string;
+  ruleType: PolicyRuleType;
+  message: string;
+  chainId: number | null;
+  walletAddress: string;
+  walletLabel: string | null;
+  tokenAddress: string | null;
+  tokenSymbol: string | null;
+  spenderAddress: string | null;
+  spenderProtocol: string | null;
+  assetType: ApprovalResult['assetType'] | null;
+  approvalType: ApprovalResult['approvalType'] | null;
+  tokenId: string | null;
+  exposedValueUSD: number | null;
+}
+
+/** 校验策略对象（规则中的地址可以是字符串，可加chainId:前缀），规则无效时抛出ConfigError */
+export function parsePolicy(policy: unknown, filePath?: string | null): Policy;
+/** 读取JSON格式的策略文件 */
+export function readPolicyFile(filePath: string): Promise<Policy>;
+/** 按策略检查有效的授权，应在applyLabels之后调用 */
+export function evaluatePolicy(results: ApprovalResult[], policy: Policy): PolicyViolation[];
+
+/** 报告的运行信息 */
+export interface ReportMetadata {
+  generatedAt?: string;
+  mode?: string;
+  /** snapshot为true时该网络的结果是--block指定区块的快照 */
+  networks?: Array<{ name: string; chainId: number; blockNumber?: number; timestamp?: number; snapshot?: boolean }>;
+  inputs?: Record<string, unknown>;
+}
+
+export interface ReportContent {
+  results: ApprovalResult[];
+  coverageGaps?: CoverageGap[];
+  failures?: ApprovalFailure[];
+  metadata?: ReportMetadata;
+}
+
+export const EXPORT_FORMATS: Array<'csv' | 'json' | 'ndjson' | 'md' | 'html'>;
+/** 与命令行--export相同列的CSV，字段按RFC 4180转义 */
+export function formatCsv(results: ApprovalResult[]): string;
+/** JSON报告，包含metadata、summary、results、coverageGaps和failures */
+export function formatJson(report: ReportContent): string;
+/** NDJSON报告，每行一个对象，type为metadata、result、coverageGap或failure */
+export function formatNdjson(report: ReportContent): string;
+export function formatMarkdown(report: ReportContent): string;
+/** 单文件HTML报告，表格可点击表头排序 */
+export function formatHtml(report: ReportContent): string;
+/** 监控告警的单行JSON，type为alert */
+export function formatAlertJson(alert: ApprovalAlert): string;
+/** 授权变化的CSV，每个变化一行 */
+export function formatDiffCsv(changes: ApprovalChange[]): string;
+/** 授权变化的JSON，before和after为比较的两份报告 */
+export function formatDiffJson(diff: { changes: ApprovalChange[]; summary: DiffSummary; before?: string | null; after?: string | null }): string;
+
+export class ApprovalCheckerError extends Error {
+  code: string;
+  constructor(message: string, options?: { code?: string; cause?: unknown });
+}
+export class InvalidInputError extends ApprovalCheckerError {}
+export class InputFileError extends ApprovalCheckerError {
+  filePath: string;
+  constructor(filePath: string, cause?: Error);
+}
+export class ConfigError extends ApprovalCheckerError {}
+export class NetworkError extends ApprovalCheckerError {}
@@ -0,0 +1,55 @@
+// 库入口：供其他服务直接调用，不依赖命令行参数，不向stdout输出
+export { checkApprovals } from './check.js';
+export { discoverApprovals } from './discover.js';
+export { createApprovalWatcher } from './watch.js';
+export { createApprovalServer } from './server.js';
+export { createRateLimiter, throttleProvider } from './rate-limiter.js';
+export { DEFAULT_CONCURRENCY, createWorkQueue, mapConcurrent } from './work-queue.js';
+export { createMulticall, MULTICALL3_ADDRESS } from './multicall.js';
+export { createRpcProvider, isRateLimitError, DEFAULT_RPC_TIMEOUT, DEFAULT_RPC_RETRIES } from './rpc.js';
+export { scanLogs } from './log-scanner.js';
+export { PERMIT2_ADDRESS } from './permit2.js';
+export { NETWORKS, getNetworkName, resolveNetworks, connectNetwork } from './networks.js';
+export {
+  readLinesFromFile,
+  readWalletsFromFile,
+  readTokensFromFile,
+  readSpendersFromFile,
+  readResultsFromCsv,
+  readResultsFromReport
+} from './input.js';
+export { applyLabels } from './labels.js';
+export { isEnsName, getEnsProvider, createEnsResolver } from './ens.js';
+export { KNOWN_CONTRACTS, createContractRegistry, readRegistryFile } from './known-contracts.js';
+export { PRICE_SOURCES, createPriceResolver } from './prices.js';
+export { collectSpenderFacts, scoreApproval, applyRiskScores } from './risk.js';
+export { buildRevocation, collectRevocations, prepareRevocations, signRevocations } from './revoke.js';
+export { detectSafes, buildSafeBatch } from './safe.js';
+export { summarizeResults, summarizeWalletExposure } from './summary.js';
+export { DIFF_CHANGES, diffResults, summarizeDiff } from './diff.js';
+export {
+  POLICY_RULE_TYPES,
+  POLICY_VIOLATION_EXIT_CODE,
+  POLICY_INCOMPLETE_EXIT_CODE,
+  parsePolicy,
+  readPolicyFile,
+  evaluatePolicy
+} from './policy.js';
+export {
+  EXPORT_FORMATS,
+  formatCsv,
+  formatJson,
+  formatNdjson,
+  formatMarkdown,
+  formatHtml,
+  formatDiffCsv,
+  formatDiffJson,
+  formatAlertJson
+} from './formats.js';
+export {
+  ApprovalCheckerError,
+  InvalidInputError,
+  InputFileError,
+  ConfigError,
+  NetworkError
+} from './errors.js';
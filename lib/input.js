@@ -0,0 +1,240 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+import csvParser from 'csv-parser';
+import { InputFileError, InvalidInputError } from './errors.js';
+import { splitChainPrefix } from './networks.js';
+
+// 从文件读取行，忽略空行和以#开头的注释行
+export async function readLinesFromFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+}
+
+// 从文件读取代币信息，包括价格
+// 地址前可以加"chainId:"前缀，表示只在该网络检查，例如 56:0x55d3...,1.0
+// 价格后可以指定symbol和decimals，覆盖链上读取的信息，用于symbol()或decimals()无法调用的代币，
+// 例如 0x9f8F...,,MKR,18（不指定价格时留空）
+export async function readTokensFromFile(filePath) {
+  const lines = await readLinesFromFile(filePath);
+  return lines.map(line => {
+    const { chainId, value } = splitChainPrefix(line);
+    const [address, price = '', symbol = '', decimals = ''] = value.split(',').map(part => part.trim());
+    return {
+      address,
+      price: price ? parseFloat(price) : null,
+      chainId,
+      symbol: symbol || null,
+      decimals: decimals ? parseDecimals(decimals, address) : null
+    };
+  });
+}
+
+// 解析代币文件中的decimals，应为0-255的整数
+function parseDecimals(value, address) {
+  if (!/^\d+$/.test(value) || Number(value) > 255) {
+    throw new InvalidInputError(`代币 ${address} 的decimals无效: ${value}（应为0-255的整数）`);
+  }
+  return Number(value);
+}
+
+// 从文件读取钱包地址及标签，返回 [{ address, label, group, owner }]
+// 带表头的CSV/TSV文件（例如 address,label,group,owner）按列读取，其余文件每行一个地址，
+// 地址后的"# 注释"作为标签，例如 0x28C6...1d60 # Binance hot wallet
+export async function readWalletsFromFile(filePath) {
+  const table = await readTableFromFile(filePath);
+  const wallets = table
+    ? table
+      .filter(row => row.address)
+      .map(row => ({
+        address: row.address,
+        label: row.label || null,
+        group: row.group || null,
+        owner: row.owner || null
+      }))
+    : readWalletLines(filePath, await readLinesFromFile(filePath));
+
+  // 空的钱包列表不能当作检查成功（例如表头写错导致所有行都被忽略）
+  if (wallets.length === 0) {
+    throw new InputFileError(filePath, new Error(table ? '表格中没有找到钱包地址，请检查address列' : '文件中没有钱包地址'));
+  }
+  return wallets;
+}
+
+// 每行一个地址的钱包文件；第一行像表头（含有逗号或制表符）却没有address列时报错，而不是把表头当作地址
+function readWalletLines(filePath, lines) {
+  if (lines.length > 0 && /[,\t]/.test(splitComment(lines[0]).value)) {
+    throw new InputFileError(filePath, new Error(`未找到包含address列的表头: ${lines[0]}`));
+  }
+  return lines.map(line => {
+    const { value, comment } = splitComment(line);
+    return { address: value, label: comment, group: null, owner: null };
+  });
+}
+
+// 从文件读取spender地址，与代币文件一样支持"chainId:"前缀，返回 [{ address, chainId, label }]
+// 带表头的CSV/TSV文件可以有 address,label,chainId 列，其余文件地址后的"# 注释"作为标签
+export async function readSpendersFromFile(filePath) {
+  const table = await readTableFromFile(filePath);
+  if (table) {
+    return table
+      .filter(row => row.address)
+      .map(row => {
+        const { chainId, value } = splitChainPrefix(row.address);
+        return {
+          address: value,
+          chainId: row.chainid ? Number(row.chainid) : chainId,
+          label: row.label || null
+        };
+      });
+  }
+
+  const lines = await readLinesFromFile(filePath);
+  return lines.map(line => {
+    const { value, comment } = splitComment(line);
+    const { chainId, value: address } = splitChainPrefix(value);
+    return { address, chainId, label: comment };
+  });
+}
+
+// 拆分行尾的"# 注释"
+function splitComment(line) {
+  const index = line.indexOf('#');
+  if (index === -1) return { value: line, comment: null };
+  return { value: line.slice(0, index).trim(), comment: line.slice(index + 1).trim() || null };
+}
+
+// 读取带表头的CSV/TSV文件，第一个非空、非注释行包含address列时才按表格读取，否则返回null
+// .tsv文件或表头包含制表符时以制表符分隔；列名不区分大小写，返回的对象键为小写列名
+export async function readTableFromFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+  const rawLines = content.split('\n');
+  const headerIndex = rawLines.findIndex(line => line.trim() && !line.trim().startsWith('#'));
+  if (headerIndex === -1) return null;
+
+  const header = rawLines[headerIndex].trim();
+  const separator = filePath.toLowerCase().endsWith('.tsv') || header.includes('\t') ? '\t' : ',';
+  const columns = header.split(separator).map(column => column.replace(/^\uFEFF/, '').trim().toLowerCase());
+  if (!columns.includes('address')) return null;
+
+  // 表头之前的空行和注释行不交给csv-parser，否则第一行空行会被当作表头，所有数据行都读不到address列
+  return parseCsvFile(filePath, {
+    separator,
+    skipComments: true,
+    mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim().toLowerCase(),
+    mapValues: ({ value }) => value.trim()
+  }, rawLines.slice(headerIndex).join('\n'));
+}
+
+// 用csv-parser读取整个文件，传入content时解析content而不是重新读取文件
+async function parseCsvFile(filePath, options = {}, content = null) {
+  try {
+    return await new Promise((resolve, reject) => {
+      const rows = [];
+      (content === null ? createReadStream(filePath) : Readable.from([content]))
+        .on('error', reject)
+        .pipe(csvParser(options))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+}
+
+// 统一代币参数格式：既接受地址字符串，也接受 { address, price, symbol, decimals } 对象
+export function normalizeTokens(tokens) {
+  return tokens.map(token => typeof token === 'string'
+    ? { address: token, price: null, symbol: null, decimals: null }
+    : { ...token, price: token.price ?? null, symbol: token.symbol ?? null, decimals: token.decimals ?? null });
+}
+
+// 读取导出的CSV报告，还原为与检查结果相同字段的对象
+// 旧版本报告缺少的列使用默认值（ERC20授权、无chainId）
+export async function readResultsFromCsv(filePath) {
+  const rows = await parseCsvFile(filePath);
+
+  const parseNumber = (value) => value === undefined || value === '' || value === 'unknown' ? null : parseFloat(value);
+
+  return rows.map(row => {
+    const expiration = row.Expiration ? Date.parse(row.Expiration) : NaN;
+    return {
+      chainId: row.ChainId ? Number(row.ChainId) : null,
+      walletAddress: row.WalletAddress,
+      tokenAddress: row.TokenAddress,
+      tokenSymbol: row.TokenSymbol,
+      spenderAddress: row.SpenderAddress,
+      allowance: row.Allowance,
+      rawAllowance: row.RawAllowance || null,
+      isInfiniteApproval: row.IsInfiniteApproval === 'true',
+      balance: row.Balance,
+      exposedAmount: row.ExposedAmount,
+      price: parseNumber(row.Price),
+      priceSource: row.PriceSource || null,
+      priceBlock: row.PriceBlock ? Number(row.PriceBlock) : null,
+      exposedValueUSD: parseNumber(row.ExposedValueUSD),
+      assetType: row.AssetType || 'ERC20',
+      approvalType: row.ApprovalType || 'allowance',
+      tokenId: row.TokenId || null,
+      expiration: Number.isNaN(expiration) ? null : Math.floor(expiration / 1000),
+      isExpired: row.IsExpired === 'true',
+      walletLabel: row.WalletLabel || null,
+      walletGroup: row.WalletGroup || null,
+      walletOwner: row.WalletOwner || null,
+      spenderLabel: row.SpenderLabel || null,
+      spenderProtocol: row.SpenderProtocol && row.SpenderProtocol !== 'unknown' ? row.SpenderProtocol : null,
+      spenderRole: row.SpenderRole && row.SpenderRole !== 'unknown' ? row.SpenderRole : null,
+      riskScore: row.RiskScore ? Number(row.RiskScore) : null,
+      riskLevel: row.RiskLevel || null,
+      riskReasons: row.RiskReasons ? row.RiskReasons.split('; ') : [],
+      decimalsUnknown: row.DecimalsUnknown === 'true',
+      walletEnsName: row.WalletEnsName || null,
+      spenderEnsName: row.SpenderEnsName || null
+    };
+  });
+}
+
+// 读取导出的报告，按扩展名支持CSV、JSON和NDJSON格式，返回检查结果
+// Markdown和HTML报告只用于阅读，无法还原结果
+export async function readResultsFromReport(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  if (['md', 'markdown', 'html', 'htm'].includes(extension)) {
+    throw new InvalidInputError(`无法读取${extension.toUpperCase()}格式的报告 ${filePath}，请使用CSV、JSON或NDJSON格式导出`);
+  }
+  if (extension !== 'json' && extension !== 'ndjson') {
+    return readResultsFromCsv(filePath);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+
+  try {
+    if (extension === 'json') {
+      return JSON.parse(content).results || [];
+    }
+    return content.split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.type === 'result')
+      .map(({ type, ...result }) => result);
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+}
@@ -0,0 +1,130 @@
+import { PERMIT2_ADDRESS } from './permit2.js';
+import { readTableFromFile } from './input.js';
+import { splitChainPrefix } from './networks.js';
+import { InputFileError } from './errors.js';
+
+const ETHEREUM = 1;
+const BSC = 56;
+const POLYGON = 137;
+const ARBITRUM = 42161;
+const OPTIMISM = 10;
+const BASE = 8453;
+const ALL_CHAINS = [ETHEREUM, BSC, POLYGON, ARBITRUM, OPTIMISM, BASE];
+
+// 合约角色的显示名称
+export const CONTRACT_ROLES = {
+  router: 'DEX路由',
+  aggregator: '聚合器',
+  lending: '借贷池',
+  vault: '金库',
+  marketplace: 'NFT市场',
+  bridge: '跨链桥',
+  permit: '授权管理'
+};
+
+// 内置的常见spender合约，chains为部署了该地址的网络
+// 用户可以通过--registry文件补充或覆盖
+export const KNOWN_CONTRACTS = [
+  // 授权管理
+  { chains: ALL_CHAINS, address: PERMIT2_ADDRESS, protocol: 'Uniswap Permit2', role: 'permit' },
+
+  // DEX路由
+  { chains: [ETHEREUM], address: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', protocol: 'Uniswap V2 Router', role: 'router' },
+  { chains: [ETHEREUM, POLYGON, ARBITRUM, OPTIMISM], address: '0xE592427A0AEce92De3Edee1F18E0157C05861564', protocol: 'Uniswap V3 SwapRouter', role: 'router' },
+  { chains: [ETHEREUM, POLYGON, ARBITRUM, OPTIMISM], address: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', protocol: 'Uniswap V3 SwapRouter02', role: 'router' },
+  { chains: [BASE], address: '0x2626664c2603336E57B271c5C0b26F421741e481', protocol: 'Uniswap V3 SwapRouter02', role: 'router' },
+  { chains: [ETHEREUM, POLYGON, ARBITRUM, OPTIMISM, BASE], address: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', protocol: 'Uniswap Universal Router', role: 'router' },
+  { chains: [ETHEREUM], address: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F', protocol: 'SushiSwap Router', role: 'router' },
+  { chains: [BSC], address: '0x10ED43C718714eb63d5aA57B78B54704E256024E', protocol: 'PancakeSwap V2 Router', role: 'router' },
+  { chains: [BSC], address: '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4', protocol: 'PancakeSwap V3 SmartRouter', role: 'router' },
+  { chains: [POLYGON], address: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff', protocol: 'QuickSwap Router', role: 'router' },
+  { chains: [BASE], address: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43', protocol: 'Aerodrome Router', role: 'router' },
+
+  // 聚合器
+  { chains: ALL_CHAINS, address: '0x1111111254EEB25477B68fb85Ed929f73A960582', protocol: '1inch Aggregation Router v5', role: 'aggregator' },
+  { chains: ALL_CHAINS, address: '0x111111125421cA6dc452d289314280a0f8842A65', protocol: '1inch Aggregation Router v6', role: 'aggregator' },
+  { chains: [ETHEREUM, BSC, POLYGON], address: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF', protocol: '0x Exchange Proxy', role: 'aggregator' },
+
+  // 借贷池和金库
+  { chains: [ETHEREUM], address: '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9', protocol: 'Aave V2 Pool', role: 'lending' },
+  { chains: [ETHEREUM], address: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2', protocol: 'Aave V3 Pool', role: 'lending' },
+  { chains: [POLYGON, ARBITRUM, OPTIMISM], address: '0x794a61358D6845594F94dc1DB02A252b5b4814aD', protocol: 'Aave V3 Pool', role: 'lending' },
+  { chains: [BASE], address: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5', protocol: 'Aave V3 Pool', role: 'lending' },
+  { chains: [ETHEREUM], address: '0xc3d688B66703497DAA19211EEdff47f25384cdc3', protocol: 'Compound V3 cUSDCv3', role: 'lending' },
+  { chains: [ETHEREUM, POLYGON, ARBITRUM, OPTIMISM, BASE], address: '0xBA12222222228d8Ba445958a75a0704d566BF2C8', protocol: 'Balancer V2 Vault', role: 'vault' },
+
+  // NFT市场
+  { chains: ALL_CHAINS, address: '0x00000000000000ADc04C56Bf30aC9d3c0aAF14dC', protocol: 'OpenSea Seaport 1.5', role: 'marketplace' },
+  { chains: ALL_CHAINS, address: '0x0000000000000068F116a894984e2DB1123eB395', protocol: 'OpenSea Seaport 1.6', role: 'marketplace' },
+  { chains: ALL_CHAINS, address: '0x1E0049783F008A0085193E00003D00cd54003c71', protocol: 'OpenSea Conduit', role: 'marketplace' },
+  { chains: [ETHEREUM], address: '0x00000000000111AbE46ff893f3B2fdF1F759a8A8', protocol: 'Blur Execution Delegate', role: 'marketplace' },
+
+  // 跨链桥
+  { chains: [ETHEREUM], address: '0x40ec5B33f54e0E8A33A975908C5BA1c14e5BbbDf', protocol: 'Polygon PoS Bridge ERC20Predicate', role: 'bridge' },
+  { chains: [ETHEREUM], address: '0x72Ce9c846789fdB6fC1f34aC4AD25Dd9ef7031ef', protocol: 'Arbitrum L1 Gateway Router', role: 'bridge' },
+  { chains: [ETHEREUM], address: '0x99C9fc46f92E8a1c0deC1b1747d010903E884bE1', protocol: 'Optimism L1 Standard Bridge', role: 'bridge' },
+  { chains: [ETHEREUM], address: '0x3154Cf16ccdb4C6d922629664174b904d80F2C35', protocol: 'Base L1 Standard Bridge', role: 'bridge' },
+  { chains: [ETHEREUM], address: '0x5c7BCd6E7De5423a257D81B442095A1a6ced35C5', protocol: 'Across SpokePool', role: 'bridge' },
+  { chains: [ETHEREUM], address: '0x8731d54E9D02c286767d56ac03e8037C07e01e98', protocol: 'Stargate Router', role: 'bridge' },
+  { chains: [BSC], address: '0x4a364f8c717cAAD9A442737Eb7b8A55cc6cf18D8', protocol: 'Stargate Router', role: 'bridge' },
+  { chains: [POLYGON], address: '0x45A01E4e04F14f7A4a6702c74187c5F6222033cd', protocol: 'Stargate Router', role: 'bridge' }
+];
+
+// 创建已知合约登记表，extraEntries为用户补充的条目，同一网络同一地址时覆盖内置条目
+// 条目形如 { chains: [chainId], address, protocol, role }，chains为null时适用于所有网络
+// 返回 { lookup(chainId, address) }，未登记的地址返回null
+export function createContractRegistry(extraEntries = []) {
+  const byChain = new Map();
+  const anyChain = new Map();
+
+  for (const entry of [...KNOWN_CONTRACTS, ...extraEntries]) {
+    const address = entry.address.toLowerCase();
+    const info = { protocol: entry.protocol, role: entry.role || null };
+    if (entry.chains === null || entry.chains === undefined) {
+      anyChain.set(address, info);
+      // 后添加的全网络条目覆盖之前按网络登记的同地址条目
+      for (const key of [...byChain.keys()]) {
+        if (key.endsWith(`:${address}`)) byChain.delete(key);
+      }
+    } else {
+      for (const chainId of entry.chains) {
+        byChain.set(`${chainId}:${address}`, info);
+      }
+    }
+  }
+
+  return {
+    lookup(chainId, address) {
+      if (!address) return null;
+      const key = address.toLowerCase();
+      return byChain.get(`${chainId}:${key}`) ?? anyChain.get(key) ?? null;
+    }
+  };
+}
+
+// 读取用户补充的登记文件：带 address,protocol,role,chainId 表头的CSV/TSV
+// chainId列为空且地址没有"chainId:"前缀时适用于所有网络
+export async function readRegistryFile(filePath) {
+  const table = await readTableFromFile(filePath);
+  if (!table) {
+    throw new InputFileError(filePath, new Error('登记文件必须是带address表头的CSV/TSV'));
+  }
+
+  return table
+    .filter(row => row.address && row.protocol)
+    .map(row => {
+      const { chainId, value } = splitChainPrefix(row.address);
+      const chain = row.chainid ? Number(row.chainid) : chainId;
+      return {
+        chains: chain === null ? null : [chain],
+        address: value,
+        protocol: row.protocol,
+        role: row.role || null
+      };
+    });
+}
+
+// 角色的显示名称，未知角色直接显示原值
+export function formatContractRole(role) {
+  return CONTRACT_ROLES[role] ?? role ?? '';
+}
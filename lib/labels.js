@@ -0,0 +1,39 @@
+import { createContractRegistry } from './known-contracts.js';
+
+// 把输入文件中的钱包标签（label、group、owner）和spender标签附加到检查结果
+// wallets为 [{ address, label, group, owner }]，spenders为 [{ address, chainId, label }]
+// 限定了chainId的spender标签优先于适用于所有网络的标签；没有标签的字段为null
+// registry为已知合约登记表，spender的协议名称和角色写入spenderProtocol和spenderRole，未登记时为null
+// ensNames为反向解析得到的 Map<小写地址, ENS主名称>，写入walletEnsName和spenderEnsName，没有主名称时为null
+export function applyLabels(results, { wallets = [], spenders = [], registry = createContractRegistry(), ensNames = new Map() } = {}) {
+  const walletIndex = new Map();
+  for (const wallet of wallets) {
+    walletIndex.set(wallet.address.toLowerCase(), wallet);
+  }
+
+  const spenderIndex = new Map();
+  for (const spender of spenders) {
+    if (!spender.label) continue;
+    const key = spender.chainId === null || spender.chainId === undefined
+      ? spender.address.toLowerCase()
+      : `${spender.chainId}:${spender.address.toLowerCase()}`;
+    spenderIndex.set(key, spender.label);
+  }
+
+  return results.map(result => {
+    const wallet = walletIndex.get(result.walletAddress.toLowerCase());
+    const spenderAddress = result.spenderAddress.toLowerCase();
+    const known = registry.lookup(result.chainId, spenderAddress);
+    return {
+      ...result,
+      walletLabel: wallet?.label ?? null,
+      walletGroup: wallet?.group ?? null,
+      walletOwner: wallet?.owner ?? null,
+      walletEnsName: ensNames.get(result.walletAddress.toLowerCase()) ?? null,
+      spenderLabel: spenderIndex.get(`${result.chainId}:${spenderAddress}`) ?? spenderIndex.get(spenderAddress) ?? null,
+      spenderProtocol: known?.protocol ?? null,
+      spenderRole: known?.role ?? null,
+      spenderEnsName: ensNames.get(spenderAddress) ?? null
+    };
+  });
+}
@@ -0,0 +1,144 @@
+import { NetworkError } from './errors.js';
+
+// 默认扫描参数
+export const DEFAULT_CHUNK_SIZE = 50000;
+export const DEFAULT_MIN_CHUNK_SIZE = 1;
+export const DEFAULT_MAX_RETRIES = 3;
+
+// 连续成功多少次后尝试扩大区块范围
+const GROW_AFTER_SUCCESSES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 分块扫描日志
+// filter为 { address, topics }，address和topics中的元素都可以是数组，以便一次查询多个合约和地址
+// 区块范围会被切分为多个块；当RPC因范围过大、结果过多或超时拒绝某个块时将其对半拆分后重试，
+// 其他错误（或块已缩小到minChunkSize）按指数退避重试maxRetries次，最终仍失败的范围记录为覆盖缺口
+// provider在所有RPC端点上重试后仍失败时抛出NetworkError，这时不再拆分或重试，直接记录为覆盖缺口
+// options.queue为工作队列时每次eth_getLogs都通过它发送，与其他请求共用并发限制
+// 返回 { logs, gaps }，gaps中每一项形如 { fromBlock, toBlock, error }
+export async function scanLogs(provider, filter, fromBlock, toBlock, options = {}) {
+  const maxChunkSize = Math.max(1, parseInt(options.chunkSize || DEFAULT_CHUNK_SIZE));
+  const minChunkSize = Math.max(1, parseInt(options.minChunkSize || DEFAULT_MIN_CHUNK_SIZE));
+  const maxRetries = Math.max(0, parseInt(options.maxRetries ?? DEFAULT_MAX_RETRIES));
+  const logger = options.logger;
+  const onProgress = options.onProgress || (() => {});
+  const queue = options.queue;
+
+  const logs = [];
+  const gaps = [];
+
+  // 当前使用的块大小，会根据RPC的响应自适应调整
+  let chunkSize = maxChunkSize;
+  let consecutiveSuccesses = 0;
+  let scannedBlocks = 0;
+  const totalBlocks = Math.max(0, toBlock - fromBlock + 1);
+
+  // 待扫描的范围队列，按区块从低到高处理
+  const pending = [];
+  let nextStart = fromBlock;
+
+  const takeRange = () => {
+    if (pending.length > 0) return pending.shift();
+    if (nextStart > toBlock) return null;
+    const range = { fromBlock: nextStart, toBlock: Math.min(toBlock, nextStart + chunkSize - 1), attempts: 0 };
+    nextStart = range.toBlock + 1;
+    return range;
+  };
+
+  let range;
+  while ((range = takeRange()) !== null) {
+    const size = range.toBlock - range.fromBlock + 1;
+
+    try {
+      const query = () => provider.getLogs({
+        ...filter,
+        fromBlock: range.fromBlock,
+        toBlock: range.toBlock
+      });
+      const result = await (queue ? queue.run(query) : query());
+      logs.push(...result);
+
+      scannedBlocks += size;
+      onProgress({ scannedBlocks, totalBlocks, fromBlock: range.fromBlock, toBlock: range.toBlock });
+
+      // 连续成功后逐步恢复块大小
+      consecutiveSuccesses++;
+      if (consecutiveSuccesses >= GROW_AFTER_SUCCESSES && chunkSize < maxChunkSize) {
+        chunkSize = Math.min(maxChunkSize, chunkSize * 2);
+        consecutiveSuccesses = 0;
+      }
+    } catch (error) {
+      consecutiveSuccesses = 0;
+      const exhausted = error instanceof NetworkError;
+
+      if (!exhausted && size > minChunkSize && isRangeRejection(error)) {
+        // 对半拆分后重新放回队列头部
+        const middle = range.fromBlock + Math.floor(size / 2) - 1;
+        pending.unshift(
+          { fromBlock: range.fromBlock, toBlock: middle, attempts: 0 },
+          { fromBlock: middle + 1, toBlock: range.toBlock, attempts: 0 }
+        );
+        chunkSize = Math.max(minChunkSize, Math.min(chunkSize, Math.ceil(size / 2)));
+        logger?.debug(`区块 ${range.fromBlock}-${range.toBlock} 查询被拒绝，拆分为更小的范围: ${describeError(error)}`);
+        continue;
+      }
+
+      if (!exhausted && range.attempts < maxRetries) {
+        range.attempts++;
+        const delay = 500 * 2 ** (range.attempts - 1);
+        logger?.debug(`区块 ${range.fromBlock}-${range.toBlock} 查询失败，${delay}ms后第${range.attempts}次重试: ${describeError(error)}`);
+        await sleep(delay);
+        pending.unshift(range);
+        continue;
+      }
+
+      // 重试用尽，记录为覆盖缺口
+      logger?.warn(exhausted
+        ? `区块 ${range.fromBlock}-${range.toBlock} 的日志无法获取: ${describeError(error)}`
+        : `区块 ${range.fromBlock}-${range.toBlock} 的日志在重试${maxRetries}次后仍无法获取: ${describeError(error)}`);
+      gaps.push({ fromBlock: range.fromBlock, toBlock: range.toBlock, error: describeError(error) });
+      scannedBlocks += size;
+      onProgress({ scannedBlocks, totalBlocks, fromBlock: range.fromBlock, toBlock: range.toBlock });
+    }
+  }
+
+  return { logs, gaps: mergeGaps(gaps) };
+}
+
+// 判断RPC是否因为查询范围或结果数量而拒绝请求，这类错误拆分范围后通常可以成功
+function isRangeRejection(error) {
+  const message = describeError(error);
+  return error.code === -32005 ||
+    error.error?.code === -32005 ||
+    error.code === 'TIMEOUT' ||
+    /range|too many|too large|limit|exceed|response size|10000|timeout|timed out/i.test(message);
+}
+
+// 提取RPC返回的错误信息，避免ethers包装后的冗长信息（包含完整请求参数）
+export function describeError(error) {
+  return error.error?.message || error.shortMessage || error.message || String(error);
+}
+
+// 合并相邻的缺口范围
+function mergeGaps(gaps) {
+  const merged = [];
+  for (const gap of [...gaps].sort((a, b) => a.fromBlock - b.fromBlock)) {
+    const last = merged[merged.length - 1];
+    if (last && last.toBlock + 1 >= gap.fromBlock) {
+      last.toBlock = Math.max(last.toBlock, gap.toBlock);
+    } else {
+      merged.push({ ...gap });
+    }
+  }
+  return merged;
+}
+
+// 将数组按固定大小分组
+export function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
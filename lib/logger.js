@@ -0,0 +1,33 @@
+import chalk from 'chalk';
+
+// 不输出任何内容的日志对象，库函数未传入logger时使用
+export const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+// 命令行使用的日志对象
+export function createLogger({ verbose = false, logLevel = 'info' } = {}) {
+  return {
+    debug: (...args) => {
+      if (verbose || logLevel === 'debug') {
+        console.log(chalk.gray('[DEBUG]'), ...args);
+      }
+    },
+    info: (...args) => {
+      if (['debug', 'info'].includes(logLevel)) {
+        console.log(chalk.blue('[INFO]'), ...args);
+      }
+    },
+    warn: (...args) => {
+      if (['debug', 'info', 'warn'].includes(logLevel)) {
+        console.log(chalk.yellow('[WARN]'), ...args);
+      }
+    },
+    error: (...args) => {
+      console.error(chalk.red('[ERROR]'), ...args);
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { createWorkQueue } from './work-queue.js';
+import { NetworkError } from './errors.js';
+
+// Multicall3在绝大多数EVM链上都部署在同一地址
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// 默认每个aggregate3请求包含的调用数
+export const DEFAULT_MULTICALL_BATCH_SIZE = 500;
+
+// 创建Multicall执行器
+// options.blockTag指定读取的区块（区块号或latest等标签），默认latest
+// options.queue为限制同时进行的请求数的工作队列（见createWorkQueue），多个批次和逐个调用都通过它并发发送
+// calls中的每一项形如 { target, contractInterface, method, args, raw }，raw为true时不解码，value为返回的原始数据
+// 返回与calls一一对应的 { success, value, error }，单个调用失败不会影响其他调用
+export function createMulticall(provider, options = {}) {
+  const batchSize = Math.max(1, parseInt(options.batchSize || DEFAULT_MULTICALL_BATCH_SIZE));
+  const address = options.address || MULTICALL3_ADDRESS;
+  const logger = options.logger;
+  const blockTag = options.blockTag ?? 'latest';
+  const queue = options.queue || createWorkQueue();
+
+  // 是否可用Multicall3，首次调用时检测，并发的调用共用同一次检测
+  let available = options.enabled === false ? Promise.resolve(false) : null;
+
+  const checkAvailable = () => {
+    if (available !== null) return available;
+    available = (async () => {
+      let found;
+      try {
+        const code = await provider.getCode(address, blockTag);
+        found = code !== '0x';
+      } catch (error) {
+        found = false;
+      }
+      if (!found) {
+        logger?.warn(`当前网络未找到Multicall3合约(${address})，将逐个发送eth_call`);
+      }
+      return found;
+    })();
+    return available;
+  };
+
+  // 解码单个调用的返回数据
+  const decodeResult = (call, success, returnData) => {
+    if (!success) {
+      return { success: false, value: null, error: new Error(`调用 ${call.method} 失败`) };
+    }
+    if (call.raw) {
+      return { success: true, value: returnData, error: null };
+    }
+    try {
+      const decoded = call.contractInterface.decodeFunctionResult(call.method, returnData);
+      return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+    } catch (error) {
+      // 返回数据为空或格式不符（例如目标不是合约），视为失败
+      return { success: false, value: null, error };
+    }
+  };
+
+  // 不使用Multicall，逐个发送eth_call
+  const callDirect = async (calls) => {
+    return Promise.all(calls.map(async (call) => {
+      try {
+        const returnData = await queue.run(() => provider.call({
+          to: call.target,
+          data: call.contractInterface.encodeFunctionData(call.method, call.args || []),
+          blockTag
+        }));
+        return decodeResult(call, true, returnData);
+      } catch (error) {
+        return { success: false, value: null, error };
+      }
+    }));
+  };
+
+  // 将一批调用合并为一次aggregate3请求
+  const callBatch = async (calls) => {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [
+      calls.map(call => ({
+        target: call.target,
+        allowFailure: true,
+        callData: call.contractInterface.encodeFunctionData(call.method, call.args || [])
+      }))
+    ]);
+
+    try {
+      const returnData = await queue.run(() => provider.call({ to: address, data, blockTag }));
+      const [results] = multicallInterface.decodeFunctionResult('aggregate3', returnData);
+      return results.map((result, index) => decodeResult(calls[index], result.success, result.returnData));
+    } catch (error) {
+      // RPC在重试后仍不可用时逐个调用同样会失败，整批记为失败
+      if (error instanceof NetworkError) {
+        return calls.map(() => ({ success: false, value: null, error }));
+      }
+      // 整批请求失败（例如超出gas上限或RPC拒绝），回退为逐个调用
+      logger?.debug(`Multicall批次(${calls.length}个调用)失败，回退为逐个调用: ${error.message}`);
+      return callDirect(calls);
+    }
+  };
+
+  const call = async (calls) => {
+    if (calls.length === 0) return [];
+
+    if (!(await checkAvailable())) {
+      return callDirect(calls);
+    }
+
+    // 各批次通过工作队列并发发送，结果按原顺序合并
+    const batches = [];
+    for (let i = 0; i < calls.length; i += batchSize) {
+      batches.push(calls.slice(i, i + batchSize));
+    }
+    const results = await Promise.all(batches.map(batch => callBatch(batch)));
+    return results.flat();
+  };
+
+  return { call, batchSize, blockTag, queue };
+}
@@ -0,0 +1,131 @@
+import path from 'path';
+import { createRpcProvider } from './rpc.js';
+import { ConfigError, InvalidInputError, NetworkError } from './errors.js';
+
+// 支持的网络，RPC URL从环境变量 <名称大写>_RPC_URL 读取，多个URL用逗号分隔，靠前的优先使用
+export const NETWORKS = {
+  ethereum: { chainId: 1, label: 'Ethereum' },
+  bsc: { chainId: 56, label: 'BSC' },
+  polygon: { chainId: 137, label: 'Polygon' },
+  arbitrum: { chainId: 42161, label: 'Arbitrum' },
+  optimism: { chainId: 10, label: 'Optimism' },
+  base: { chainId: 8453, label: 'Base' }
+};
+
+// 根据chainId获取网络名称，未知网络显示为 chain-<chainId>
+export function getNetworkName(chainId) {
+  const entry = Object.entries(NETWORKS).find(([, network]) => network.chainId === Number(chainId));
+  return entry ? entry[0] : `chain-${chainId}`;
+}
+
+// 解析网络列表（逗号分隔的网络名称），返回 [{ name, chainId, rpcUrl, rpcUrls }]，rpcUrl为第一个URL
+// env为环境变量对象，未配置RPC URL或网络名称未知时抛出ConfigError
+export function resolveNetworks(names, env = process.env) {
+  const list = String(names || 'ethereum')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(list)].map(name => {
+    const network = NETWORKS[name];
+    if (!network) {
+      throw new ConfigError(`不支持的网络: ${name}，可选值: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    const rpcUrls = String(env[`${name.toUpperCase()}_RPC_URL`] || '').split(',').map(url => url.trim()).filter(Boolean);
+    if (rpcUrls.length === 0) {
+      throw new ConfigError(`未找到${name}网络的RPC URL，请在.env文件中配置${name.toUpperCase()}_RPC_URL`);
+    }
+    return { name, chainId: network.chainId, rpcUrl: rpcUrls[0], rpcUrls };
+  });
+}
+
+// 连接网络并确认每个RPC URL返回的chainId都与预期一致，避免RPC URL配置错误时检查了错误的链
+// 配置了多个URL时，暂时无法连接的URL会被跳过（之后恢复时继续使用），全部无法连接时抛出NetworkError
+// options为 { timeout, maxRetries, logger }，见createRpcProvider
+export async function connectNetwork(network, options = {}) {
+  const envName = `${network.name.toUpperCase()}_RPC_URL`;
+  const provider = createRpcProvider(network.rpcUrls ?? [network.rpcUrl], options);
+
+  const probes = await provider.probeEndpoints();
+  for (const probe of probes) {
+    if (probe.chainId !== null && probe.chainId !== network.chainId) {
+      provider.destroy();
+      throw new ConfigError(`${network.name}网络的RPC(${probe.name})返回的chainId为${probe.chainId}，预期为${network.chainId}，请检查${envName}`);
+    }
+  }
+
+  const reachable = probes.filter(probe => probe.chainId !== null);
+  if (reachable.length === 0) {
+    provider.destroy();
+    const error = probes[0].error;
+    throw new NetworkError(`连接${network.name}网络失败: ${error.message}`, { cause: error });
+  }
+  for (const probe of probes.filter(probe => probe.chainId === null)) {
+    options.logger?.warn(`${network.name}网络的RPC(${probe.name})暂时无法连接，将使用其他RPC: ${probe.error.message}`);
+  }
+
+  try {
+    await provider.getNetwork();
+  } catch (error) {
+    provider.destroy();
+    throw new NetworkError(`连接${network.name}网络失败: ${error.message}`, { cause: error });
+  }
+
+  return provider;
+}
+
+// 读取区块号和时间戳，写入报告的运行信息
+export async function getBlockInfo(provider, blockTag = 'latest') {
+  let block;
+  try {
+    block = await provider.getBlock(blockTag);
+  } catch (error) {
+    throw new NetworkError(`获取区块 ${blockTag} 失败: ${error.message}`, { cause: error });
+  }
+  if (!block) {
+    throw new NetworkError(`区块 ${blockTag} 不存在`);
+  }
+  return { blockNumber: block.number, timestamp: block.timestamp };
+}
+
+// 可以代替区块号使用的区块标签
+const BLOCK_TAGS = ['latest', 'safe', 'finalized', 'earliest'];
+
+// 解析--block参数：区块号（十进制或0x开头的十六进制）或区块标签，多个值用逗号分隔
+// 区块号只对一个网络有意义，多网络时用"chainId:区块号"限定网络
+// 返回 [{ chainId, blockTag }]，chainId为null的条目适用于所有网络
+export function parseBlockTags(value) {
+  return String(value).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const { chainId, value: tag } = splitChainPrefix(part);
+    const lower = tag.toLowerCase();
+    if (BLOCK_TAGS.includes(lower)) return { chainId, blockTag: lower };
+    if (/^\d+$/.test(tag)) return { chainId, blockTag: Number(tag) };
+    if (/^0x[0-9a-f]+$/i.test(tag)) return { chainId, blockTag: Number(BigInt(tag)) };
+    throw new InvalidInputError(`无效的区块: ${part}（应为区块号或 ${BLOCK_TAGS.join('、')}）`);
+  });
+}
+
+// 选出适用于指定网络的区块：限定了chainId的条目优先，没有适用条目时返回null（读取最新区块）
+export function selectBlockTag(blockTags, chainId) {
+  const specific = blockTags.find(entry => entry.chainId === Number(chainId));
+  return (specific ?? blockTags.find(entry => entry.chainId === null))?.blockTag ?? null;
+}
+
+// 多网络运行时每个网络使用单独的文件，例如 checkpoint.json -> checkpoint-bsc.json
+export function getNetworkFilePath(filepath, networkName) {
+  const extension = path.extname(filepath);
+  return `${filepath.slice(0, filepath.length - extension.length)}-${networkName}${extension}`;
+}
+
+// 从"chainId:值"格式中拆出chainId，没有前缀时chainId为null（适用于所有网络）
+export function splitChainPrefix(value) {
+  const match = /^(\d+):(.+)$/.exec(String(value).trim());
+  return match
+    ? { chainId: Number(match[1]), value: match[2].trim() }
+    : { chainId: null, value: String(value).trim() };
+}
+
+// 选出适用于指定网络的条目：chainId为空的条目适用于所有网络
+export function selectForChain(items, chainId) {
+  return items.filter(item => item.chainId === null || item.chainId === undefined || item.chainId === Number(chainId));
+}
@@ -0,0 +1,264 @@
+import { ethers } from 'ethers';
+import { scanLogs } from './log-scanner.js';
+
+// ERC721/ERC1155 ABI，只包含检查授权需要的部分
+export const NFT_ABI = [
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+  "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+];
+
+export const nftInterface = new ethers.Interface(NFT_ABI);
+
+// ERC165接口ID
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+const APPROVAL_FOR_ALL_TOPIC = nftInterface.getEvent('ApprovalForAll').topicHash;
+const APPROVAL_TOPIC = nftInterface.getEvent('Approval').topicHash;
+const TRANSFER_SINGLE_TOPIC = nftInterface.getEvent('TransferSingle').topicHash;
+const TRANSFER_BATCH_TOPIC = nftInterface.getEvent('TransferBatch').topicHash;
+
+const topicToAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+// 扫描一组钱包的NFT授权相关事件，不限制合约地址
+// ownerByTopic为 钱包topic -> 原始钱包地址 的对应关系
+// 返回发现的候选授权（operatorApprovals、tokenApprovals）、ERC1155持仓（holdings）和覆盖缺口
+export async function scanNftApprovalLogs(provider, ownerTopics, ownerByTopic, fromBlock, toBlock, scanOptions = {}) {
+  const operatorApprovals = [];
+  const tokenApprovals = [];
+  const holdings = [];
+  const gaps = [];
+
+  // ApprovalForAll(owner, operator, approved)：ERC721和ERC1155共用
+  const approvalForAll = await scanLogs(provider, {
+    topics: [APPROVAL_FOR_ALL_TOPIC, ownerTopics]
+  }, fromBlock, toBlock, scanOptions);
+  gaps.push(...approvalForAll.gaps);
+
+  for (const log of approvalForAll.logs) {
+    const wallet = ownerByTopic.get(log.topics[1].toLowerCase());
+    if (!wallet || log.topics.length !== 3) continue;
+    operatorApprovals.push({ wallet, token: log.address, spender: topicToAddress(log.topics[2]) });
+  }
+
+  // ERC721的Approval(owner, approved, tokenId)有4个topic，ERC20的Approval只有3个
+  const approvals = await scanLogs(provider, {
+    topics: [APPROVAL_TOPIC, ownerTopics]
+  }, fromBlock, toBlock, scanOptions);
+  gaps.push(...approvals.gaps);
+
+  for (const log of approvals.logs) {
+    const wallet = ownerByTopic.get(log.topics[1].toLowerCase());
+    if (!wallet || log.topics.length !== 4) continue;
+    tokenApprovals.push({
+      wallet,
+      token: log.address,
+      spender: topicToAddress(log.topics[2]),
+      tokenId: ethers.toBigInt(log.topics[3]).toString()
+    });
+  }
+
+  // ERC1155转入记录，用于确定钱包持有的tokenId（ERC1155没有按持有人统计数量的方法）
+  const transfers = await scanLogs(provider, {
+    topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, ownerTopics]
+  }, fromBlock, toBlock, scanOptions);
+  gaps.push(...transfers.gaps);
+
+  for (const log of transfers.logs) {
+    const wallet = ownerByTopic.get(log.topics[3]?.toLowerCase());
+    if (!wallet) continue;
+    try {
+      const parsed = nftInterface.parseLog(log);
+      const ids = parsed.name === 'TransferSingle' ? [parsed.args.id] : parsed.args.ids;
+      for (const id of ids) {
+        holdings.push({ wallet, token: log.address, tokenId: id.toString() });
+      }
+    } catch (error) {
+      // 数据格式不符合ERC1155标准，忽略
+    }
+  }
+
+  return { operatorApprovals, tokenApprovals, holdings, gaps };
+}
+
+// 确认候选的NFT授权当前是否仍然有效，并统计钱包持有的数量作为曝光量
+// 返回 { operatorRows, tokenRows, revoked, failed }，revoked为确认已失效的候选授权，
+// failed为查询失败、无法确认状态的候选授权 [{ approval, approvalType, assetType, tokenSymbol, error }]，调用方应保留这些授权并记为失败
+export async function checkNftApprovals(multicall, { operatorApprovals, tokenApprovals, holdings }, logger) {
+  const collections = [...new Set([
+    ...operatorApprovals.map(approval => approval.token),
+    ...tokenApprovals.map(approval => approval.token)
+  ].map(address => address.toLowerCase()))];
+
+  // 检测合约标准并获取名称
+  const collectionCalls = [];
+  for (const target of collections) {
+    collectionCalls.push({ target, contractInterface: nftInterface, method: 'supportsInterface', args: [ERC721_INTERFACE_ID] });
+    collectionCalls.push({ target, contractInterface: nftInterface, method: 'supportsInterface', args: [ERC1155_INTERFACE_ID] });
+    collectionCalls.push({ target, contractInterface: nftInterface, method: 'symbol' });
+    collectionCalls.push({ target, contractInterface: nftInterface, method: 'name' });
+  }
+  const collectionResults = await multicall.call(collectionCalls);
+
+  const collectionInfo = new Map();
+  collections.forEach((address, index) => {
+    const [is721, is1155, symbol, name] = collectionResults.slice(index * 4, index * 4 + 4);
+    // 未实现ERC165的旧合约按ERC721处理
+    const standard = is1155.success && is1155.value && !(is721.success && is721.value) ? 'ERC1155' : 'ERC721';
+    const label = (symbol.success && symbol.value) || (name.success && name.value) || standard;
+    collectionInfo.set(address, { standard, symbol: label });
+  });
+
+  // 确认ApprovalForAll授权
+  const operatorResults = await multicall.call(operatorApprovals.map(({ wallet, token, spender }) => ({
+    target: token,
+    contractInterface: nftInterface,
+    method: 'isApprovedForAll',
+    args: [wallet, spender]
+  })));
+
+  const activeOperators = [];
+  const revoked = [];
+  const failed = [];
+  operatorApprovals.forEach((approval, index) => {
+    const result = operatorResults[index];
+    if (!result.success) {
+      logger.warn(`检查 ${approval.wallet} 对 ${approval.token} 的isApprovedForAll(${approval.spender})出错:`, result.error?.message);
+      const { standard, symbol } = collectionInfo.get(approval.token.toLowerCase());
+      failed.push({ approval, approvalType: 'operator', assetType: standard, tokenSymbol: symbol, error: result.error });
+      return;
+    }
+    if (result.value) {
+      activeOperators.push(approval);
+    } else {
+      revoked.push(approval);
+    }
+  });
+
+  // 统计持有数量：ERC721用balanceOf(owner)，ERC1155对每个持有过的tokenId查询balanceOf(owner, id)
+  const heldCounts = new Map();
+  const countKey = (wallet, token) => `${wallet}_${token}`.toLowerCase();
+
+  const erc721Holders = [...new Map(activeOperators
+    .filter(({ token }) => collectionInfo.get(token.toLowerCase()).standard === 'ERC721')
+    .map(({ wallet, token }) => [countKey(wallet, token), { wallet, token }])).values()];
+  const erc721Balances = await multicall.call(erc721Holders.map(({ wallet, token }) => ({
+    target: token,
+    contractInterface: nftInterface,
+    method: 'balanceOf(address)',
+    args: [wallet]
+  })));
+  erc721Holders.forEach(({ wallet, token }, index) => {
+    if (erc721Balances[index].success) {
+      heldCounts.set(countKey(wallet, token), erc721Balances[index].value);
+    }
+  });
+
+  const erc1155Holdings = [...new Map(holdings
+    .filter(({ token }) => collectionInfo.get(token.toLowerCase())?.standard === 'ERC1155')
+    .map(holding => [`${countKey(holding.wallet, holding.token)}_${holding.tokenId}`, holding])).values()];
+  const erc1155Balances = await multicall.call(erc1155Holdings.map(({ wallet, token, tokenId }) => ({
+    target: token,
+    contractInterface: nftInterface,
+    method: 'balanceOf(address,uint256)',
+    args: [wallet, tokenId]
+  })));
+  erc1155Holdings.forEach(({ wallet, token }, index) => {
+    if (!erc1155Balances[index].success) return;
+    const key = countKey(wallet, token);
+    heldCounts.set(key, (heldCounts.get(key) || 0n) + erc1155Balances[index].value);
+  });
+
+  const operatorRows = activeOperators.map(({ wallet, token, spender }) => {
+    const info = collectionInfo.get(token.toLowerCase());
+    return buildNftApprovalRow({
+      walletAddress: wallet,
+      collection: token,
+      ...info,
+      spenderAddress: spender,
+      approvalType: 'operator',
+      heldCount: heldCounts.get(countKey(wallet, token)) ?? null
+    });
+  });
+
+  // 确认ERC721单个token的授权：token仍归该钱包所有，且getApproved不为零地址
+  const uniqueTokenApprovals = [...new Map(tokenApprovals
+    .map(approval => [`${approval.token}_${approval.tokenId}`.toLowerCase(), approval])).values()];
+  const tokenCalls = [];
+  for (const { token, tokenId } of uniqueTokenApprovals) {
+    tokenCalls.push({ target: token, contractInterface: nftInterface, method: 'getApproved', args: [tokenId] });
+    tokenCalls.push({ target: token, contractInterface: nftInterface, method: 'ownerOf', args: [tokenId] });
+  }
+  const tokenResults = await multicall.call(tokenCalls);
+
+  const tokenRows = [];
+  uniqueTokenApprovals.forEach((approval, index) => {
+    const [approved, owner] = tokenResults.slice(index * 2, index * 2 + 2);
+    // 查询失败时无法判断授权是否仍然有效，不能当作已撤销，否则会从检查点中永久删除
+    if (!approved.success || !owner.success) {
+      const error = approved.error || owner.error;
+      logger.warn(`检查 ${approval.wallet} 对 ${approval.token} #${approval.tokenId} 的单个token授权出错:`, error?.message);
+      const { standard, symbol } = collectionInfo.get(approval.token.toLowerCase());
+      failed.push({ approval, approvalType: 'token', assetType: standard, tokenSymbol: symbol, error });
+      return;
+    }
+    const stillOwned = owner.value.toLowerCase() === approval.wallet.toLowerCase();
+    if (!stillOwned || approved.value === ethers.ZeroAddress) {
+      revoked.push(approval);
+      return;
+    }
+    const info = collectionInfo.get(approval.token.toLowerCase());
+    tokenRows.push(buildNftApprovalRow({
+      walletAddress: approval.wallet,
+      collection: approval.token,
+      ...info,
+      spenderAddress: approved.value,
+      approvalType: 'token',
+      tokenId: approval.tokenId,
+      heldCount: 1n
+    }));
+  });
+
+  return { operatorRows, tokenRows, revoked, failed };
+}
+
+// 生成一行NFT授权结果，字段与ERC20结果一致
+// approvalType为operator（setApprovalForAll）或token（单个tokenId的approve），曝光量为持有数量
+export function buildNftApprovalRow({ walletAddress, collection, standard, symbol, spenderAddress, approvalType, tokenId = null, heldCount }) {
+  const isOperator = approvalType === 'operator';
+  const held = heldCount === null ? null : heldCount.toString();
+
+  return {
+    walletAddress,
+    tokenAddress: collection,
+    tokenSymbol: symbol,
+    spenderAddress,
+    allowance: isOperator ? '全部' : `#${tokenId}`,
+    rawAllowance: isOperator ? ethers.MaxUint256.toString() : '1',
+    isInfiniteApproval: isOperator,
+    balance: held ?? '未知',
+    rawBalance: held ?? '0',
+    exposedAmount: isOperator ? (held ?? '未知') : '1',
+    rawExposedAmount: isOperator ? (held ?? '0') : '1',
+    price: null,
+    priceSource: null,
+    priceBlock: null,
+    exposedValueUSD: null,
+    underlyingAssets: null,
+    assetType: standard,
+    approvalType,
+    tokenId,
+    expiration: null,
+    isExpired: false
+  };
+}
@@ -0,0 +1,72 @@
+import { ethers } from 'ethers';
+import { buildApprovalRow } from './exposure.js';
+
+// Uniswap Permit2合约，各链部署在同一地址
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Permit2 ABI，只包含检查授权需要的部分
+export const PERMIT2_ABI = [
+  "function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+  "event Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration)",
+  "event Permit(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration, uint48 nonce)"
+];
+
+export const permit2Interface = new ethers.Interface(PERMIT2_ABI);
+
+// Permit2的Approval和Permit事件，owner、token、spender依次为topic1-3
+export const PERMIT2_EVENT_TOPICS = [
+  permit2Interface.getEvent('Approval').topicHash,
+  permit2Interface.getEvent('Permit').topicHash
+];
+
+// Permit2中amount为uint160最大值时表示无限授权，转账时不会扣减
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+// 判断日志是否为Permit2的授权事件
+export function isPermit2Log(log) {
+  return log.address.toLowerCase() === PERMIT2_ADDRESS.toLowerCase()
+    && log.topics.length === 4
+    && PERMIT2_EVENT_TOPICS.includes(log.topics[0]);
+}
+
+// 从Permit2授权事件中解析 { token, spender }
+export function parsePermit2Log(log) {
+  return {
+    token: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+    spender: ethers.getAddress(ethers.dataSlice(log.topics[3], 12))
+  };
+}
+
+// 批量读取Permit2内部授权，queries中每一项形如 { token, owner, spender }
+// 返回与queries一一对应的 { success, value, error }，value为 { amount, expiration, nonce }
+export async function fetchPermit2Allowances(multicall, queries) {
+  return multicall.call(queries.map(({ token, owner, spender }) => ({
+    target: PERMIT2_ADDRESS,
+    contractInterface: permit2Interface,
+    method: 'allowance',
+    args: [owner, token, spender]
+  })));
+}
+
+// 生成一行Permit2授权结果
+// amount和expiration为Permit2内部授权，tokenAllowance为钱包对Permit2合约的ERC20授权，timestamp为当前区块时间
+// spender实际能转走的数量同时受两者限制，已过期的授权曝光量为0
+export function buildPermit2ApprovalRow({ walletAddress, token, spenderAddress, amount, expiration, tokenAllowance, balance, timestamp }) {
+  const isExpired = Number(expiration) < timestamp;
+
+  let allowance;
+  if (isExpired) {
+    allowance = 0n;
+  } else if (amount === MAX_UINT160) {
+    allowance = tokenAllowance;
+  } else {
+    allowance = amount < tokenAllowance ? amount : tokenAllowance;
+  }
+
+  return {
+    ...buildApprovalRow({ walletAddress, token, spenderAddress, allowance, balance }),
+    approvalType: 'permit2',
+    expiration: Number(expiration),
+    isExpired
+  };
+}
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import { isActiveApproval } from './exposure.js';
+import { summarizeWalletExposure } from './summary.js';
+import { splitChainPrefix } from './networks.js';
+import { InputFileError, ConfigError } from './errors.js';
+
+// 存在策略违规时命令行的退出码，与程序出错的退出码1区分
+export const POLICY_VIOLATION_EXIT_CODE = 2;
+
+// 没有违规但有失败的检查或覆盖缺口时的退出码：部分授权状态未知，不能确认符合策略
+export const POLICY_INCOMPLETE_EXIT_CODE = 3;
+
+// 支持的规则类型
+export const POLICY_RULE_TYPES = [
+  'spender-allowlist',
+  'spender-denylist',
+  'max-allowance',
+  'no-infinite-approvals',
+  'max-wallet-exposure'
+];
+
+// 解析规则中的地址列表，地址可以加chainId:前缀限定网络
+function parseAddressList(values, field) {
+  if (!Array.isArray(values)) {
+    throw new Error(`${field}必须是地址数组`);
+  }
+  return values.map(value => {
+    const { chainId, value: address } = splitChainPrefix(value);
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      throw new Error(`${field}中的地址无效: ${value}`);
+    }
+    return { chainId, address: address.toLowerCase() };
+  });
+}
+
+// 地址列表中是否包含指定网络上的地址，没有chainId前缀的地址适用于所有网络
+function listIncludes(list, chainId, address) {
+  const lower = address.toLowerCase();
+  return list.some(entry => entry.address === lower && (entry.chainId === null || entry.chainId === chainId));
+}
+
+// 校验并规范化一条规则，规则无效时抛出Error
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('规则必须是对象');
+  }
+  if (!POLICY_RULE_TYPES.includes(rule.type)) {
+    throw new Error(`不支持的规则类型: ${rule.type}，可选值: ${POLICY_RULE_TYPES.join(', ')}`);
+  }
+
+  const normalized = {
+    id: rule.id ? String(rule.id) : `${rule.type}#${index + 1}`,
+    type: rule.type,
+    description: rule.description ?? null
+  };
+
+  switch (rule.type) {
+    case 'spender-allowlist':
+      return { ...normalized, spenders: parseAddressList(rule.spenders, 'spenders'), allowKnownContracts: Boolean(rule.allowKnownContracts) };
+    case 'spender-denylist':
+      return { ...normalized, spenders: parseAddressList(rule.spenders, 'spenders') };
+    case 'max-allowance': {
+      const [token] = parseAddressList([rule.token], 'token');
+      const max = parseFloat(rule.max);
+      if (Number.isNaN(max) || max < 0) {
+        throw new Error(`max必须是非负数: ${rule.max}`);
+      }
+      return { ...normalized, token, max };
+    }
+    case 'no-infinite-approvals':
+      return { ...normalized, allowlist: parseAddressList(rule.allowlist ?? [], 'allowlist'), allowKnownContracts: Boolean(rule.allowKnownContracts) };
+    case 'max-wallet-exposure': {
+      const maxUSD = parseFloat(rule.maxUSD);
+      if (Number.isNaN(maxUSD) || maxUSD < 0) {
+        throw new Error(`maxUSD必须是非负数: ${rule.maxUSD}`);
+      }
+      return { ...normalized, maxUSD, wallets: rule.wallets ? parseAddressList(rule.wallets, 'wallets') : null };
+    }
+  }
+}
+
+// 校验策略：{ rules: [...] }，返回规范化后的策略，规则无效时抛出ConfigError
+// filePath只用于错误信息
+export function parsePolicy(policy, filePath = null) {
+  const source = filePath ? `策略文件 ${filePath} ` : '策略';
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new ConfigError(`${source}必须包含rules数组`);
+  }
+  const rules = policy.rules.map((rule, index) => {
+    try {
+      return normalizeRule(rule, index);
+    } catch (error) {
+      throw new ConfigError(`${source}的第${index + 1}条规则无效: ${error.message}`);
+    }
+  });
+
+  const ids = rules.map(rule => rule.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new ConfigError(`${source}中有重复的规则id: ${duplicate}`);
+  }
+  return { rules };
+}
+
+// 读取JSON格式的策略文件
+export async function readPolicyFile(filePath) {
+  let policy;
+  try {
+    policy = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new InputFileError(filePath, error);
+  }
+  return parsePolicy(policy, filePath);
+}
+
+// 一行结果对应的违规记录
+function resultViolation(rule, result, message) {
+  return {
+    ruleId: rule.id,
+    ruleType: rule.type,
+    message,
+    chainId: result.chainId ?? null,
+    walletAddress: result.walletAddress,
+    walletLabel: result.walletLabel ?? null,
+    tokenAddress: result.tokenAddress,
+    tokenSymbol: result.tokenSymbol,
+    spenderAddress: result.spenderAddress,
+    spenderProtocol: result.spenderProtocol ?? null,
+    assetType: result.assetType || 'ERC20',
+    approvalType: result.approvalType || 'allowance',
+    tokenId: result.tokenId ?? null,
+    exposedValueUSD: result.exposedValueUSD ?? null
+  };
+}
+
+// 按规则检查每条有效的授权，max-wallet-exposure按钱包的跨链总曝光检查
+// 授权金额为0或已过期的授权不参与检查；应在applyLabels之后调用，allowKnownContracts依赖已知合约信息
+// 返回违规列表，按规则在策略中的顺序排列
+export function evaluatePolicy(results, policy) {
+  const active = results.filter(isActiveApproval);
+  const violations = [];
+
+  for (const rule of policy.rules) {
+    switch (rule.type) {
+      case 'spender-allowlist':
+        for (const result of active) {
+          if (listIncludes(rule.spenders, result.chainId, result.spenderAddress)) continue;
+          if (rule.allowKnownContracts && result.spenderProtocol) continue;
+          violations.push(resultViolation(rule, result, 'spender不在允许列表中'));
+        }
+        break;
+
+      case 'spender-denylist':
+        for (const result of active) {
+          if (listIncludes(rule.spenders, result.chainId, result.spenderAddress)) {
+            violations.push(resultViolation(rule, result, 'spender在禁止列表中'));
+          }
+        }
+        break;
+
+      case 'max-allowance':
+        // 只检查有限授权，无限授权由no-infinite-approvals规则检查
+        for (const result of active) {
+          if (result.isInfiniteApproval || (result.assetType && result.assetType !== 'ERC20')) continue;
+          if (!listIncludes([rule.token], result.chainId, result.tokenAddress)) continue;
+          // 精度未知时授权金额为最小单位，无法与上限比较，按违规处理以免漏报
+          if (result.decimalsUnknown) {
+            violations.push(resultViolation(rule, result, `代币精度未知，无法确认授权金额是否超过上限 ${rule.max}`));
+          } else if (parseFloat(result.allowance) > rule.max) {
+            violations.push(resultViolation(rule, result, `授权金额 ${result.allowance} 超过上限 ${rule.max}`));
+          }
+        }
+        break;
+
+      case 'no-infinite-approvals':
+        for (const result of active) {
+          if (!result.isInfiniteApproval) continue;
+          if (listIncludes(rule.allowlist, result.chainId, result.spenderAddress)) continue;
+          if (rule.allowKnownContracts && result.spenderProtocol) continue;
+          violations.push(resultViolation(rule, result, '对不在允许列表中的spender无限授权'));
+        }
+        break;
+
+      case 'max-wallet-exposure':
+        for (const wallet of summarizeWalletExposure(active)) {
+          if (rule.wallets && !rule.wallets.some(entry => entry.address === wallet.walletAddress.toLowerCase())) continue;
+          if (wallet.exposedValueUSD !== null && wallet.exposedValueUSD > rule.maxUSD) {
+            violations.push({
+              ruleId: rule.id,
+              ruleType: rule.type,
+              message: `钱包总曝光 $${wallet.exposedValueUSD.toFixed(2)} 超过上限 $${rule.maxUSD.toFixed(2)}`,
+              chainId: null,
+              walletAddress: wallet.walletAddress,
+              walletLabel: wallet.walletLabel,
+              tokenAddress: null,
+              tokenSymbol: null,
+              spenderAddress: null,
+              spenderProtocol: null,
+              assetType: null,
+              approvalType: null,
+              tokenId: null,
+              exposedValueUSD: wallet.exposedValueUSD
+            });
+          }
+        }
+        break;
+    }
+  }
+
+  return violations;
+}
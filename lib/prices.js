@@ -0,0 +1,397 @@
+import { ethers } from 'ethers';
+import { fetchTokenMetadata } from './erc20.js';
+import { silentLogger } from './logger.js';
+
+const AGGREGATOR_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)"
+];
+
+const FEED_REGISTRY_ABI = [
+  "function latestRoundData(address base, address quote) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals(address base, address quote) view returns (uint8)"
+];
+
+const V2_FACTORY_ABI = ["function getPair(address tokenA, address tokenB) view returns (address pair)"];
+
+const V2_PAIR_ABI = [
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function totalSupply() view returns (uint256)"
+];
+
+const ERC4626_ABI = [
+  "function asset() view returns (address)",
+  "function convertToAssets(uint256 shares) view returns (uint256)"
+];
+
+const aggregatorInterface = new ethers.Interface(AGGREGATOR_ABI);
+const feedRegistryInterface = new ethers.Interface(FEED_REGISTRY_ABI);
+const factoryInterface = new ethers.Interface(V2_FACTORY_ABI);
+const pairInterface = new ethers.Interface(V2_PAIR_ABI);
+const vaultInterface = new ethers.Interface(ERC4626_ABI);
+
+// Chainlink Feed Registry中表示美元的地址
+const USD_DENOMINATION = '0x0000000000000000000000000000000000000348';
+
+// 超过此时间未更新的Chainlink价格视为失效（秒）
+const MAX_FEED_AGE = 2 * 86400;
+
+// LP代币和金库份额向下展开底层资产的最大层数（例如持有LP代币的金库）
+const MAX_UNDERLYING_DEPTH = 2;
+
+// DEX池中基础资产一侧的价值低于此值（美元）时不采用，避免流动性很低的池子被操纵
+const MIN_DEX_LIQUIDITY_USD = 10000;
+
+// 各网络的价格来源：
+// feeds为代币地址到Chainlink USD聚合器的对应关系（包装的原生代币和主要稳定币）
+// feedRegistry为Chainlink Feed Registry，只部署在以太坊主网，可按代币地址查询
+// dexFactories为Uniswap V2兼容的工厂合约，baseAssets为DEX回退时的计价资产，其价格来自feeds
+export const PRICE_SOURCES = {
+  // Ethereum
+  1: {
+    feeds: {
+      '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2': '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', // WETH -> ETH/USD
+      '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599': '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', // WBTC -> BTC/USD
+      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', // USDC
+      '0xdAC17F958D2ee523a2206206994597C13D831ec7': '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D', // USDT
+      '0x6B175474E89094C44Da98b954EedeAC495271d0F': '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9' // DAI
+    },
+    feedRegistry: '0x47Fb2585D2C56Fe188D0E6ec628a38b74fCeeeDf',
+    dexFactories: [
+      '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f', // Uniswap V2
+      '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac' // SushiSwap
+    ],
+    baseAssets: [
+      { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+      { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+      { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }
+    ]
+  },
+  // BSC
+  56: {
+    feeds: {
+      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c': '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE', // WBNB -> BNB/USD
+      '0x2170Ed0880ac9A755fd29B2688956BD959F933F8': '0x9ef1B8c0E4F7dc8bF5719Ea496883DC6401d5b2e', // ETH -> ETH/USD
+      '0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c': '0x264990fbd0A4796A3E3d8E37C4d5F87a3aCa5Ebf', // BTCB -> BTC/USD
+      '0x55d398326f99059fF775485246999027B3197955': '0xB97Ad0E74fa7d920791E90258A6E2085088b4320', // USDT
+      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d': '0x51597f405303C4377E36123cBc172b13269EA163' // USDC
+    },
+    feedRegistry: null,
+    dexFactories: [
+      '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73' // PancakeSwap V2
+    ],
+    baseAssets: [
+      { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', decimals: 18 },
+      { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 }
+    ]
+  },
+  // Polygon
+  137: {
+    feeds: {
+      '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270': '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', // WMATIC -> MATIC/USD
+      '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619': '0xF9680D99D6C9589e2a93a78A04A279e509205945', // WETH -> ETH/USD
+      '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6': '0xc907E116054Ad103354f2D350FD2514433D57F6f', // WBTC -> BTC/USD
+      '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174': '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', // USDC.e
+      '0xc2132D05D31c914a87C6611C10748AEb04B58e8F': '0x0A6513e40db6EB1b165753AD52E80663aeA50545' // USDT
+    },
+    feedRegistry: null,
+    dexFactories: [
+      '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32', // QuickSwap
+      '0xc35DADB65012eC5796536bD9864eD8773aBc74C4' // SushiSwap
+    ],
+    baseAssets: [
+      { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18 },
+      { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18 },
+      { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', decimals: 6 }
+    ]
+  },
+  // Arbitrum
+  42161: {
+    feeds: {
+      '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1': '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', // WETH -> ETH/USD
+      '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f': '0x6ce185860a4963106506C203335A2910413708e9', // WBTC -> BTC/USD
+      '0xaf88d065e77c8cC2239327C5EDb3A432268e5831': '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', // USDC
+      '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9': '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7' // USDT
+    },
+    feedRegistry: null,
+    dexFactories: [
+      '0xc35DADB65012eC5796536bD9864eD8773aBc74C4' // SushiSwap
+    ],
+    baseAssets: [
+      { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+      { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }
+    ]
+  },
+  // Optimism
+  10: {
+    feeds: {
+      '0x4200000000000000000000000000000000000006': '0x13e3Ee699D1909E989722E753853AE30b17e08c5', // WETH -> ETH/USD
+      '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85': '0x16a9FA2FDa030272Ce99B29CF780dFA30361E0f3' // USDC
+    },
+    feedRegistry: null,
+    dexFactories: [],
+    baseAssets: []
+  },
+  // Base
+  8453: {
+    feeds: {
+      '0x4200000000000000000000000000000000000006': '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70', // WETH -> ETH/USD
+      '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913': '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B' // USDC
+    },
+    feedRegistry: null,
+    dexFactories: [
+      '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6' // Uniswap V2
+    ],
+    baseAssets: [
+      { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+      { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 }
+    ]
+  }
+};
+
+// 解析Chainlink的latestRoundData结果，价格无效或超过MAX_FEED_AGE未更新时返回null
+function parseRoundData(roundResult, decimalsResult, timestamp) {
+  if (!roundResult.success || !decimalsResult.success) return null;
+  const [, answer, , updatedAt] = roundResult.value;
+  if (answer <= 0n || timestamp - Number(updatedAt) > MAX_FEED_AGE) return null;
+  return parseFloat(ethers.formatUnits(answer, Number(decimalsResult.value)));
+}
+
+// 创建价格解析器，同一次运行中各网络共用，已查询过的代币价格缓存在内存中
+// 价格来源依次为：网络配置中的Chainlink聚合器、Chainlink Feed Registry（仅以太坊）、
+// LP代币和ERC-4626金库份额的底层资产、DEX池储备（对基础资产计价）
+export function createPriceResolver({ logger = silentLogger, sources = PRICE_SOURCES } = {}) {
+  // "chainId:区块:小写地址" -> { price, source, underlying, block }
+  const cache = new Map();
+  const cacheKey = ({ chainId, blockTag }, address) => `${chainId}:${blockTag}:${address.toLowerCase()}`;
+
+  // 查询一组代币的价格，depth为已向下展开底层资产的层数
+  const resolve = async (context, tokens, depth) => {
+    const { multicall, config, block } = context;
+    const prices = new Map();
+    const pending = [];
+    for (const token of tokens) {
+      const cached = cache.get(cacheKey(context, token.address));
+      if (cached) {
+        prices.set(token.address.toLowerCase(), cached);
+      } else {
+        pending.push(token);
+      }
+    }
+    if (pending.length === 0) return prices;
+
+    const found = new Map();
+    if (config && block) {
+      const feedPrices = await fetchFeedPrices(multicall, config, pending, block.timestamp);
+      for (const [address, price] of feedPrices) found.set(address, { price, source: 'chainlink' });
+
+      // LP代币和金库份额按底层资产估值，底层资产的价格同样通过本解析器查询
+      let remaining = pending.filter(token => !found.has(token.address.toLowerCase()));
+      if (remaining.length > 0 && depth < MAX_UNDERLYING_DEPTH) {
+        const compositePrices = await fetchCompositePrices(multicall, remaining, underlying => resolve(context, underlying, depth + 1));
+        for (const [address, entry] of compositePrices) found.set(address, entry);
+        remaining = remaining.filter(token => !found.has(token.address.toLowerCase()));
+      }
+
+      // 其余代币通过DEX池储备计算
+      if (remaining.length > 0 && config.dexFactories.length > 0) {
+        const basePrices = await fetchFeedPrices(multicall, config, config.baseAssets, block.timestamp);
+        const dexPrices = await fetchDexPrices(multicall, config, remaining, basePrices);
+        for (const [address, price] of dexPrices) found.set(address, { price, source: 'dex' });
+      }
+    }
+
+    for (const token of pending) {
+      const address = token.address.toLowerCase();
+      const result = found.get(address);
+      const entry = {
+        price: result?.price ?? null,
+        source: result?.price !== null && result?.price !== undefined ? result.source : null,
+        underlying: result?.underlying ?? null,
+        block: result ? block.number : null
+      };
+      if (entry.price === null) {
+        logger.debug(`代币 ${token.address} 没有找到链上价格`);
+      } else {
+        logger.debug(`代币 ${token.address} 价格: ${entry.price} (${entry.source}, 区块 ${entry.block})`);
+      }
+      cache.set(cacheKey(context, address), entry);
+      prices.set(address, entry);
+    }
+
+    return prices;
+  };
+
+  // 查询一组代币的价格，tokens为 [{ address, decimals }]
+  // 返回 Map<小写地址, { price, source, underlying, block }>，block为读取价格的区块
+  // underlying为LP代币和金库份额每单位对应的底层资产 [{ address, symbol, amountPerToken, price }]，其他代币为null
+  // 找不到价格的代币price、source和block为null
+  // blockTag应与multicall读取的区块一致，缓存按chainId和区块区分
+  const getPrices = async ({ provider, multicall, chainId, tokens, blockTag = 'latest' }) => {
+    const context = { chainId, blockTag, multicall, config: sources[chainId], block: null };
+    if (tokens.some(token => !cache.has(cacheKey(context, token.address)))) {
+      try {
+        context.block = await provider.getBlock(blockTag);
+      } catch (error) {
+        logger.warn(`获取当前区块出错，无法查询链上价格: ${error.message}`);
+      }
+    }
+    return resolve(context, tokens, 0);
+  };
+
+  return { getPrices };
+}
+
+// 通过Chainlink查询价格，返回 Map<小写地址, price>
+async function fetchFeedPrices(multicall, config, tokens, timestamp) {
+  const feedsByToken = new Map(Object.entries(config.feeds).map(([token, feed]) => [token.toLowerCase(), feed]));
+  const calls = [];
+  const queries = [];
+  for (const token of tokens) {
+    const address = token.address.toLowerCase();
+    const feed = feedsByToken.get(address);
+    if (feed) {
+      queries.push(address);
+      calls.push({ target: feed, contractInterface: aggregatorInterface, method: 'latestRoundData' });
+      calls.push({ target: feed, contractInterface: aggregatorInterface, method: 'decimals' });
+    } else if (config.feedRegistry) {
+      queries.push(address);
+      const args = [token.address, USD_DENOMINATION];
+      calls.push({ target: config.feedRegistry, contractInterface: feedRegistryInterface, method: 'latestRoundData', args });
+      calls.push({ target: config.feedRegistry, contractInterface: feedRegistryInterface, method: 'decimals', args });
+    }
+  }
+
+  const results = await multicall.call(calls);
+  const prices = new Map();
+  queries.forEach((address, index) => {
+    const price = parseRoundData(results[index * 2], results[index * 2 + 1], timestamp);
+    if (price !== null) prices.set(address, price);
+  });
+  return prices;
+}
+
+// 通过Uniswap V2兼容池的储备计算价格，basePrices为基础资产的美元价格
+// 同一代币有多个池时采用基础资产一侧价值最高的池，返回 Map<小写地址, price>
+async function fetchDexPrices(multicall, config, tokens, basePrices) {
+  const bases = config.baseAssets.filter(base => basePrices.has(base.address.toLowerCase()));
+  const pairQueries = [];
+  for (const token of tokens) {
+    for (const base of bases) {
+      if (base.address.toLowerCase() === token.address.toLowerCase()) continue;
+      for (const factory of config.dexFactories) {
+        pairQueries.push({ token, base, factory });
+      }
+    }
+  }
+
+  const pairResults = await multicall.call(pairQueries.map(({ token, base, factory }) => ({
+    target: factory,
+    contractInterface: factoryInterface,
+    method: 'getPair',
+    args: [token.address, base.address]
+  })));
+
+  const pairs = pairQueries
+    .map((query, index) => ({ ...query, pair: pairResults[index].success ? pairResults[index].value : ethers.ZeroAddress }))
+    .filter(query => query.pair !== ethers.ZeroAddress);
+
+  const reserveResults = await multicall.call(pairs.flatMap(({ pair }) => [
+    { target: pair, contractInterface: pairInterface, method: 'getReserves' },
+    { target: pair, contractInterface: pairInterface, method: 'token0' }
+  ]));
+
+  const best = new Map();
+  pairs.forEach(({ token, base }, index) => {
+    const reserves = reserveResults[index * 2];
+    const token0 = reserveResults[index * 2 + 1];
+    if (!reserves.success || !token0.success) return;
+
+    const tokenIsToken0 = token0.value.toLowerCase() === token.address.toLowerCase();
+    const [reserve0, reserve1] = reserves.value;
+    const tokenReserve = parseFloat(ethers.formatUnits(tokenIsToken0 ? reserve0 : reserve1, token.decimals));
+    const baseReserve = parseFloat(ethers.formatUnits(tokenIsToken0 ? reserve1 : reserve0, base.decimals));
+    const liquidityUSD = baseReserve * basePrices.get(base.address.toLowerCase());
+    if (tokenReserve === 0 || liquidityUSD < MIN_DEX_LIQUIDITY_USD) return;
+
+    const address = token.address.toLowerCase();
+    if (!best.has(address) || best.get(address).liquidityUSD < liquidityUSD) {
+      best.set(address, { price: liquidityUSD / tokenReserve, liquidityUSD });
+    }
+  });
+
+  return new Map([...best].map(([address, { price }]) => [address, price]));
+}
+
+// 识别Uniswap V2兼容的LP代币（token0/token1/getReserves/totalSupply）和ERC-4626金库份额（asset/convertToAssets），按底层资产估值
+// resolveUnderlying用于查询底层资产的价格；LP只有一侧底层资产有价格时按两侧价值相等估算
+// 返回 Map<小写地址, { price, source: 'lp' | 'erc4626', underlying }>，底层资产都没有价格时price为null
+async function fetchCompositePrices(multicall, tokens, resolveUnderlying) {
+  const probeResults = await multicall.call(tokens.flatMap(token => [
+    { target: token.address, contractInterface: pairInterface, method: 'token0' },
+    { target: token.address, contractInterface: pairInterface, method: 'token1' },
+    { target: token.address, contractInterface: pairInterface, method: 'getReserves' },
+    { target: token.address, contractInterface: pairInterface, method: 'totalSupply' },
+    { target: token.address, contractInterface: vaultInterface, method: 'asset' }
+  ]));
+
+  const pools = [];
+  const vaults = [];
+  tokens.forEach((token, index) => {
+    const [token0, token1, reserves, totalSupply, asset] = probeResults.slice(index * 5, index * 5 + 5);
+    if (token0.success && token1.success && reserves.success && totalSupply.success && totalSupply.value > 0n) {
+      pools.push({ token, assets: [token0.value, token1.value], reserves: [reserves.value[0], reserves.value[1]], totalSupply: totalSupply.value });
+    } else if (asset.success && asset.value !== ethers.ZeroAddress) {
+      vaults.push({ token, asset: asset.value });
+    }
+  });
+
+  // 金库：查询一个完整份额对应的底层资产数量
+  const assetsPerShare = await multicall.call(vaults.map(({ token }) => ({
+    target: token.address,
+    contractInterface: vaultInterface,
+    method: 'convertToAssets',
+    args: [10n ** BigInt(token.decimals)]
+  })));
+  const validVaults = vaults
+    .map((vault, index) => ({ ...vault, assets: assetsPerShare[index].success ? assetsPerShare[index].value : null }))
+    .filter(vault => vault.assets !== null);
+
+  if (pools.length === 0 && validVaults.length === 0) return new Map();
+
+  // 底层资产的symbol、decimals和价格
+  const underlyingAddresses = [...new Set([...pools.flatMap(pool => pool.assets), ...validVaults.map(vault => vault.asset)])];
+  const metadata = await fetchTokenMetadata(multicall, underlyingAddresses);
+  const underlyingTokens = new Map();
+  underlyingAddresses.forEach((address, index) => {
+    if (metadata[index].decimals === null) return;
+    underlyingTokens.set(address.toLowerCase(), { address, symbol: metadata[index].symbol ?? '未知', decimals: metadata[index].decimals });
+  });
+  const underlyingPrices = await resolveUnderlying([...underlyingTokens.values()]);
+  const describe = (address, amountPerToken) => {
+    const underlying = underlyingTokens.get(address.toLowerCase());
+    return { address: underlying.address, symbol: underlying.symbol, amountPerToken, price: underlyingPrices.get(address.toLowerCase())?.price ?? null };
+  };
+
+  const prices = new Map();
+  for (const { token, assets, reserves, totalSupply } of pools) {
+    if (!assets.every(address => underlyingTokens.has(address.toLowerCase()))) continue;
+    const supply = parseFloat(ethers.formatUnits(totalSupply, token.decimals));
+    const underlying = assets.map((address, index) => describe(
+      address,
+      parseFloat(ethers.formatUnits(reserves[index], underlyingTokens.get(address.toLowerCase()).decimals)) / supply
+    ));
+    const values = underlying.filter(asset => asset.price !== null).map(asset => asset.amountPerToken * asset.price);
+    const price = values.length === 2 ? values[0] + values[1] : values.length === 1 ? values[0] * 2 : null;
+    prices.set(token.address.toLowerCase(), { price, source: 'lp', underlying });
+  }
+  for (const { token, asset, assets } of validVaults) {
+    if (!underlyingTokens.has(asset.toLowerCase())) continue;
+    const underlying = [describe(asset, parseFloat(ethers.formatUnits(assets, underlyingTokens.get(asset.toLowerCase()).decimals)))];
+    const price = underlying[0].price !== null ? underlying[0].amountPerToken * underlying[0].price : null;
+    prices.set(token.address.toLowerCase(), { price, source: 'erc4626', underlying });
+  }
+  return prices;
+}
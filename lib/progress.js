@@ -0,0 +1,96 @@
+// 计算吞吐量使用的时间窗口，只看最近一段时间的速度，开始阶段的准备工作和速度变化不会长期影响预计时间
+const THROUGHPUT_WINDOW = 30000; // 毫秒
+
+// 命令行进度显示，接收库函数emitter的progress事件
+// 显示实时进度百分比、处理速度、预计剩余时间和当前正在处理的操作，有失败的检查时同时显示失败数
+export function createProgressPrinter() {
+  const startTime = Date.now();
+  let lastUpdate = startTime;
+  let lastProgress = 0;
+  let state = { completed: 0, failed: 0, total: 0, action: '' };
+
+  // 进度采样 { time, processed }，用于计算最近的吞吐量
+  let samples = [];
+  const recordSample = (processed) => {
+    const now = Date.now();
+    const last = samples[samples.length - 1];
+    // 总数重新计算或从检查点恢复时进度可能变小，重新开始采样
+    if (last && processed < last.processed) samples = [];
+    if (!last || processed !== last.processed) samples.push({ time: now, processed });
+    while (samples.length > 2 && now - samples[1].time > THROUGHPUT_WINDOW) samples.shift();
+  };
+
+  // 每秒完成的任务数，任务数还没有变化时返回null
+  const measureThroughput = (processed, now) => {
+    if (samples.length === 0) return null;
+    const first = samples[0];
+    const elapsed = (now - first.time) / 1000;
+    if (processed <= first.processed || elapsed <= 0) return null;
+    return (processed - first.processed) / elapsed;
+  };
+
+  const render = (force = false) => {
+    const { completed, total, action } = state;
+    const failed = state.failed || 0;
+    // 失败的检查已经结束，同样计入进度；高级模式的总数按扫描任务计算，失败数不会让进度超过总数
+    const processed = Math.min(total, completed + failed);
+    const now = Date.now();
+    const percent = total > 0 ? Math.floor((processed / total) * 100) : 100;
+
+    // 每500毫秒更新一次进度，或者在强制更新时
+    if (!force && now - lastUpdate < 500 && percent <= lastProgress) return;
+    lastUpdate = now;
+    lastProgress = percent;
+
+    // 按最近测得的吞吐量计算预估剩余时间
+    let eta = '计算中...';
+    const throughput = measureThroughput(processed, now);
+    if (throughput !== null) {
+      const remainingTime = Math.max(0, total - processed) / throughput;
+
+      // 格式化剩余时间
+      if (remainingTime < 60) {
+        eta = `约${Math.ceil(remainingTime)}秒`;
+      } else if (remainingTime < 3600) {
+        eta = `约${Math.ceil(remainingTime / 60)}分钟`;
+      } else {
+        eta = `约${(remainingTime / 3600).toFixed(1)}小时`;
+      }
+    }
+
+    // 构建进度消息
+    let message = `\r进度: [${processed}/${total}] ${percent}% 完成`;
+    if (failed > 0) {
+      message += ` (${failed} 个失败)`;
+    }
+    if (throughput !== null) {
+      message += ` | 速度: ${throughput >= 10 ? Math.round(throughput) : throughput.toFixed(1)}个/秒`;
+    }
+    message += ` | 预计剩余时间: ${eta}`;
+    if (action) {
+      message += ` | ${action}`;
+    }
+
+    process.stdout.write(message);
+  };
+
+  // 设置定时器，确保即使在长时间查询过程中也能更新进度
+  const interval = setInterval(() => render(), 1000);
+
+  return {
+    // 有新的操作描述时立即刷新，否则按频率限制刷新
+    update(progress) {
+      const force = Boolean(progress.action) && progress.action !== state.action;
+      state = { ...progress };
+      recordSample(state.completed + (state.failed || 0));
+      render(force);
+    },
+
+    // 停止定时器并显示最终进度
+    finish() {
+      clearInterval(interval);
+      const failed = state.failed ? ` (${state.failed} 个失败)` : '';
+      process.stdout.write(`\r进度: [${state.total}/${state.total}] 100% 完成${failed}！${' '.repeat(50)}\n`);
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// 令牌桶限速器：平均每秒最多放行requestsPerSecond个请求，空闲后最多可以连续放行burst个
+// requestsPerSecond为0时不限速
+export function createRateLimiter({ requestsPerSecond = 0, burst = requestsPerSecond } = {}) {
+  const rate = Math.max(0, parseFloat(requestsPerSecond) || 0);
+  const capacity = Math.max(1, parseFloat(burst) || 1);
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  const waiting = [];
+  let timer = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  };
+
+  // 按到达顺序放行等待的请求，令牌不足时等到下一个令牌生成
+  const drain = () => {
+    timer = null;
+    refill();
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      waiting.shift()();
+    }
+    if (waiting.length > 0) {
+      timer = setTimeout(drain, Math.ceil(((1 - tokens) / rate) * 1000));
+    }
+  };
+
+  return {
+    requestsPerSecond: rate,
+
+    // 等待一个令牌
+    acquire() {
+      if (rate === 0) return Promise.resolve();
+      return new Promise(resolve => {
+        waiting.push(resolve);
+        if (!timer) drain();
+      });
+    }
+  };
+}
+
+// 让provider的每个JSON-RPC请求先经过限速器，共用同一个provider的所有检查合计不超过限速
+// 直接替换provider.send，返回同一个provider
+export function throttleProvider(provider, limiter) {
+  const send = provider.send.bind(provider);
+  provider.send = async (method, params) => {
+    await limiter.acquire();
+    return send(method, params);
+  };
+  return provider;
+}
@@ -0,0 +1,646 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { getNetworkName } from './networks.js';
+import { summarizeResults, summarizeWalletExposure } from './summary.js';
+import {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  formatTokenLabel,
+  formatExpiration,
+  formatFailureType,
+  formatSpenderProtocol,
+  formatRisk,
+  formatPriceSource,
+  formatAssetAmount,
+  formatUnderlyingAssets,
+  formatCsv,
+  formatCsvRows,
+  formatJson,
+  formatNdjson,
+  formatMarkdown,
+  formatHtml,
+  formatDiffChange,
+  formatDiffCsv,
+  formatDiffJson,
+  formatAlertJson,
+  DIFF_EXPORT_FORMATS
+} from './formats.js';
+import { InvalidInputError } from './errors.js';
+
+// 显示结果
+// discoveredSpenders为true时spender来自事件发现（高级模式），否则来自用户输入
+export function displayResults(results, { logger, discoveredSpenders = false } = {}) {
+  if (results.length === 0) {
+    logger?.info('未找到任何授权信息');
+    return;
+  }
+
+  // 计算摘要信息（这部分不会导致栈溢出）
+  const summary = summarizeResults(results);
+
+  // 安全显示结果 - 处理大数据量
+  const MAX_DISPLAY_ROWS = 100; // 限制表格显示最多100行
+
+  console.log(`\n总共找到 ${results.length} 个授权结果。`);
+
+  if (results.length > MAX_DISPLAY_ROWS) {
+    console.log(`数据量过大，仅显示前 ${MAX_DISPLAY_ROWS} 行和最重要的授权。所有数据都已保存在导出的CSV文件中。`);
+
+    let importantResults;
+    if (summary.highRiskApprovals !== null) {
+      // 有风险评分时按风险分数排序，最危险的授权优先显示
+      importantResults = sortByRisk(results);
+    } else {
+      // 按曝光价值排序，找出价值最高的结果
+      const sortedResults = [...results]
+        .filter(r => r.exposedValueUSD !== null)
+        .sort((a, b) => b.exposedValueUSD - a.exposedValueUSD);
+
+      // 获取高价值和无限授权的结果
+      const highValueResults = sortedResults.slice(0, MAX_DISPLAY_ROWS/2);
+      const infiniteResults = results
+        .filter(r => r.isInfiniteApproval)
+        .slice(0, MAX_DISPLAY_ROWS/2);
+
+      // 合并高价值和无限授权结果并去重
+      importantResults = [...highValueResults];
+      for (const result of infiniteResults) {
+        if (!importantResults.some(r =>
+            r.chainId === result.chainId &&
+            r.walletAddress === result.walletAddress &&
+            r.tokenAddress === result.tokenAddress &&
+            r.spenderAddress === result.spenderAddress)) {
+          importantResults.push(result);
+        }
+      }
+    }
+
+    // 限制最终显示的结果数量
+    const displayResults = importantResults.slice(0, MAX_DISPLAY_ROWS);
+
+    // 创建表格
+    displayResultTable(displayResults);
+  } else {
+    // 数据量适中，正常显示
+    displayResultTable(summary.highRiskApprovals !== null ? sortByRisk(results) : results);
+  }
+
+  // 显示摘要
+  console.log('\n摘要:');
+  console.log(`检查了 ${summary.wallets} 个钱包地址`);
+  console.log(`检查了 ${summary.tokens} 个代币合约`);
+  if (discoveredSpenders) {
+    console.log(`发现 ${summary.spenders} 个spender合约有授权`);
+  } else {
+    console.log(`检查了 ${summary.spenders} 个spender合约`);
+  }
+  console.log(`发现 ${summary.approvals} 个授权，其中 ${summary.infiniteApprovals} 个为无限授权`);
+  if (summary.highRiskApprovals !== null) {
+    const message = `高风险授权: ${summary.highRiskApprovals} 个`;
+    console.log(summary.highRiskApprovals > 0 ? chalk.red(message) : message);
+  }
+  if (summary.unknownDecimalsApprovals > 0) {
+    console.log(chalk.yellow(`${summary.unknownDecimalsApprovals} 个授权的代币精度未知，金额按最小单位显示，未计入曝光价值（可在代币文件中指定decimals）`));
+  }
+  if (summary.exposedValueUSD !== null) {
+    console.log(`总曝光价值: $${summary.exposedValueUSD.toFixed(2)} USD`);
+  }
+
+  // 多网络时显示每个网络的汇总和每个钱包的跨链总曝光
+  if (summary.chains.length > 1) {
+    console.log('\n各网络汇总:');
+    for (const chain of summary.chains) {
+      console.log(`  ${chain.network} (chainId: ${chain.chainId}): ${chain.approvals} 个授权` +
+        (chain.exposedValueUSD !== null ? `，曝光价值 $${chain.exposedValueUSD.toFixed(2)} USD` : ''));
+    }
+    displayWalletExposureTable(results, summary.chains.map(chain => chain.chainId), MAX_DISPLAY_ROWS);
+  }
+}
+
+// 按风险分数从高到低排序，分数相同时曝光价值高的在前
+function sortByRisk(results) {
+  return [...results].sort((a, b) =>
+    (b.riskScore ?? -1) - (a.riskScore ?? -1) ||
+    (b.exposedValueUSD ?? -1) - (a.exposedValueUSD ?? -1));
+}
+
+// 显示每个钱包在各网络的曝光价值和跨链总曝光，按总曝光从高到低排序
+function displayWalletExposureTable(results, chainIds, maxRows) {
+  const wallets = summarizeWalletExposure(results);
+
+  const table = new Table({
+    head: [
+      chalk.white('钱包地址'),
+      ...chainIds.map(chainId => chalk.white(getNetworkName(chainId))),
+      chalk.white('跨链总曝光(USD)')
+    ]
+  });
+
+  const formatValue = (value) => value === null ? chalk.gray('未知') : `$${value.toFixed(2)}`;
+  for (const wallet of wallets.slice(0, maxRows)) {
+    table.push([
+      formatAddressLabel(wallet.walletAddress, wallet.walletLabel, wallet.walletEnsName),
+      ...chainIds.map(chainId => chainId in wallet.chains ? formatValue(wallet.chains[chainId]) : '-'),
+      formatValue(wallet.exposedValueUSD)
+    ]);
+  }
+
+  console.log('\n各钱包跨链总曝光:');
+  if (wallets.length > maxRows) {
+    console.log(`共 ${wallets.length} 个钱包，仅显示总曝光最高的 ${maxRows} 个`);
+  }
+  console.log(table.toString());
+}
+
+// 显示无法扫描的区块范围，这些范围内的授权可能被遗漏
+export function displayCoverageGaps(coverageGaps) {
+  if (coverageGaps.length === 0) return;
+
+  const totalBlocks = coverageGaps.reduce((sum, gap) => sum + gap.toBlock - gap.fromBlock + 1, 0);
+  console.log(chalk.red(`\n覆盖缺口: 共 ${coverageGaps.length} 个区块范围（${totalBlocks} 个区块）的授权事件无法获取，以下钱包的结果可能不完整:`));
+
+  const table = new Table({
+    head: [
+      chalk.white('网络'),
+      chalk.white('起始区块'),
+      chalk.white('结束区块'),
+      chalk.white('代币'),
+      chalk.white('钱包地址'),
+      chalk.white('错误')
+    ],
+    colWidths: [12, 12, 12, 30, 30, 40],
+    wordWrap: true
+  });
+
+  for (const gap of coverageGaps) {
+    table.push([
+      getNetworkName(gap.chainId),
+      gap.fromBlock,
+      gap.toBlock,
+      formatGapScope(gap),
+      summarizeAddresses(gap.wallets),
+      gap.error
+    ]);
+  }
+
+  console.log(table.toString());
+}
+
+// 显示RPC重试后仍无法完成的检查，这些组合的授权状态未知，不代表没有授权
+export function displayFailures(failures) {
+  if (failures.length === 0) return;
+
+  console.log(chalk.red(`\n检查失败: ${failures.length} 个授权组合在多次重试后仍无法读取，状态未知:`));
+
+  const table = new Table({
+    head: [
+      chalk.white('网络'),
+      chalk.white('钱包地址'),
+      chalk.white('代币'),
+      chalk.white('Spender'),
+      chalk.white('失败步骤'),
+      chalk.white('错误')
+    ],
+    colWidths: [12, 16, 16, 16, 12, 50],
+    wordWrap: true
+  });
+
+  for (const failure of failures) {
+    table.push([
+      getNetworkName(failure.chainId),
+      shortenAddress(failure.walletAddress),
+      failure.tokenSymbol || shortenAddress(failure.tokenAddress),
+      shortenAddress(failure.spenderAddress) + (failure.approvalType && failure.approvalType !== 'allowance' ? `\n(${formatFailureType(failure)})` : ''),
+      failure.stage === 'balance' ? '读取余额' : '读取授权',
+      failure.error
+    ]);
+  }
+
+  console.log(table.toString());
+}
+
+// 缺口对应的扫描范围：按代币扫描时列出代币，NFT扫描和代币发现不限制合约地址，Permit2扫描包括所有代币
+function formatGapScope(gap) {
+  if (gap.scope === 'nft') return 'NFT(全部合约)';
+  if (gap.scope === 'tokens') return '代币发现(全部合约)';
+  if (gap.scope === 'permit2') return 'Permit2(全部代币)';
+  return summarizeAddresses(gap.tokens);
+}
+
+// 地址列表的简短显示，最多列出3个
+function summarizeAddresses(addresses) {
+  const shown = addresses.slice(0, 3).map(shortenAddress).join(', ');
+  return addresses.length > 3 ? `${shown} 等${addresses.length}个` : shown;
+}
+
+// 风险列：按等级着色的分数，下方列出原因
+function formatRiskCell(result) {
+  if (result.riskScore === null || result.riskScore === undefined) return chalk.gray('未评估');
+  const color = result.riskLevel === 'high' ? chalk.red : result.riskLevel === 'medium' ? chalk.yellow : chalk.green;
+  return [color(formatRisk(result)), ...result.riskReasons.map(reason => chalk.gray(`·${reason}`))].join('\n');
+}
+
+// 新增辅助函数，用于显示表格（避免长函数栈溢出）
+export function displayResultTable(results) {
+  // 评估过风险时增加风险列
+  const showRisk = results.some(r => r.riskScore !== null && r.riskScore !== undefined);
+
+  // 创建表格
+  const table = new Table({
+    head: [
+      chalk.white('网络'),
+      chalk.white('钱包地址'),
+      chalk.white('代币'),
+      chalk.white('Spender合约'),
+      chalk.white('授权金额'),
+      chalk.white('余额'),
+      chalk.white('曝光量'),
+      chalk.white('曝光价值(USD)'),
+      chalk.white('无限授权'),
+      ...(showRisk ? [chalk.white('风险')] : [])
+    ],
+    colWidths: [10, 16, 16, 24, 12, 12, 12, 16, 10, ...(showRisk ? [28] : [])],
+    wordWrap: true
+  });
+
+  // 填充表格数据，使用批处理避免栈溢出
+  const BATCH_SIZE = 20;
+  for (let i = 0; i < results.length; i += BATCH_SIZE) {
+    const batch = results.slice(i, i + BATCH_SIZE);
+
+    for (const result of batch) {
+      const isInfinite = result.isInfiniteApproval
+        ? chalk.red('是')
+        : chalk.green('否');
+
+      let allowance = result.isInfiniteApproval
+        ? chalk.red(result.allowance)
+        : parseFloat(result.allowance) > 0
+          ? chalk.yellow(result.allowance)
+          : chalk.green(result.allowance);
+
+      // Permit2授权显示到期时间，已过期的不再计入曝光量
+      if (result.approvalType === 'permit2') {
+        allowance = result.isExpired
+          ? chalk.gray('已过期')
+          : `${allowance}\n${chalk.gray(formatExpiration(result.expiration).slice(0, 10))}`;
+      }
+
+      const balance = chalk.cyan(result.balance);
+
+      const exposedAmount = parseFloat(result.exposedAmount) > 0
+        ? chalk.yellow(result.exposedAmount)
+        : chalk.green(result.exposedAmount)
+
+      // LP代币和金库份额在曝光量下方显示对应的底层资产
+      const exposedCell = result.underlyingAssets
+        ? [exposedAmount, ...result.underlyingAssets.map(asset => chalk.gray(`≈${formatAssetAmount(asset.amount)} ${asset.tokenSymbol}`))].join('\n')
+        : exposedAmount;
+
+      // 曝光价值下方显示价格来源
+      const exposedValueUSD = result.exposedValueUSD !== null
+        ? (parseFloat(result.exposedValueUSD) > 100
+          ? chalk.red(`$${result.exposedValueUSD.toFixed(2)}`)
+          : chalk.yellow(`$${result.exposedValueUSD.toFixed(2)}`)) +
+          (result.priceSource ? `\n${chalk.gray(formatPriceSource(result))}` : '')
+        : chalk.gray('未知');
+
+      table.push([
+        getNetworkName(result.chainId),
+        formatAddressLabel(result.walletAddress, result.walletLabel, result.walletEnsName),
+        formatTokenLabel(result),
+        formatSpender(result),
+        allowance,
+        balance,
+        exposedCell,
+        exposedValueUSD,
+        isInfinite,
+        ...(showRisk ? [formatRiskCell(result)] : [])
+      ]);
+    }
+
+    // 在批处理中间添加微小延迟以避免栈溢出
+    if (i + BATCH_SIZE < results.length) {
+      // 这里实际运行时不会真的延迟，只是给JavaScript引擎一个让出控制权的机会
+      // 避免同步调用导致栈构建过深
+    }
+  }
+
+  try {
+    // 安全地渲染表格
+    console.log(table.toString());
+  } catch (error) {
+    // 如果仍然出错，使用更简单的格式显示
+    console.log('表格渲染失败，使用简化格式显示结果:');
+    console.log('----------------------------------------------------');
+
+    for (const result of results) {
+      console.log(
+        `${getNetworkName(result.chainId)} | ${formatEnsAddress(result.walletAddress, result.walletEnsName)}${result.walletLabel ? ` (${result.walletLabel})` : ''} | ${formatTokenLabel(result)} | ` +
+        `${formatEnsAddress(result.spenderAddress, result.spenderEnsName)} ${formatSpenderProtocol(result)}${result.spenderLabel ? ` (${result.spenderLabel})` : ''} | 授权: ${result.allowance} | ` +
+        `曝光: ${result.exposedAmount}${result.underlyingAssets ? ` (${formatUnderlyingAssets(result)})` : ''} | 价值: ${result.exposedValueUSD !== null ? '$' + result.exposedValueUSD.toFixed(2) : '未知'} | ` +
+        `无限授权: ${result.isInfiniteApproval ? '是' : '否'}` +
+        (result.approvalType === 'permit2' ? ` | 到期: ${result.isExpired ? '已过期' : formatExpiration(result.expiration)}` : '') +
+        (showRisk ? ` | 风险: ${formatRisk(result)} ${(result.riskReasons || []).join('；')}` : '')
+      );
+    }
+  }
+}
+
+// 导出结果，format为csv、json、ndjson、md或html，未指定时按文件扩展名判断
+// metadata为运行信息（网络、区块、输入等），coverageGaps和failures只写入非CSV格式，
+// CSV格式的缺口和失败使用exportCoverageGaps和exportFailures单独导出
+export async function exportResults(results, filepath, { format, metadata = {}, coverageGaps = [], failures = [] } = {}) {
+  const resolved = resolveExportFormat(format, filepath);
+  const report = { results, coverageGaps, failures, metadata };
+
+  switch (resolved) {
+    case 'csv':
+      return fs.writeFile(filepath, formatCsv(results));
+    case 'json':
+      return fs.writeFile(filepath, formatJson(report));
+    case 'ndjson':
+      return fs.writeFile(filepath, formatNdjson(report));
+    case 'md':
+      return fs.writeFile(filepath, formatMarkdown(report));
+    case 'html':
+      return fs.writeFile(filepath, formatHtml(report));
+    default:
+      throw new InvalidInputError(`不支持的导出格式: ${format}，可选值: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// 覆盖缺口文件路径，例如 report.csv -> report-gaps.csv
+export function getCoverageGapsPath(filepath) {
+  const extension = path.extname(filepath);
+  return `${filepath.slice(0, filepath.length - extension.length)}-gaps${extension || '.csv'}`;
+}
+
+// 导出覆盖缺口到CSV，每个 钱包×代币×区块范围 一行，NFT扫描、代币发现和Permit2扫描的缺口每个 钱包×区块范围 一行
+export async function exportCoverageGaps(coverageGaps, filepath) {
+  const rows = [['WalletAddress', 'TokenAddress', 'FromBlock', 'ToBlock', 'Error', 'Scope', 'ChainId']];
+
+  for (const gap of coverageGaps) {
+    // NFT扫描、代币发现和Permit2扫描不按代币区分，代币列记为*
+    const tokens = gap.scope === 'erc20' || !gap.scope ? gap.tokens : ['*'];
+    for (const wallet of gap.wallets) {
+      for (const token of tokens) {
+        rows.push([wallet, token, gap.fromBlock, gap.toBlock, gap.error, gap.scope || 'erc20', gap.chainId ?? '']);
+      }
+    }
+  }
+
+  await fs.writeFile(filepath, formatCsvRows(rows));
+}
+
+// 失败列表文件路径，例如 report.csv -> report-failures.csv
+export function getFailuresPath(filepath) {
+  const extension = path.extname(filepath);
+  return `${filepath.slice(0, filepath.length - extension.length)}-failures${extension || '.csv'}`;
+}
+
+// 导出失败的检查到CSV，每个 钱包×代币×spender 一行
+export async function exportFailures(failures, filepath) {
+  const rows = [['WalletAddress', 'TokenAddress', 'TokenSymbol', 'SpenderAddress', 'ApprovalType', 'Stage', 'Error', 'ChainId', 'AssetType']];
+
+  for (const failure of failures) {
+    rows.push([
+      failure.walletAddress,
+      failure.tokenAddress,
+      failure.tokenSymbol || '',
+      failure.spenderAddress,
+      failure.approvalType,
+      failure.stage,
+      failure.error,
+      failure.chainId ?? '',
+      failure.assetType || 'ERC20'
+    ]);
+  }
+
+  await fs.writeFile(filepath, formatCsvRows(rows));
+}
+
+// 显示撤销交易，按钱包分组；模拟失败的交易标红并显示原因
+export function displayRevocations(transactions) {
+  if (transactions.length === 0) {
+    console.log('\n没有需要撤销的授权');
+    return;
+  }
+
+  const flagged = transactions.filter(tx => tx.flagged).length;
+  console.log(`\n撤销交易: 共 ${transactions.length} 笔，其中 ${flagged} 笔模拟失败`);
+
+  const table = new Table({
+    head: [
+      chalk.white('网络'),
+      chalk.white('钱包地址'),
+      chalk.white('Nonce'),
+      chalk.white('代币'),
+      chalk.white('调用'),
+      chalk.white('Gas'),
+      chalk.white('曝光价值(USD)'),
+      chalk.white('模拟结果')
+    ],
+    colWidths: [10, 16, 8, 16, 36, 10, 16, 30],
+    wordWrap: true
+  });
+
+  const sorted = [...transactions].sort((a, b) =>
+    a.chainId - b.chainId || a.from.localeCompare(b.from) || (a.nonce ?? Infinity) - (b.nonce ?? Infinity));
+
+  for (const tx of sorted) {
+    table.push([
+      getNetworkName(tx.chainId),
+      shortenAddress(tx.from),
+      tx.nonce ?? '-',
+      formatTokenLabel(tx.revoke),
+      tx.revoke.method,
+      tx.gasLimit ?? '-',
+      tx.revoke.exposedValueUSD !== null ? `$${tx.revoke.exposedValueUSD.toFixed(2)}` : chalk.gray('未知'),
+      tx.flagged ? chalk.red(tx.simulation.error) : chalk.green('成功')
+    ]);
+  }
+
+  console.log(table.toString());
+}
+
+// 导出撤销交易到JSON，数值字段均为字符串，避免大数精度丢失
+export async function exportRevocations(transactions, filepath, signed = []) {
+  const signedByKey = new Map(signed.map(({ transaction, signedTransaction }) => [transaction, signedTransaction]));
+  const output = transactions.map(tx => ({
+    ...tx,
+    signedTransaction: signedByKey.get(tx) ?? null
+  }));
+
+  await fs.writeFile(filepath, JSON.stringify(output, null, 2));
+}
+
+// 显示违反策略的授权和钱包，没有违规时显示通过
+// incomplete为失败的检查和覆盖缺口的数量，没有违规但结果不完整时不显示通过
+export function displayPolicyViolations(violations, ruleCount, incomplete = 0) {
+  if (violations.length === 0 && incomplete > 0) {
+    console.log(chalk.yellow(`\n策略检查未发现违规（${ruleCount} 条规则），但有 ${incomplete} 个失败的检查或覆盖缺口，无法确认所有授权都符合策略`));
+    return;
+  }
+  if (violations.length === 0) {
+    console.log(chalk.green(`\n策略检查通过（${ruleCount} 条规则）`));
+    return;
+  }
+
+  const rules = new Set(violations.map(violation => violation.ruleId));
+  console.log(chalk.red(`\n策略检查未通过: ${rules.size} 条规则共 ${violations.length} 项违规`));
+
+  const table = new Table({
+    head: [
+      chalk.white('规则'),
+      chalk.white('网络'),
+      chalk.white('钱包地址'),
+      chalk.white('代币'),
+      chalk.white('Spender合约'),
+      chalk.white('说明')
+    ],
+    colWidths: [24, 10, 16, 16, 24, 40],
+    wordWrap: true
+  });
+
+  const MAX_DISPLAY_ROWS = 100;
+  for (const violation of violations.slice(0, MAX_DISPLAY_ROWS)) {
+    table.push([
+      chalk.red(violation.ruleId),
+      violation.chainId !== null ? getNetworkName(violation.chainId) : '-',
+      formatAddressLabel(violation.walletAddress, violation.walletLabel),
+      violation.tokenAddress ? formatTokenLabel(violation) : '-',
+      violation.spenderAddress ? formatSpender(violation) : '-',
+      violation.message
+    ]);
+  }
+
+  if (violations.length > MAX_DISPLAY_ROWS) {
+    console.log(`违规较多，仅显示前 ${MAX_DISPLAY_ROWS} 项`);
+  }
+  console.log(table.toString());
+}
+
+// 显示两次检查结果之间的授权变化，按变化类型分组，曝光价值增加标红、减少标绿
+export function displayDiff(changes, summary) {
+  if (changes.length === 0) {
+    console.log('\n两份报告之间没有授权变化');
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.white('变化'),
+      chalk.white('网络'),
+      chalk.white('钱包地址'),
+      chalk.white('代币'),
+      chalk.white('Spender合约'),
+      chalk.white('授权金额'),
+      chalk.white('曝光价值变化(USD)')
+    ],
+    colWidths: [14, 10, 16, 16, 24, 24, 20],
+    wordWrap: true
+  });
+
+  const MAX_DISPLAY_ROWS = 100;
+  for (const change of changes.slice(0, MAX_DISPLAY_ROWS)) {
+    const color = change.change === 'revoked' || change.change === 'decreased' ? chalk.green : chalk.red;
+    table.push([
+      color(formatDiffChange(change.change)),
+      getNetworkName(change.chainId),
+      formatAddressLabel(change.walletAddress, change.walletLabel),
+      formatTokenLabel(change),
+      formatSpender(change),
+      `${change.allowanceBefore ?? '-'} → ${change.allowanceAfter ?? '-'}`,
+      formatValueDelta(change.exposedValueDeltaUSD)
+    ]);
+  }
+
+  console.log(`\n授权变化: 共 ${changes.length} 项`);
+  if (changes.length > MAX_DISPLAY_ROWS) {
+    console.log(`变化较多，仅显示前 ${MAX_DISPLAY_ROWS} 项，完整列表请使用--export导出`);
+  }
+  console.log(table.toString());
+
+  console.log('\n摘要:');
+  for (const [change, count] of Object.entries(summary.counts)) {
+    if (count > 0) console.log(`${formatDiffChange(change)}: ${count} 个`);
+  }
+  console.log(`曝光价值变化: ${formatValueDelta(summary.exposedValueDeltaUSD)} USD` +
+    (summary.unknownValues > 0 ? chalk.gray(`（另有 ${summary.unknownValues} 项价格未知）`) : ''));
+}
+
+// 曝光价值的变化，带正负号
+function formatValueDelta(value) {
+  if (value === null) return chalk.gray('未知');
+  if (value > 0) return chalk.red(`+$${value.toFixed(2)}`);
+  if (value < 0) return chalk.green(`-$${Math.abs(value).toFixed(2)}`);
+  return '$0.00';
+}
+
+// 导出授权变化，format为csv或json，未指定时按文件扩展名判断
+// before和after为比较的两份报告路径，写入JSON
+export async function exportDiff(changes, filepath, { format, summary, before = null, after = null } = {}) {
+  const resolved = resolveExportFormat(format, filepath);
+
+  switch (resolved) {
+    case 'csv':
+      return fs.writeFile(filepath, formatDiffCsv(changes));
+    case 'json':
+      return fs.writeFile(filepath, formatDiffJson({ changes, summary, before, after }));
+    default:
+      throw new InvalidInputError(`授权变化不支持导出为${resolved}格式，可选值: ${DIFF_EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// 显示一条监控告警：时间、网络、区块、钱包、代币、spender、授权金额和曝光，风险评分在后
+export function displayAlert(alert) {
+  const walletAddress = formatEnsAddress(alert.walletAddress, alert.walletEnsName);
+  const wallet = alert.walletLabel ? `${walletAddress} (${alert.walletLabel})` : walletAddress;
+  const spender = `${formatEnsAddress(alert.spenderAddress, alert.spenderEnsName)} ${formatSpenderProtocol(alert)}${alert.spenderLabel ? ` (${alert.spenderLabel})` : ''}`;
+  const allowance = alert.isInfiniteApproval ? chalk.red(alert.allowance) : chalk.yellow(alert.allowance);
+  const value = alert.exposedValueUSD !== null ? `$${alert.exposedValueUSD.toFixed(2)}` : '价值未知';
+
+  console.log(
+    `${chalk.gray(alert.detectedAt)} ${getNetworkName(alert.chainId)} ` +
+    `${alert.reorg ? chalk.yellow('[重组后重新检查] ') : ''}区块 ${alert.blockNumber ?? '-'}: ` +
+    `${wallet} 授权 ${formatTokenLabel(alert)} 给 ${spender}，金额 ${allowance}，` +
+    `曝光 ${alert.exposedAmount} (${alert.exposedValueUSD !== null && alert.exposedValueUSD > 100 ? chalk.red(value) : value})` +
+    (alert.transactionHash ? chalk.gray(` tx ${alert.transactionHash}`) : '')
+  );
+}
+
+// 追加一条监控告警到NDJSON文件
+export async function appendAlert(alert, filepath) {
+  await fs.appendFile(filepath, formatAlertJson(alert) + '\n');
+}
+
+// 地址列的显示，有ENS主名称时在地址下方显示名称，有标签时再显示标签
+function formatAddressLabel(address, label, ensName = null) {
+  const lines = [shortenAddress(address)];
+  if (ensName) lines.push(ensName);
+  if (label) lines.push(chalk.gray(label));
+  return lines.join('\n');
+}
+
+// 单行显示的地址，有ENS主名称时附在地址后
+function formatEnsAddress(address, ensName) {
+  return ensName ? `${shortenAddress(address)} ${ensName}` : shortenAddress(address);
+}
+
+// Spender列的显示：地址、ENS主名称、已知合约的协议名称和角色（未登记时显示未知合约），有标签时再显示标签
+function formatSpender(result) {
+  const lines = [shortenAddress(result.spenderAddress)];
+  if (result.spenderEnsName) lines.push(result.spenderEnsName);
+  lines.push(result.spenderProtocol ? chalk.cyan(formatSpenderProtocol(result)) : chalk.gray(formatSpenderProtocol(result)));
+  if (result.spenderLabel) lines.push(chalk.gray(result.spenderLabel));
+  return lines.join('\n');
+}
+
+// 缩短地址显示
+export function shortenAddress(address) {
+  if (!address || address.length < 10) return address;
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
@@ -0,0 +1,187 @@
+import { ethers } from 'ethers';
+import { PERMIT2_ADDRESS } from './permit2.js';
+import { silentLogger } from './logger.js';
+import { InvalidInputError } from './errors.js';
+
+// 撤销授权使用的方法
+export const REVOKE_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function approve(address token, address spender, uint160 amount, uint48 expiration)"
+];
+
+const revokeInterface = new ethers.Interface(REVOKE_ABI);
+
+// 根据一行检查结果生成撤销授权的调用
+// ERC20授权: token.approve(spender, 0)
+// NFT全部授权: collection.setApprovalForAll(operator, false)
+// NFT单个token授权: collection.approve(0x0, tokenId)（ERC721的approve与ERC20同名同参数类型）
+// Permit2内部授权: Permit2.approve(token, spender, 0, 0)
+export function buildRevocation(result) {
+  const { tokenAddress, spenderAddress, approvalType, tokenId } = result;
+
+  switch (approvalType) {
+    case 'operator':
+      return {
+        to: tokenAddress,
+        data: revokeInterface.encodeFunctionData('setApprovalForAll', [spenderAddress, false]),
+        method: `setApprovalForAll(${spenderAddress}, false)`
+      };
+    case 'token':
+      return {
+        to: tokenAddress,
+        data: revokeInterface.encodeFunctionData('approve(address,uint256)', [ethers.ZeroAddress, tokenId]),
+        method: `approve(${ethers.ZeroAddress}, ${tokenId})`
+      };
+    case 'permit2':
+      return {
+        to: PERMIT2_ADDRESS,
+        data: revokeInterface.encodeFunctionData('approve(address,address,uint160,uint48)', [tokenAddress, spenderAddress, 0, 0]),
+        method: `Permit2.approve(${tokenAddress}, ${spenderAddress}, 0, 0)`
+      };
+    default:
+      return {
+        to: tokenAddress,
+        data: revokeInterface.encodeFunctionData('approve(address,uint256)', [spenderAddress, 0]),
+        method: `approve(${spenderAddress}, 0)`
+      };
+  }
+}
+
+// 去重并跳过不需要撤销的结果，返回 [{ result, call }]
+export function collectRevocations(results) {
+  const revocations = new Map();
+  for (const result of results) {
+    // 授权金额为0（包括已过期的Permit2授权）时不需要撤销；NFT授权的金额列不是数字
+    if (parseFloat(result.allowance) === 0) continue;
+
+    const call = buildRevocation(result);
+    const key = `${result.walletAddress}_${call.to}_${call.data}`.toLowerCase();
+    if (!revocations.has(key)) {
+      revocations.set(key, { result, call });
+    }
+  }
+  return [...revocations.values()];
+}
+
+// 为一组检查结果生成未签名的撤销交易，并用eth_call模拟执行
+// results应属于provider所在的网络；已撤销、已过期或重复的授权会被跳过
+// 模拟失败（例如代币已暂停、代币有特殊的approve限制）的交易标记为flagged，不分配nonce
+// 返回 [{ chainId, from, to, data, value, nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, revoke, simulation }]
+export async function prepareRevocations({ provider, results, logger = silentLogger, emitter = null }) {
+  if (!provider) {
+    throw new InvalidInputError('未提供provider');
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const revocations = collectRevocations(results);
+
+  // 所有交易共用当前的手续费参数
+  const feeData = await provider.getFeeData();
+
+  const transactions = [];
+  const nextNonce = new Map();
+  let completed = 0;
+
+  for (const { result, call } of revocations) {
+    const from = ethers.getAddress(result.walletAddress);
+    emitter?.emit('progress', {
+      completed,
+      total: revocations.length,
+      action: `模拟 ${result.tokenSymbol} 的撤销交易`
+    });
+
+    const request = { from, to: call.to, data: call.data };
+    const simulation = await simulateRevocation(provider, request);
+    if (!simulation.success) {
+      logger.warn(`撤销 ${from} 对 ${result.tokenSymbol}(${call.to}) 的授权模拟失败: ${simulation.error}`);
+    }
+
+    let gasLimit = null;
+    if (simulation.success) {
+      try {
+        gasLimit = (await provider.estimateGas(request)).toString();
+      } catch (error) {
+        simulation.success = false;
+        simulation.error = `估算gas出错: ${error.shortMessage || error.message}`;
+        logger.warn(`估算 ${from} 撤销 ${result.tokenSymbol} 授权的gas出错: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    // 只为模拟成功的交易分配nonce，同一钱包的交易nonce依次递增
+    let nonce = null;
+    if (simulation.success) {
+      if (!nextNonce.has(from)) {
+        nextNonce.set(from, await provider.getTransactionCount(from, 'pending'));
+      }
+      nonce = nextNonce.get(from);
+      nextNonce.set(from, nonce + 1);
+    }
+
+    transactions.push({
+      chainId: Number(chainId),
+      from,
+      to: call.to,
+      data: call.data,
+      value: '0',
+      nonce,
+      gasLimit,
+      maxFeePerGas: feeData.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString() ?? null,
+      gasPrice: feeData.maxFeePerGas ? null : feeData.gasPrice?.toString() ?? null,
+      revoke: {
+        method: call.method,
+        tokenAddress: result.tokenAddress,
+        tokenSymbol: result.tokenSymbol,
+        spenderAddress: result.spenderAddress,
+        assetType: result.assetType,
+        approvalType: result.approvalType,
+        tokenId: result.tokenId ?? null,
+        exposedValueUSD: result.exposedValueUSD ?? null
+      },
+      simulation,
+      flagged: !simulation.success
+    });
+    completed++;
+  }
+
+  emitter?.emit('progress', { completed, total: revocations.length, action: '' });
+  return transactions;
+}
+
+// 用eth_call模拟撤销交易
+// 部分代币的approve不会revert而是返回false，同样视为失败
+async function simulateRevocation(provider, request) {
+  try {
+    const returnData = await provider.call(request);
+    if (returnData && returnData !== '0x' && ethers.dataLength(returnData) === 32 && BigInt(returnData) === 0n) {
+      return { success: false, error: 'approve返回false' };
+    }
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.shortMessage || error.message };
+  }
+}
+
+// 用钱包签名撤销交易，只签名from与钱包地址一致且模拟成功的交易
+// 返回 [{ transaction, signedTransaction }]
+export async function signRevocations(wallet, transactions) {
+  const signed = [];
+  for (const transaction of transactions) {
+    if (transaction.flagged || transaction.from.toLowerCase() !== wallet.address.toLowerCase()) continue;
+
+    const signedTransaction = await wallet.signTransaction({
+      chainId: transaction.chainId,
+      to: transaction.to,
+      data: transaction.data,
+      value: 0n,
+      nonce: transaction.nonce,
+      gasLimit: transaction.gasLimit,
+      ...(transaction.maxFeePerGas
+        ? { maxFeePerGas: transaction.maxFeePerGas, maxPriorityFeePerGas: transaction.maxPriorityFeePerGas }
+        : { gasPrice: transaction.gasPrice })
+    });
+    signed.push({ transaction, signedTransaction });
+  }
+  return signed;
+}
@@ -0,0 +1,216 @@
+import { ethers } from 'ethers';
+import { silentLogger } from './logger.js';
+import { createWorkQueue, DEFAULT_CONCURRENCY } from './work-queue.js';
+
+// EIP-1967代理合约的实现、管理员和beacon存储槽
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+// EIP-1822（UUPS）的实现存储槽 keccak256("PROXIABLE")
+const EIP1822_PROXIABLE_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+
+const ownerInterface = new ethers.Interface(["function owner() view returns (address)"]);
+
+// 各项风险因素的分值，总分上限为100
+const RISK_WEIGHTS = {
+  denylisted: 100,
+  eoa: 60,
+  recentlyDeployed: 25,
+  youngContract: 10,
+  upgradeable: 15,
+  eoaAdmin: 10,
+  unknownContract: 10,
+  infiniteApproval: 10
+};
+
+// 部署时间少于此天数视为新部署合约
+const RECENT_DEPLOYMENT_DAYS = 30;
+const YOUNG_CONTRACT_DAYS = 180;
+
+// 风险等级的分数线
+const RISK_LEVELS = [
+  { level: 'high', minScore: 60 },
+  { level: 'medium', minScore: 30 },
+  { level: 'low', minScore: 0 }
+];
+
+// 读取存储槽中的地址，槽为空时返回null
+function slotToAddress(value) {
+  if (!value || BigInt(value) === 0n) return null;
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+// 收集一组spender的链上信息：是否为EOA、是否为可升级代理及其管理员、部署时间、是否在黑名单中
+// denylist为 [{ address, chainId, label }]，label作为列入黑名单的原因
+// blockTag指定查询的区块，合约年龄也按该区块的时间计算
+// 每个RPC请求都经过工作队列，同时最多concurrency个；传入workQueue时与同一网络的其他检查共用并发限制，
+// 限速由throttleProvider包装的provider负责
+// 返回 Map<"chainId:小写地址", facts>
+export async function collectSpenderFacts(provider, spenders, {
+  denylist = [],
+  blockTag = 'latest',
+  workQueue = null,
+  concurrency = DEFAULT_CONCURRENCY,
+  logger = silentLogger
+} = {}) {
+  const queue = workQueue || createWorkQueue({ concurrency });
+  const rpc = (task) => queue.run(task);
+
+  const { chainId } = await rpc(() => provider.getNetwork());
+  const snapshot = await rpc(() => provider.getBlock(blockTag));
+
+  const denied = new Map();
+  for (const entry of denylist) {
+    if (entry.chainId !== null && entry.chainId !== undefined && entry.chainId !== Number(chainId)) continue;
+    denied.set(entry.address.toLowerCase(), entry.label || '黑名单');
+  }
+
+  // 查询历史区块的代码需要归档节点，首次失败后不再尝试
+  let archiveAvailable = true;
+  const facts = new Map();
+
+  await Promise.all([...new Set(spenders.map(address => address.toLowerCase()))].map(async (spender) => {
+    const address = ethers.getAddress(spender);
+    const fact = {
+      address,
+      isEOA: false,
+      isProxy: false,
+      implementation: null,
+      admin: null,
+      adminIsEOA: null,
+      deployedBlock: null,
+      deployedAt: null,
+      ageDays: null,
+      denylisted: denied.has(spender),
+      denylistReason: denied.get(spender) ?? null
+    };
+    facts.set(`${chainId}:${spender}`, fact);
+
+    try {
+      const code = await rpc(() => provider.getCode(address, snapshot.number));
+      fact.isEOA = code === '0x';
+
+      if (!fact.isEOA) {
+        Object.assign(fact, await detectProxy(provider, address, snapshot.number, rpc));
+
+        if (archiveAvailable) {
+          try {
+            const deployedBlock = await findDeploymentBlock(provider, address, snapshot.number, rpc);
+            const block = await rpc(() => provider.getBlock(deployedBlock));
+            fact.deployedBlock = deployedBlock;
+            fact.deployedAt = block.timestamp;
+            fact.ageDays = Math.floor((snapshot.timestamp - block.timestamp) / 86400);
+          } catch (error) {
+            // 多个spender同时查询时只提示一次
+            if (archiveAvailable) {
+              logger.warn(`无法查询历史区块的合约代码（可能需要归档节点），将不评估合约部署时间: ${error.shortMessage || error.message}`);
+            }
+            archiveAvailable = false;
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(`获取spender ${address} 的链上信息出错: ${error.shortMessage || error.message}`);
+    }
+  }));
+
+  return facts;
+}
+
+// 检测EIP-1967/EIP-1822代理合约，返回 { isProxy, implementation, admin, adminIsEOA }
+// 管理员优先读取EIP-1967管理员槽，UUPS代理没有管理员槽时尝试调用owner()
+async function detectProxy(provider, address, blockTag, rpc) {
+  const [implementationSlot, adminSlot, beaconSlot, proxiableSlot] = await Promise.all([
+    rpc(() => provider.getStorage(address, EIP1967_IMPLEMENTATION_SLOT, blockTag)),
+    rpc(() => provider.getStorage(address, EIP1967_ADMIN_SLOT, blockTag)),
+    rpc(() => provider.getStorage(address, EIP1967_BEACON_SLOT, blockTag)),
+    rpc(() => provider.getStorage(address, EIP1822_PROXIABLE_SLOT, blockTag))
+  ]);
+
+  const implementation = slotToAddress(implementationSlot) ?? slotToAddress(proxiableSlot) ?? slotToAddress(beaconSlot);
+  if (!implementation) {
+    return { isProxy: false, implementation: null, admin: null, adminIsEOA: null };
+  }
+
+  let admin = slotToAddress(adminSlot);
+  if (!admin) {
+    try {
+      const result = await rpc(() => provider.call({ to: address, data: ownerInterface.encodeFunctionData('owner'), blockTag }));
+      admin = ownerInterface.decodeFunctionResult('owner', result)[0];
+      if (admin === ethers.ZeroAddress) admin = null;
+    } catch (error) {
+      // 没有owner()方法，管理员未知
+    }
+  }
+
+  const adminIsEOA = admin ? (await rpc(() => provider.getCode(admin, blockTag))) === '0x' : null;
+  return { isProxy: true, implementation, admin, adminIsEOA };
+}
+
+// 二分查找合约最早有代码的区块，作为部署区块
+async function findDeploymentBlock(provider, address, latestBlock, rpc) {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const code = await rpc(() => provider.getCode(address, middle));
+    if (code === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// 根据spender的链上信息和授权本身计算一行结果的风险分数（0-100）、等级和原因
+// facts为collectSpenderFacts的结果中该spender的信息，没有信息时只按授权本身评估
+export function scoreApproval(result, facts) {
+  const reasons = [];
+  let score = 0;
+  const add = (weight, reason) => {
+    score += weight;
+    reasons.push(reason);
+  };
+
+  if (facts?.denylisted) {
+    add(RISK_WEIGHTS.denylisted, `在黑名单中: ${facts.denylistReason}`);
+  }
+  if (facts?.isEOA) {
+    add(RISK_WEIGHTS.eoa, 'spender是EOA而不是合约');
+  }
+  if (facts?.ageDays !== null && facts?.ageDays !== undefined) {
+    if (facts.ageDays < RECENT_DEPLOYMENT_DAYS) {
+      add(RISK_WEIGHTS.recentlyDeployed, `合约部署不到${RECENT_DEPLOYMENT_DAYS}天（${facts.ageDays}天）`);
+    } else if (facts.ageDays < YOUNG_CONTRACT_DAYS) {
+      add(RISK_WEIGHTS.youngContract, `合约部署不到${YOUNG_CONTRACT_DAYS}天（${facts.ageDays}天）`);
+    }
+  }
+  if (facts?.isProxy) {
+    add(RISK_WEIGHTS.upgradeable, facts.admin ? '可升级代理合约' : '可升级代理合约，管理员未知');
+    if (facts.adminIsEOA) {
+      add(RISK_WEIGHTS.eoaAdmin, '代理合约管理员是EOA');
+    }
+  }
+  if (!facts?.isEOA && result.spenderProtocol === null) {
+    add(RISK_WEIGHTS.unknownContract, '不在已知合约登记表中');
+  }
+  if (result.isInfiniteApproval) {
+    add(RISK_WEIGHTS.infiniteApproval, '无限授权');
+  }
+
+  const riskScore = Math.min(100, score);
+  return {
+    riskScore,
+    riskLevel: RISK_LEVELS.find(({ minScore }) => riskScore >= minScore).level,
+    riskReasons: reasons
+  };
+}
+
+// 为结果附加风险分数，factsByKey为各网络collectSpenderFacts结果的合并
+export function applyRiskScores(results, factsByKey) {
+  return results.map(result => ({
+    ...result,
+    ...scoreApproval(result, factsByKey.get(`${result.chainId}:${result.spenderAddress.toLowerCase()}`))
+  }));
+}
@@ -0,0 +1,164 @@
+import { ethers } from 'ethers';
+import { describeError } from './log-scanner.js';
+import { silentLogger } from './logger.js';
+import { ConfigError, NetworkError } from './errors.js';
+
+// 默认每个RPC请求的超时时间和失败后的最大重试次数
+export const DEFAULT_RPC_TIMEOUT = 30000; // 毫秒
+export const DEFAULT_RPC_RETRIES = 5;
+
+// 重试的退避时间：500ms起按2的幂增长，最长30秒，实际等待时间在一半到全部之间随机
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30000;
+
+// 端点失败后的冷却时间：1秒起按连续失败次数翻倍，最长1分钟，冷却期间优先使用其他端点
+const BASE_COOLDOWN = 1000;
+const MAX_COOLDOWN = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 判断是否为限流错误：HTTP 429，或RPC在JSON中返回的请求数/额度超限错误
+export function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.response?.statusCode === 429 || error.code === 429) return true;
+  return /rate.?limit|too many requests|request limit|exceeded.*(quota|capacity|throughput|credits)|capacity exceeded|compute units/i.test(describeError(error));
+}
+
+// 端点的简短名称，只显示主机名，避免在日志中暴露URL中的API密钥
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'rpc';
+  }
+}
+
+// 发送一次JSON-RPC请求，与ethers.JsonRpcProvider相同，但限流时不在FetchRequest内部重试
+async function sendPayload(endpoint, payload) {
+  const request = endpoint.request.clone();
+  request.body = JSON.stringify(payload);
+  request.setHeader('content-type', 'application/json');
+  const response = await request.send();
+  response.assertOk();
+  const body = response.bodyJson;
+  return Array.isArray(body) ? body : [body];
+}
+
+// 支持多个RPC URL的provider
+// 请求优先发往配置顺序靠前且不在冷却期的端点；连接失败、超时、HTTP错误和限流都会让端点进入冷却并换用下一个端点，
+// 所有端点都在冷却时按指数退避（带随机抖动）等待后重试，重试maxRetries次后抛出NetworkError
+// 广播交易只在被限流时重试，超时等情况下交易可能已经被节点接收，重试会重复广播
+// eth_getLogs超时通常是因为区块范围过大，不重试，由日志扫描拆分范围
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+  #endpoints;
+  #maxRetries;
+  #logger;
+
+  constructor(urls, { timeout = DEFAULT_RPC_TIMEOUT, maxRetries = DEFAULT_RPC_RETRIES, logger = silentLogger } = {}) {
+    super(urls[0]);
+    this.#maxRetries = Math.max(0, parseInt(maxRetries ?? DEFAULT_RPC_RETRIES));
+    this.#logger = logger;
+    this.#endpoints = urls.map(url => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = Math.max(1, parseInt(timeout || DEFAULT_RPC_TIMEOUT));
+      request.retryFunc = async () => false;
+      return { url, name: describeEndpoint(url), request, failures: 0, cooldownUntil: 0 };
+    });
+  }
+
+  // 各端点的健康状态
+  get endpoints() {
+    return this.#endpoints.map(({ url, name, failures, cooldownUntil }) => ({
+      url,
+      name,
+      failures,
+      healthy: cooldownUntil <= Date.now()
+    }));
+  }
+
+  // 同时查询每个端点的chainId，返回 [{ url, name, chainId, error }]，无法连接的端点chainId为null并进入冷却
+  // 由调用方决定如何提示无法连接的端点，这里不输出日志
+  async probeEndpoints() {
+    return Promise.all(this.#endpoints.map(async (endpoint) => {
+      try {
+        const [response] = await sendPayload(endpoint, { method: 'eth_chainId', params: [], id: 1, jsonrpc: '2.0' });
+        if (response.error) throw new Error(response.error.message);
+        return { url: endpoint.url, name: endpoint.name, chainId: Number(BigInt(response.result)), error: null };
+      } catch (error) {
+        this.#markFailed(endpoint, error, false);
+        return { url: endpoint.url, name: endpoint.name, chainId: null, error };
+      }
+    }));
+  }
+
+  // 选择端点：配置顺序靠前的健康端点优先，全部在冷却时选最早恢复的
+  #selectEndpoint() {
+    const now = Date.now();
+    return this.#endpoints.find(endpoint => endpoint.cooldownUntil <= now) ??
+      this.#endpoints.reduce((best, endpoint) => endpoint.cooldownUntil < best.cooldownUntil ? endpoint : best);
+  }
+
+  #markFailed(endpoint, error, log = true) {
+    endpoint.failures++;
+    endpoint.cooldownUntil = Date.now() + Math.min(MAX_COOLDOWN, BASE_COOLDOWN * 2 ** (endpoint.failures - 1));
+    if (log && endpoint.failures === 1 && this.#endpoints.length > 1) {
+      this.#logger.warn(`RPC端点 ${endpoint.name} 请求失败，暂时改用其他端点: ${describeError(error)}`);
+    }
+  }
+
+  #markHealthy(endpoint) {
+    if (endpoint.failures > 0 && this.#endpoints.length > 1) {
+      this.#logger.info(`RPC端点 ${endpoint.name} 已恢复`);
+    }
+    endpoint.failures = 0;
+    endpoint.cooldownUntil = 0;
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    const broadcast = requests.some(request => request.method === 'eth_sendRawTransaction' || request.method === 'eth_sendTransaction');
+    const getLogs = requests.some(request => request.method === 'eth_getLogs');
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.#maxRetries; attempt++) {
+      const endpoint = this.#selectEndpoint();
+      try {
+        const responses = await sendPayload(endpoint, payload);
+        // 部分RPC限流时仍返回HTTP 200，错误在JSON中
+        const limited = responses.find(response => response.error && isRateLimitError(response.error));
+        if (limited) {
+          throw Object.assign(new Error(limited.error.message), { code: limited.error.code });
+        }
+        this.#markHealthy(endpoint);
+        return responses;
+      } catch (error) {
+        lastError = error;
+        if (broadcast && !isRateLimitError(error)) throw error;
+        if (getLogs && error.code === 'TIMEOUT') throw error;
+        this.#markFailed(endpoint, error);
+        if (attempt === this.#maxRetries) break;
+
+        // 还有健康的端点时立即换用，否则退避后重试
+        if (this.#endpoints.every(candidate => candidate.cooldownUntil > Date.now())) {
+          const cap = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempt);
+          const retryAfter = parseInt(error.response?.getHeader?.('retry-after')) * 1000;
+          const delay = Math.max(Math.round(cap / 2 + Math.random() * cap / 2), Number.isNaN(retryAfter) ? 0 : retryAfter);
+          this.#logger.debug(`RPC请求失败（${endpoint.name}），${delay}ms后第${attempt + 1}次重试: ${describeError(error)}`);
+          await sleep(delay);
+        }
+      }
+    }
+
+    const names = [...new Set(this.#endpoints.map(endpoint => endpoint.name))].join(', ');
+    throw new NetworkError(`RPC请求在重试${this.#maxRetries}次后仍然失败（${names}）: ${describeError(lastError)}`, { cause: lastError });
+  }
+}
+
+// 创建支持多个RPC URL、故障切换和退避重试的provider
+export function createRpcProvider(urls, options = {}) {
+  const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+  if (list.length === 0) {
+    throw new ConfigError('未提供RPC URL');
+  }
+  return new FailoverRpcProvider(list, options);
+}
@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+import { collectRevocations } from './revoke.js';
+import { getNetworkName } from './networks.js';
+
+// Gnosis Safe ABI，只包含识别Safe需要的部分
+export const SAFE_ABI = [
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)"
+];
+
+const safeInterface = new ethers.Interface(SAFE_ABI);
+
+// 识别哪些钱包是Safe多签：getOwners和getThreshold都能正常调用且返回非空的才算
+// 返回 Map<小写地址, { address, owners, threshold }>
+export async function detectSafes(multicall, wallets) {
+  const addresses = [...new Set(wallets.map(wallet => ethers.getAddress(wallet)))];
+  const calls = [];
+  for (const target of addresses) {
+    calls.push({ target, contractInterface: safeInterface, method: 'getOwners' });
+    calls.push({ target, contractInterface: safeInterface, method: 'getThreshold' });
+  }
+  const results = await multicall.call(calls);
+
+  const safes = new Map();
+  addresses.forEach((address, index) => {
+    const owners = results[index * 2];
+    const threshold = results[index * 2 + 1];
+    if (!owners.success || !threshold.success) return;
+    if (owners.value.length === 0 || threshold.value === 0n) return;
+
+    safes.set(address.toLowerCase(), {
+      address,
+      owners: [...owners.value],
+      threshold: Number(threshold.value)
+    });
+  });
+  return safes;
+}
+
+// 生成Safe Transaction Builder可导入的批量交易文件
+// results应属于同一个Safe和同一个网络，已撤销、已过期或重复的授权会被跳过
+export function buildSafeBatch({ chainId, safe, results, createdAt = Date.now() }) {
+  const revocations = collectRevocations(results);
+
+  return {
+    version: '1.0',
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name: `撤销授权 (${getNetworkName(chainId)})`,
+      description: `撤销 ${safe.address} 的 ${revocations.length} 个授权（${safe.threshold}/${safe.owners.length} 多签）`,
+      txBuilderVersion: '1.16.5',
+      createdFromSafeAddress: safe.address,
+      createdFromOwnerAddress: ''
+    },
+    // data已编码，contractMethod为null时Transaction Builder直接使用data
+    transactions: revocations.map(({ call }) => ({
+      to: call.to,
+      value: '0',
+      data: call.data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+}
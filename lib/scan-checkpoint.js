@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+
+// 版本2起记录Permit2内部授权，旧版本检查点需要重新扫描；Permit2事件的扫描进度记录在permit2键下，没有时只重新扫描Permit2事件
+const CHECKPOINT_VERSION = 2;
+
+// 创建空的扫描状态
+// scannedBlocks记录每个代币（或nft、token-discovery、permit2等扫描键）对每个钱包已完整扫描到的区块: { 代币: { 钱包: 区块号 } }
+// approvals记录通过Approval事件发现的 (钱包, 代币, spender) 组合、Permit2内部授权，以及NFT模式下发现的授权和ERC1155持仓
+// discoveredTokens记录自动发现的代币合约地址
+export function createScanState(chainId) {
+  return {
+    chainId: String(chainId),
+    scannedBlocks: {},
+    approvals: new Map(),
+    discoveredTokens: new Set()
+  };
+}
+
+// 读取扫描检查点，文件不存在、无法解析或属于其他链时返回空状态
+export async function loadScanCheckpoint(filepath, chainId, logger) {
+  const state = createScanState(chainId);
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    logger?.debug(`未找到有效的检查点文件或文件解析出错: ${error.message}`);
+    return state;
+  }
+
+  if (checkpoint.version !== CHECKPOINT_VERSION || String(checkpoint.chainId) !== state.chainId) {
+    logger?.warn(`检查点文件 ${filepath} 属于其他网络或版本不兼容，将重新扫描`);
+    return state;
+  }
+
+  state.scannedBlocks = checkpoint.scannedBlocks || {};
+  for (const approval of checkpoint.approvals || []) {
+    addApproval(state, approval);
+  }
+  addDiscoveredTokens(state, checkpoint.discoveredTokens || []);
+  return state;
+}
+
+// 保存扫描检查点，先写临时文件再重命名，避免写入中断导致文件损坏
+export async function saveScanCheckpoint(filepath, state) {
+  const data = {
+    version: CHECKPOINT_VERSION,
+    chainId: state.chainId,
+    updatedAt: new Date().toISOString(),
+    scannedBlocks: state.scannedBlocks,
+    approvals: [...state.approvals.values()],
+    discoveredTokens: [...state.discoveredTokens]
+  };
+
+  const tempPath = `${filepath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filepath);
+}
+
+// 获取代币对某钱包已完整扫描到的区块，未扫描过返回null
+export function getLastScannedBlock(state, token, wallet) {
+  const block = state.scannedBlocks[token.toLowerCase()]?.[wallet.toLowerCase()];
+  return block === undefined ? null : block;
+}
+
+// 记录一组代币对一组钱包已完整扫描到指定区块
+export function markScanned(state, tokens, wallets, block) {
+  for (const token of tokens) {
+    const key = token.toLowerCase();
+    state.scannedBlocks[key] = state.scannedBlocks[key] || {};
+    for (const wallet of wallets) {
+      state.scannedBlocks[key][wallet.toLowerCase()] = block;
+    }
+  }
+}
+
+// ERC20授权的键为 钱包_代币_spender；Permit2和NFT记录带kind字段（permit2、operator、token或holding），键中包含kind和tokenId
+// ERC721单个token同一时间只有一个被授权地址，键中不包含spender
+const approvalKey = ({ wallet, token, spender, kind, tokenId }) => (kind
+  ? `${kind}_${wallet}_${token}_${kind === 'token' ? '' : spender ?? ''}_${tokenId ?? ''}`
+  : `${wallet}_${token}_${spender}`).toLowerCase();
+
+// 记录发现的授权组合，已存在时忽略；ERC721单个token的授权按事件顺序用较新的记录替换旧的spender
+export function addApproval(state, approval) {
+  const key = approvalKey(approval);
+  if (!state.approvals.has(key) || approval.kind === 'token') {
+    state.approvals.set(key, { ...approval });
+  }
+}
+
+// 删除授权组合（例如授权已被撤销）
+export function removeApproval(state, approval) {
+  state.approvals.delete(approvalKey(approval));
+}
+
+// 记录自动发现的代币合约地址（统一使用checksum格式）
+export function addDiscoveredTokens(state, tokens) {
+  for (const token of tokens) {
+    state.discoveredTokens.add(token);
+  }
+}
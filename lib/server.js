@@ -0,0 +1,522 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { checkApprovals } from './check.js';
+import { discoverApprovals } from './discover.js';
+import { createPriceResolver } from './prices.js';
+import { createRateLimiter, throttleProvider } from './rate-limiter.js';
+import { createWorkQueue } from './work-queue.js';
+import { applyLabels } from './labels.js';
+import { createContractRegistry } from './known-contracts.js';
+import { collectSpenderFacts, applyRiskScores } from './risk.js';
+import { isActiveApproval } from './exposure.js';
+import { isEnsName, createEnsResolver } from './ens.js';
+import { getBlockInfo, parseBlockTags, selectBlockTag, splitChainPrefix, selectForChain } from './networks.js';
+import { formatCsv, formatJson, formatNdjson } from './formats.js';
+import { silentLogger } from './logger.js';
+import { ApprovalCheckerError, InvalidInputError, InputFileError, ConfigError, NetworkError } from './errors.js';
+
+// 结果接口支持的格式和对应的Content-Type
+const RESPONSE_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', format: formatJson },
+  csv: { contentType: 'text/csv; charset=utf-8', format: report => formatCsv(report.results) },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', format: formatNdjson }
+};
+
+// 库抛出的错误对应的HTTP状态码
+function errorStatus(error) {
+  if (error instanceof InvalidInputError || error instanceof InputFileError || error instanceof ConfigError) return 400;
+  if (error instanceof NetworkError) return 502;
+  return 500;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+// 校验format参数，返回规范化的格式名，未指定时为json
+function parseFormat(format) {
+  if (format === undefined || format === null || format === '') return 'json';
+  const name = String(format).toLowerCase();
+  if (!RESPONSE_FORMATS[name]) {
+    throw new InvalidInputError(`不支持的格式: ${format}，可选值: ${Object.keys(RESPONSE_FORMATS).join(', ')}`);
+  }
+  return name;
+}
+
+// 按format参数输出报告，与--export导出的文件内容相同
+function sendReport(res, report, format) {
+  const entry = RESPONSE_FORMATS[parseFormat(format)];
+  res.writeHead(200, { 'Content-Type': entry.contentType });
+  res.end(entry.format(report));
+}
+
+// 读取JSON请求体，超过maxBodySize字节时抛出InvalidInputError
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= maxBodySize) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBodySize) {
+        reject(new InvalidInputError(`请求体超过 ${maxBodySize} 字节`));
+        return;
+      }
+      try {
+        resolve(size > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(new InvalidInputError(`请求体不是有效的JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 查询参数和JSON请求体中的列表：数组，或逗号分隔的字符串
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => typeof item === 'string' ? item.trim() : item).filter(item => item !== '');
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function parseAddress(value, field) {
+  if (!ethers.isAddress(value)) {
+    throw new InvalidInputError(`${field}无效: ${value}`);
+  }
+  return value;
+}
+
+// 钱包可以是地址或ENS名称，或与钱包文件相同字段的 { address, label, group, owner }
+// ENS名称在parseCheckRequest中解析为地址
+function parseWallet(value) {
+  const wallet = value && typeof value === 'object' ? value : { address: value };
+  const address = String(wallet.address ?? '');
+  return {
+    address: isEnsName(address) ? address.trim() : parseAddress(address, '钱包地址'),
+    label: wallet.label ?? null,
+    group: wallet.group ?? null,
+    owner: wallet.owner ?? null
+  };
+}
+
+// 代币和spender可以是地址（可加chainId:前缀），或与输入文件相同字段的对象
+function parseChainAddress(value, field) {
+  const entry = value && typeof value === 'object' ? value : null;
+  const { chainId, value: address } = entry
+    ? { chainId: entry.chainId ?? null, value: String(entry.address ?? '') }
+    : splitChainPrefix(value);
+  return { ...entry, address: parseAddress(address, field), chainId: chainId === null ? null : Number(chainId) };
+}
+
+function parseNonNegative(value, field, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new InvalidInputError(`${field}必须是非负数: ${value}`);
+  }
+  return number;
+}
+
+// 创建授权查询服务：通过HTTP提供单个钱包的即时查询和批量检查任务
+// networks为已连接的 [{ name, chainId, provider }]，所有请求共用这些provider、每个网络的代币信息缓存、
+// 价格缓存（每priceTtl毫秒刷新）和限速器（requestsPerSecond为每个网络每秒最多的RPC请求数，0为不限速）
+// 限速通过替换provider.send实现，传入的provider之后的所有请求都会被限速
+// 每个网络同时进行的RPC请求数不超过concurrency，所有请求和任务共用
+// 批量任务在后台按提交顺序运行，最多同时运行jobConcurrency个，只保留最近maxJobs个已结束的任务
+// 请求中的ENS名称用ensProvider在以太坊主网解析，未提供时使用chainId为1的网络；ensNames为true时反向解析结果中的地址
+// 返回 { server, listen(port, host), close() }
+export function createApprovalServer({
+  networks,
+  registry = createContractRegistry(),
+  denylist = [],
+  lookbackBlocks = 1000000,
+  requestsPerSecond = 0,
+  concurrency,
+  priceTtl = 300000,
+  jobConcurrency = 1,
+  maxJobs = 100,
+  maxBodySize = 1024 * 1024,
+  chunkSize,
+  maxRetries,
+  ownersPerQuery,
+  tokensPerQuery,
+  multicall = true,
+  multicallBatchSize,
+  ensProvider = null,
+  ensNames = true,
+  logger = silentLogger
+}) {
+  if (!networks || networks.length === 0) {
+    throw new InvalidInputError('必须提供至少一个网络');
+  }
+
+  // 每个网络的provider、代币信息缓存、工作队列和限速器
+  const connections = networks.map(network => {
+    const limiter = createRateLimiter({ requestsPerSecond });
+    return {
+      name: network.name,
+      chainId: Number(network.chainId),
+      provider: limiter.requestsPerSecond > 0 ? throttleProvider(network.provider, limiter) : network.provider,
+      metadataCache: new Map(),
+      workQueue: createWorkQueue({ concurrency })
+    };
+  });
+
+  // ENS名称和主名称可能随时变化，每个请求使用新的解析器，只在请求内缓存
+  const ensMainnet = ensProvider ?? connections.find(connection => connection.chainId === 1)?.provider ?? null;
+  const createRequestEnsResolver = () => createEnsResolver({ provider: ensMainnet, concurrency, logger });
+
+  // 价格缓存按区块区分，latest的价格在服务运行期间不会自动更新，因此定期换用新的解析器
+  let priceResolver = null;
+  let priceResolverCreatedAt = 0;
+  const getPriceResolver = () => {
+    if (!priceResolver || Date.now() - priceResolverCreatedAt > priceTtl) {
+      priceResolver = createPriceResolver({ logger });
+      priceResolverCreatedAt = Date.now();
+    }
+    return priceResolver;
+  };
+
+  // 解析要查询的网络：网络名或chainId，未指定时查询所有网络
+  const selectConnections = (value) => {
+    const names = parseList(value);
+    if (names.length === 0) return connections;
+    return [...new Set(names.map(name => {
+      const lower = String(name).toLowerCase();
+      const connection = connections.find(c => c.name === lower || String(c.chainId) === lower);
+      if (!connection) {
+        throw new InvalidInputError(`未配置的网络: ${name}，可选值: ${connections.map(c => c.name).join(', ')}`);
+      }
+      return connection;
+    }))];
+  };
+
+  // 校验查询参数或任务请求体，返回规范化的检查请求
+  // 指定spenders时按基本模式检查这些spender，否则按高级模式通过历史事件发现授权；未指定代币时自动发现代币
+  // 钱包中的ENS名称在这里解析，名称无法解析时请求直接失败，不会提交任务
+  const parseCheckRequest = async (input) => {
+    const inputWallets = parseList(input.wallets).map(parseWallet);
+    if (inputWallets.length === 0) {
+      throw new InvalidInputError('必须提供钱包地址');
+    }
+    const selected = selectConnections(input.chain);
+    const blockTags = input.block !== undefined && input.block !== null && input.block !== '' ? parseBlockTags(input.block) : [];
+    if (selected.length > 1 && blockTags.some(entry => entry.chainId === null && typeof entry.blockTag === 'number')) {
+      throw new InvalidInputError('查询多个网络时区块号必须用chainId:前缀限定网络，例如 1:19000000');
+    }
+    const ens = createRequestEnsResolver();
+    const wallets = await ens.resolveEntries(inputWallets);
+    return {
+      wallets,
+      ens,
+      connections: selected,
+      tokens: parseList(input.tokens).map(token => parseChainAddress(token, '代币地址')),
+      spenders: parseList(input.spenders).map(spender => ({ label: null, ...parseChainAddress(spender, 'spender地址') })),
+      nft: parseBoolean(input.nft),
+      risk: parseBoolean(input.risk),
+      lookbackBlocks: parseNonNegative(input.blocks, 'blocks', lookbackBlocks),
+      minValueUSD: parseNonNegative(input.minValue, 'minValue', 1),
+      block: input.block ?? null,
+      blockTags
+    };
+  };
+
+  // 执行检查，返回与导出文件相同结构的 { metadata, results, coverageGaps, failures }
+  // onProgress接收 { network, networkIndex, networks, completed, failed, total, percent, action }
+  const runCheck = async (request, onProgress = null) => {
+    const basic = request.spenders.length > 0;
+    const discoverTokens = request.tokens.length === 0;
+    const metadata = {
+      generatedAt: new Date().toISOString(),
+      mode: basic ? 'basic' : 'advanced',
+      networks: [],
+      inputs: {
+        wallets: request.wallets,
+        tokens: request.tokens,
+        spenders: request.spenders,
+        minValueUSD: basic ? request.minValueUSD : null,
+        nft: !basic && request.nft,
+        discoverTokens,
+        lookbackBlocks: request.lookbackBlocks,
+        risk: request.risk,
+        block: request.block
+      }
+    };
+
+    const addresses = request.wallets.map(wallet => wallet.address);
+    const results = [];
+    const coverageGaps = [];
+    const failures = [];
+    const spenderFacts = new Map();
+    const resolver = getPriceResolver();
+
+    for (const [index, { name, chainId, provider, metadataCache, workQueue }] of request.connections.entries()) {
+      const tokens = selectForChain(request.tokens, chainId);
+      const spenders = selectForChain(request.spenders, chainId).map(spender => spender.address);
+      if (basic && spenders.length === 0) continue;
+      if (tokens.length === 0 && !discoverTokens && !(request.nft && !basic)) continue;
+
+      const blockTag = selectBlockTag(request.blockTags, chainId);
+      const blockInfo = await getBlockInfo(provider, blockTag ?? 'latest');
+      const snapshotBlock = blockTag === null ? null : blockInfo.blockNumber;
+      metadata.networks.push({ name, chainId, ...blockInfo, snapshot: snapshotBlock !== null });
+
+      const emitter = new EventEmitter();
+      emitter.on('progress', ({ completed, failed = 0, total, action }) => onProgress?.({
+        network: name,
+        networkIndex: index + 1,
+        networks: request.connections.length,
+        completed,
+        failed,
+        total,
+        percent: total > 0 ? Math.floor(((completed + failed) / total) * 100) : 0,
+        action
+      }));
+
+      const common = {
+        provider,
+        wallets: addresses,
+        tokens,
+        discoverTokens,
+        lookbackBlocks: request.lookbackBlocks,
+        blockTag: snapshotBlock,
+        chunkSize,
+        maxRetries,
+        multicall,
+        multicallBatchSize,
+        priceResolver: resolver,
+        metadataCache,
+        workQueue,
+        logger,
+        emitter
+      };
+      if (basic) {
+        emitter.on('coverageGap', gap => coverageGaps.push(gap));
+        emitter.on('failure', failure => failures.push(failure));
+        results.push(...await checkApprovals({ ...common, spenders, minValueUSD: request.minValueUSD }));
+      } else {
+        const networkResult = await discoverApprovals({ ...common, nft: request.nft, ownersPerQuery, tokensPerQuery });
+        results.push(...networkResult.results);
+        coverageGaps.push(...networkResult.coverageGaps);
+        failures.push(...networkResult.failures);
+      }
+
+      if (request.risk) {
+        const approvedSpenders = results.filter(r => r.chainId === chainId && isActiveApproval(r)).map(r => r.spenderAddress);
+        try {
+          for (const [key, fact] of await collectSpenderFacts(provider, approvedSpenders, { denylist, blockTag: snapshotBlock ?? 'latest', workQueue, logger })) {
+            spenderFacts.set(key, fact);
+          }
+        } catch (error) {
+          logger.warn(`评估${name}网络spender的风险出错，该网络的风险分数不包含spender的链上信息: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    // 反向解析钱包和spender的ENS主名称
+    const reverseNames = ensNames && request.ens.available && results.length > 0
+      ? await request.ens.lookupAddresses(results.flatMap(result => [result.walletAddress, result.spenderAddress]))
+      : new Map();
+
+    const labeledResults = applyLabels(results, { wallets: request.wallets, spenders: request.spenders, registry, ensNames: reverseNames });
+    return {
+      metadata,
+      results: request.risk ? applyRiskScores(labeledResults, spenderFacts) : labeledResults,
+      coverageGaps,
+      failures
+    };
+  };
+
+  // 批量任务，按提交顺序排队
+  const jobs = new Map();
+  const queue = [];
+  let runningJobs = 0;
+
+  // 任务状态，不包含结果
+  const describeJob = (job) => ({
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    wallets: job.request.wallets.length,
+    networks: job.request.connections.map(connection => connection.name),
+    progress: job.progress,
+    results: job.report ? job.report.results.length : null,
+    coverageGaps: job.report ? job.report.coverageGaps.length : null,
+    failures: job.report ? job.report.failures.length : null,
+    error: job.error,
+    resultsUrl: job.status === 'completed' ? `/jobs/${job.id}/results` : null
+  });
+
+  // 只保留最近maxJobs个已结束的任务，按结束时间删除最早结束的任务
+  const pruneJobs = () => {
+    const finished = [...jobs.values()]
+      .filter(job => job.finishedAt !== null)
+      .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+    for (const job of finished.slice(0, Math.max(0, finished.length - maxJobs))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const runJob = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info(`任务 ${job.id} 开始: ${job.request.wallets.length} 个钱包`);
+    try {
+      job.report = await runCheck(job.request, progress => {
+        job.progress = progress;
+      });
+      job.status = 'completed';
+      logger.info(`任务 ${job.id} 完成: ${job.report.results.length} 条结果`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      if (error instanceof ApprovalCheckerError) {
+        logger.warn(`任务 ${job.id} 失败: ${error.message}`);
+      } else {
+        logger.error(`任务 ${job.id} 出错:`, error);
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  };
+
+  const startJobs = () => {
+    while (runningJobs < jobConcurrency && queue.length > 0) {
+      const job = queue.shift();
+      runningJobs++;
+      runJob(job).finally(() => {
+        runningJobs--;
+        pruneJobs();
+        startJobs();
+      });
+    }
+  };
+
+  const submitJob = (request, format) => {
+    const job = {
+      id: randomUUID(),
+      format,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      request,
+      progress: null,
+      report: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    startJobs();
+    return job;
+  };
+
+  // 路由
+  const handleRequest = async (req, res, url) => {
+    let segments;
+    try {
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new InvalidInputError(`无效的URL编码: ${url.pathname}`);
+    }
+    const query = Object.fromEntries(url.searchParams);
+    const route = `${req.method} /${segments.map((segment, index) => index % 2 === 1 ? ':param' : segment).join('/')}`;
+
+    switch (route) {
+      case 'GET /health':
+        return sendJson(res, 200, {
+          status: 'ok',
+          networks: connections.map(({ name, chainId }) => ({ name, chainId })),
+          jobs: { queued: queue.length, running: runningJobs }
+        });
+
+      // 单个钱包的即时查询，参数与任务请求体相同，wallets由路径指定
+      case 'GET /wallets/:param/approvals': {
+        // 先校验格式，避免完成整个检查后才返回400
+        const format = parseFormat(query.format);
+        const request = await parseCheckRequest({ ...query, wallets: [segments[1]] });
+        return sendReport(res, await runCheck(request), format);
+      }
+
+      case 'GET /jobs':
+        return sendJson(res, 200, { jobs: [...jobs.values()].map(describeJob) });
+
+      case 'POST /jobs': {
+        const body = await readJsonBody(req, maxBodySize);
+        // 请求体中的format作为获取结果时的默认格式，提交时就校验
+        const format = parseFormat(body?.format ?? query.format);
+        const request = await parseCheckRequest(body);
+        const job = submitJob(request, format);
+        return sendJson(res, 202, describeJob(job), { Location: `/jobs/${job.id}` });
+      }
+
+      case 'GET /jobs/:param': {
+        const job = jobs.get(segments[1]);
+        return job ? sendJson(res, 200, describeJob(job)) : sendError(res, 404, `任务不存在: ${segments[1]}`);
+      }
+
+      case 'GET /jobs/:param/results': {
+        const job = jobs.get(segments[1]);
+        if (!job) return sendError(res, 404, `任务不存在: ${segments[1]}`);
+        if (job.status === 'failed') return sendError(res, 409, `任务失败: ${job.error}`);
+        if (job.status !== 'completed') return sendError(res, 409, `任务尚未完成，当前状态: ${job.status}`);
+        return sendReport(res, job.report, query.format || job.format);
+      }
+
+      default:
+        return sendError(res, 404, `未知的接口: ${req.method} ${url.pathname}`);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      await handleRequest(req, res, url);
+    } catch (error) {
+      if (error instanceof ApprovalCheckerError) {
+        sendError(res, errorStatus(error), error.message);
+      } else {
+        logger.error(`处理请求 ${req.method} ${url.pathname} 出错:`, error);
+        if (!res.headersSent) sendError(res, 500, '服务器内部错误');
+      }
+    }
+    logger.debug(`${req.method} ${url.pathname} ${res.statusCode} ${Date.now() - startTime}ms`);
+  });
+
+  return {
+    server,
+
+    // 开始监听，返回实际监听的地址 { address, port }
+    listen(port = 3000, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    // 停止接受新连接，等待进行中的请求结束；排队中的任务不再运行
+    close() {
+      queue.length = 0;
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
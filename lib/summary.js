@@ -0,0 +1,63 @@
+import { getNetworkName } from './networks.js';
+
+// 累加曝光价值，全部未知时返回null
+export function sumExposedValue(results) {
+  const known = results.filter(r => r.exposedValueUSD !== null);
+  return known.length > 0 ? known.reduce((sum, r) => sum + r.exposedValueUSD, 0) : null;
+}
+
+// 汇总结果，终端摘要和导出的报告使用同一份数据
+export function summarizeResults(results) {
+  const chainIds = [...new Set(results.map(r => r.chainId))];
+
+  return {
+    wallets: new Set(results.map(r => r.walletAddress)).size,
+    tokens: new Set(results.map(r => `${r.chainId}_${r.tokenAddress}`)).size,
+    spenders: new Set(results.map(r => `${r.chainId}_${r.spenderAddress}`)).size,
+    approvals: results.length,
+    infiniteApprovals: results.filter(r => r.isInfiniteApproval).length,
+    // 代币精度未知的授权，金额为最小单位，不计入曝光价值
+    unknownDecimalsApprovals: results.filter(r => r.decimalsUnknown).length,
+    // 没有评估风险时为null
+    highRiskApprovals: results.some(r => r.riskScore !== null && r.riskScore !== undefined)
+      ? results.filter(r => r.riskLevel === 'high').length
+      : null,
+    exposedValueUSD: sumExposedValue(results),
+    chains: chainIds.map(chainId => {
+      const chainResults = results.filter(r => r.chainId === chainId);
+      return {
+        chainId,
+        network: getNetworkName(chainId),
+        approvals: chainResults.length,
+        exposedValueUSD: sumExposedValue(chainResults)
+      };
+    })
+  };
+}
+
+// 每个钱包在各网络的曝光价值和跨链总曝光，按总曝光从高到低排序
+// 返回 [{ walletAddress, walletLabel, walletEnsName, exposedValueUSD, chains: { [chainId]: exposedValueUSD } }]，钱包在某网络没有授权时不含该网络
+export function summarizeWalletExposure(results) {
+  const byWallet = new Map();
+  for (const result of results) {
+    const key = result.walletAddress.toLowerCase();
+    if (!byWallet.has(key)) byWallet.set(key, { walletAddress: result.walletAddress, results: [] });
+    byWallet.get(key).results.push(result);
+  }
+
+  return [...byWallet.values()]
+    .map(wallet => {
+      const chains = {};
+      for (const chainId of new Set(wallet.results.map(r => r.chainId))) {
+        chains[chainId] = sumExposedValue(wallet.results.filter(r => r.chainId === chainId));
+      }
+      return {
+        walletAddress: wallet.walletAddress,
+        walletLabel: wallet.results[0].walletLabel ?? null,
+        walletEnsName: wallet.results[0].walletEnsName ?? null,
+        exposedValueUSD: sumExposedValue(wallet.results),
+        chains
+      };
+    })
+    .sort((a, b) => (b.exposedValueUSD ?? -1) - (a.exposedValueUSD ?? -1));
+}
@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+import { erc20Interface } from './erc20.js';
+import { scanLogs, chunkArray } from './log-scanner.js';
+
+const TRANSFER_TOPIC = erc20Interface.getEvent('Transfer').topicHash;
+const APPROVAL_TOPIC = erc20Interface.getEvent('Approval').topicHash;
+
+// 钱包地址对应的topic（事件中indexed的地址参数）
+export function addressToTopic(address) {
+  return ethers.zeroPadValue(ethers.getAddress(address), 32).toLowerCase();
+}
+
+// 查找钱包发出过Approval事件或通过Transfer事件收到过代币的合约，不限制合约地址
+// ERC721的Approval和Transfer事件有4个topic（tokenId也被索引），这里只保留3个topic的ERC20事件
+// 返回 { tokens, gaps }，tokens为通过ERC20接口检测的合约地址，gaps为重试后仍无法扫描的区块范围
+export async function discoverWalletTokens(provider, wallets, fromBlock, toBlock, {
+  multicall,
+  ownersPerQuery = 50,
+  chunkSize,
+  maxRetries,
+  queue,
+  logger,
+  onProgress
+}) {
+  const ownerTopics = [...new Set(wallets.map(addressToTopic))];
+  const candidates = new Set();
+  const gaps = [];
+
+  for (const ownerGroup of chunkArray(ownerTopics, Math.max(1, parseInt(ownersPerQuery)))) {
+    const scanOptions = { chunkSize, maxRetries, queue, logger, onProgress };
+
+    // 钱包作为owner的Approval事件
+    const approvals = await scanLogs(provider, {
+      topics: [APPROVAL_TOPIC, ownerGroup]
+    }, fromBlock, toBlock, scanOptions);
+
+    // 钱包作为接收方的Transfer事件
+    const transfers = await scanLogs(provider, {
+      topics: [TRANSFER_TOPIC, null, ownerGroup]
+    }, fromBlock, toBlock, scanOptions);
+
+    for (const log of [...approvals.logs, ...transfers.logs]) {
+      if (log.topics.length === 3) {
+        candidates.add(ethers.getAddress(log.address));
+      }
+    }
+    gaps.push(...approvals.gaps, ...transfers.gaps);
+  }
+
+  logger.debug(`从事件中找到 ${candidates.size} 个候选代币合约`);
+  const tokens = await filterErc20Contracts(multicall, [...candidates], wallets[0]);
+  if (tokens.length < candidates.size) {
+    logger.info(`已排除 ${candidates.size - tokens.length} 个不符合ERC20接口的合约`);
+  }
+
+  return { tokens, gaps };
+}
+
+// 过滤掉不符合ERC20接口的合约：totalSupply、balanceOf和allowance都必须能正常调用
+// decimals在ERC20标准中是可选的，不作为判断条件
+export async function filterErc20Contracts(multicall, addresses, sampleOwner) {
+  const calls = [];
+  for (const target of addresses) {
+    calls.push({ target, contractInterface: erc20Interface, method: 'totalSupply' });
+    calls.push({ target, contractInterface: erc20Interface, method: 'balanceOf', args: [sampleOwner] });
+    calls.push({ target, contractInterface: erc20Interface, method: 'allowance', args: [sampleOwner, sampleOwner] });
+  }
+  const results = await multicall.call(calls);
+
+  return addresses.filter((_, index) => results.slice(index * 3, index * 3 + 3).every(result => result.success));
+}
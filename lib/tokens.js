@@ -0,0 +1,60 @@
+import { fetchTokenMetadata } from './erc20.js';
+
+// 批量获取代币信息，返回 { address, symbol, decimals, price, priceSource, priceBlock, underlying } 列表
+// underlying为LP代币和金库份额每单位对应的底层资产，其他代币为null
+// 代币文件中的symbol和decimals优先，两者都指定时不再查询链上信息
+// symbol和name都无法读取时symbol为"未知"；decimals无法确定时为null，不按18猜测，结果行会标记为精度未知
+// 代币文件中的价格优先，其余代币的价格通过getPrices从链上查询（见prices.js），未传入时价格为null
+// metadataCache为同一网络上多次调用共用的 Map<小写地址, { symbol, decimals }>，只缓存成功读取的信息
+export async function loadTokenDetails(multicall, tokens, logger, getPrices = null, metadataCache = null) {
+  const hasOverrides = (tokenInfo) => tokenInfo.symbol != null && tokenInfo.decimals != null;
+  const uncached = tokens.filter(tokenInfo => !hasOverrides(tokenInfo) && !metadataCache?.has(tokenInfo.address.toLowerCase()));
+  const fetched = uncached.length > 0 ? await fetchTokenMetadata(multicall, uncached.map(tokenInfo => tokenInfo.address)) : [];
+  const fetchedByAddress = new Map(uncached.map((tokenInfo, index) => [tokenInfo.address.toLowerCase(), fetched[index]]));
+
+  const details = tokens.map(tokenInfo => {
+    const address = tokenInfo.address.toLowerCase();
+    const metadata = hasOverrides(tokenInfo)
+      ? { symbol: null, decimals: null }
+      : metadataCache?.get(address) ?? fetchedByAddress.get(address);
+    if (fetchedByAddress.has(address) && metadata.symbol !== null && metadata.decimals !== null) {
+      metadataCache?.set(address, { symbol: metadata.symbol, decimals: metadata.decimals });
+    }
+
+    const symbol = tokenInfo.symbol ?? metadata.symbol ?? '未知';
+    const decimals = tokenInfo.decimals ?? metadata.decimals;
+    if (tokenInfo.symbol == null && metadata.symbol === null) {
+      logger.warn(`无法获取代币 ${tokenInfo.address} 的symbol:`, metadata.error?.message);
+    }
+    if (decimals === null) {
+      logger.warn(`无法获取代币 ${tokenInfo.address} 的decimals，金额按最小单位显示且不计算美元价值，可在代币文件中指定decimals:`, metadata.error?.message);
+    } else {
+      logger.debug(`代币 ${tokenInfo.address} 信息: symbol=${symbol}, decimals=${decimals}`);
+    }
+    return {
+      address: tokenInfo.address,
+      symbol,
+      decimals,
+      price: tokenInfo.price,
+      priceSource: tokenInfo.price !== null ? 'token-file' : null,
+      priceBlock: null,
+      underlying: null
+    };
+  });
+
+  // 精度未知的代币无法换算数量，不查询链上价格
+  const unpriced = details.filter(token => token.price === null && token.decimals !== null);
+  if (getPrices && unpriced.length > 0) {
+    const prices = await getPrices(unpriced);
+    for (const token of unpriced) {
+      const entry = prices.get(token.address.toLowerCase());
+      if (!entry) continue;
+      token.price = entry.price;
+      token.priceSource = entry.source;
+      token.priceBlock = entry.block;
+      token.underlying = entry.underlying ?? null;
+    }
+  }
+
+  return details;
+}
@@ -0,0 +1,436 @@
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import { createMulticall } from './multicall.js';
+import { scanLogs, chunkArray } from './log-scanner.js';
+import { erc20Interface, fetchBalances, fetchAllowances } from './erc20.js';
+import { nftInterface, checkNftApprovals } from './nft.js';
+import { loadTokenDetails } from './tokens.js';
+import { createPriceResolver } from './prices.js';
+import { buildApprovalRow } from './exposure.js';
+import { addressToTopic } from './token-discovery.js';
+import { describeError } from './log-scanner.js';
+import { normalizeTokens } from './input.js';
+import { silentLogger } from './logger.js';
+import { InvalidInputError, NetworkError } from './errors.js';
+
+// 监控状态文件的版本，格式不兼容时从当前区块重新开始
+const WATCH_STATE_VERSION = 1;
+
+// ERC20和ERC721的Approval事件签名相同，按topic数量区分
+const APPROVAL_TOPIC = erc20Interface.getEvent('Approval').topicHash;
+const APPROVAL_FOR_ALL_TOPIC = nftInterface.getEvent('ApprovalForAll').topicHash;
+
+const topicToAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+// 同一授权（类型、钱包、合约、spender和tokenId相同）的键
+const candidateKey = (candidate) =>
+  [candidate.kind, candidate.wallet, candidate.token, candidate.spender, candidate.tokenId ?? ''].join(':').toLowerCase();
+
+// 保存到监控状态中的事件字段
+const toStoredEvent = ({ blockNumber, transactionHash, logIndex, wallet, token, spender, kind, tokenId, reorg }) =>
+  ({ blockNumber, transactionHash, logIndex, wallet, token, spender, kind, tokenId, reorg });
+
+// 可被stop()提前唤醒的等待
+function createSleeper() {
+  let wake = null;
+  return {
+    sleep: (ms) => new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }),
+    wake: () => wake?.()
+  };
+}
+
+// 读取监控状态，文件不存在、无法解析或属于其他链时返回null
+async function loadWatchState(filepath, chainId, logger) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    logger.debug(`未找到有效的监控状态文件或文件解析出错: ${error.message}`);
+    return null;
+  }
+  if (state.version !== WATCH_STATE_VERSION || Number(state.chainId) !== chainId) {
+    logger.warn(`监控状态文件 ${filepath} 属于其他网络或版本不兼容，将从当前区块开始监控`);
+    return null;
+  }
+  return { lastBlock: state.lastBlock, blocks: state.blocks || [], recentEvents: state.recentEvents || [], pendingChecks: state.pendingChecks || [] };
+}
+
+// 保存监控状态，先写临时文件再重命名，避免写入中断导致文件损坏
+async function saveWatchState(filepath, chainId, state) {
+  const data = {
+    version: WATCH_STATE_VERSION,
+    chainId,
+    updatedAt: new Date().toISOString(),
+    lastBlock: state.lastBlock,
+    blocks: state.blocks,
+    recentEvents: state.recentEvents,
+    pendingChecks: state.pendingChecks
+  };
+  const tempPath = `${filepath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filepath);
+}
+
+// 创建授权监控器：轮询新区块中钱包发出的Approval事件（nft为true时包括ApprovalForAll和ERC721单个token授权），
+// 每个事件都立即重新读取当前的授权金额和余额，按与批量检查相同的规则计算曝光量，通过emitter的alert事件通知
+// tokens为空时监控所有合约的ERC20授权，否则只监控指定代币；erc20为false时只监控NFT授权
+// 处理进度保存在stateFile中，重启后从上次处理的区块继续；最近reorgDepth个区块的哈希也一并保存，
+// 发现区块哈希变化（链重组）时从分叉点重新扫描，并重新检查被重组区块中的授权
+// 读取状态失败的授权通过failure事件通知，保存在状态中，之后每一轮重新检查直到成功
+// 没有传入priceResolver时每轮新建，长时间运行时价格随区块更新
+// 返回 { run, stop }：run()持续监控直到stop()被调用，stop()后等待当前一轮处理完成并保存状态
+// 事件：alert（ApprovalAlert）、reorg（{ chainId, fromBlock, toBlock }）、coverageGap、failure（ApprovalFailure）、
+// poll（{ chainId, fromBlock, toBlock, alerts }）
+export function createApprovalWatcher({
+  provider,
+  wallets,
+  tokens = [],
+  erc20 = true,
+  nft = false,
+  stateFile = null,
+  fromBlock = null,
+  pollInterval = 12000,
+  reorgDepth = 12,
+  chunkSize,
+  maxRetries,
+  ownersPerQuery = 50,
+  multicall: useMulticall = true,
+  multicallBatchSize,
+  logger = silentLogger,
+  priceResolver = null,
+  emitter = null
+}) {
+  if (!provider) {
+    throw new InvalidInputError('未提供provider');
+  }
+  if (!wallets || wallets.length === 0) {
+    throw new InvalidInputError('必须提供钱包地址');
+  }
+  if (!erc20 && !nft) {
+    throw new InvalidInputError('erc20和nft不能同时为false');
+  }
+
+  tokens = normalizeTokens(tokens || []);
+  const interval = Math.max(1000, parseInt(pollInterval));
+  const depth = Math.max(1, parseInt(reorgDepth));
+  const scanOptions = { chunkSize, maxRetries, logger };
+
+  // 钱包地址对应的topic（Approval事件的owner参数），以及topic与原始输入的对应关系
+  const ownerByTopic = new Map();
+  for (const address of wallets) {
+    try {
+      ownerByTopic.set(addressToTopic(address), address);
+    } catch (error) {
+      logger.warn(`无效的钱包地址 ${address}，已跳过`);
+    }
+  }
+  if (ownerByTopic.size === 0) {
+    throw new InvalidInputError('没有有效的钱包地址');
+  }
+  const ownerGroups = chunkArray([...ownerByTopic.keys()], Math.max(1, parseInt(ownersPerQuery)));
+  // 代币文件中的价格、symbol和decimals，监控所有代币时其他代币从链上读取
+  const tokenInputs = new Map(tokens.map(token => [token.address.toLowerCase(), token]));
+
+  const sleeper = createSleeper();
+  let stopped = false;
+  let chainId = null;
+  let state = null;
+
+  const getBlockHash = async number => (await provider.getBlock(number))?.hash ?? null;
+
+  // 查找最近处理过的区块中第一个哈希发生变化的区块，没有重组时返回null
+  // 只在最新的区块不一致时才向前逐个比较
+  const findReorgedBlock = async () => {
+    if (state.blocks.length === 0) return null;
+    let reorged = null;
+    for (let i = state.blocks.length - 1; i >= 0; i--) {
+      const { number, hash } = state.blocks[i];
+      if (await getBlockHash(number) === hash) break;
+      reorged = number;
+    }
+    if (reorged !== null && reorged === state.blocks[0].number) {
+      logger.warn(`链重组深度可能超过保存的 ${depth} 个区块，只能重新检查区块 ${reorged} 之后的授权`);
+    }
+    return reorged;
+  };
+
+  // 扫描区块范围内钱包发出的授权事件，返回候选授权和覆盖缺口
+  const scanApprovalEvents = async (from, to) => {
+    const candidates = [];
+    const gaps = [];
+    const eventTopics = nft ? [APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC] : APPROVAL_TOPIC;
+
+    for (const ownerTopics of ownerGroups) {
+      // 指定代币时ERC20授权只查询这些合约，NFT授权不限制合约地址
+      const filters = tokens.length > 0 || !erc20
+        ? [
+          ...(erc20 ? [{ address: tokens.map(token => token.address), topics: [APPROVAL_TOPIC, ownerTopics] }] : []),
+          ...(nft ? [{ topics: [eventTopics, ownerTopics] }] : [])
+        ]
+        : [{ topics: [eventTopics, ownerTopics] }];
+
+      for (const filter of filters) {
+        const { logs, gaps: filterGaps } = await scanLogs(provider, filter, from, to, scanOptions);
+        gaps.push(...filterGaps.map(gap => ({ ...gap, tokens: [], wallets: ownerTopics.map(topic => ownerByTopic.get(topic)) })));
+
+        for (const log of logs) {
+          const wallet = ownerByTopic.get(log.topics[1]?.toLowerCase());
+          if (!wallet) continue;
+          const event = {
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index ?? log.logIndex,
+            wallet,
+            token: log.address,
+            spender: topicToAddress(log.topics[2])
+          };
+          if (log.topics[0] === APPROVAL_FOR_ALL_TOPIC) {
+            if (log.topics.length === 3) candidates.push({ ...event, kind: 'operator' });
+          } else if (log.topics.length === 4) {
+            // 不限制合约地址的查询中ERC721授权才有第4个topic，只在nft模式下处理
+            if (nft) candidates.push({ ...event, kind: 'token', tokenId: ethers.toBigInt(log.topics[3]).toString() });
+          } else if (log.topics.length === 3 && (filter.address || (erc20 && tokens.length === 0))) {
+            // 指定代币或不监控ERC20时，不限制合约地址的NFT查询中的ERC20授权不在监控范围内
+            candidates.push({ ...event, kind: 'erc20' });
+          }
+        }
+      }
+    }
+
+    return { candidates, gaps };
+  };
+
+  // 重新读取候选授权的当前状态，返回 { alerts, failed }：alerts为仍然有效的授权对应的结果行，
+  // failed为读取状态失败的候选授权 [{ candidate, failure }]
+  // 同一授权在一轮中有多个事件时只检查一次，使用最后一个事件
+  const checkCandidates = async (candidates, blockTag) => {
+    const latest = new Map();
+    for (const candidate of candidates) {
+      latest.set(candidateKey(candidate), candidate);
+    }
+    const unique = [...latest.values()];
+    if (unique.length === 0) return { alerts: [], failed: [] };
+
+    const multicall = createMulticall(provider, { batchSize: multicallBatchSize, enabled: useMulticall, blockTag, logger });
+    const resolver = priceResolver ?? createPriceResolver({ logger });
+    const alerts = [];
+    const failed = [];
+    const addFailed = (candidate, { tokenSymbol, assetType, approvalType }, stage, error) => {
+      failed.push({
+        candidate,
+        failure: {
+          chainId,
+          walletAddress: candidate.wallet,
+          tokenAddress: candidate.token,
+          tokenSymbol,
+          spenderAddress: candidate.spender,
+          assetType,
+          approvalType,
+          stage,
+          error: describeError(error)
+        }
+      });
+    };
+
+    // ERC20授权：与批量检查相同，授权金额和余额的较小值为曝光量
+    const erc20 = unique.filter(candidate => candidate.kind === 'erc20');
+    if (erc20.length > 0) {
+      const tokenAddresses = [...new Set(erc20.map(candidate => candidate.token.toLowerCase()))];
+      const tokenDetails = await loadTokenDetails(multicall,
+        tokenAddresses.map(address => tokenInputs.get(address) ?? normalizeTokens([address])[0]), logger,
+        unpriced => resolver.getPrices({ provider, multicall, chainId, tokens: unpriced, blockTag }));
+      const tokenByAddress = new Map(tokenDetails.map(token => [token.address.toLowerCase(), token]));
+
+      const queries = erc20.map(({ wallet, token, spender }) => ({ owner: wallet, token, spender }));
+      const [allowances, balances] = await Promise.all([
+        fetchAllowances(multicall, queries),
+        fetchBalances(multicall, queries)
+      ]);
+
+      erc20.forEach((candidate, index) => {
+        if (!allowances[index].success || !balances[index].success) {
+          const error = allowances[index].error || balances[index].error;
+          logger.warn(`检查 ${candidate.wallet} 对 ${candidate.token} 授权给 ${candidate.spender} 出错:`, error?.message);
+          addFailed(candidate, { tokenSymbol: tokenByAddress.get(candidate.token.toLowerCase())?.symbol ?? '', assetType: 'ERC20', approvalType: 'allowance' },
+            allowances[index].success ? 'balance' : 'allowance', error);
+          return;
+        }
+        if (allowances[index].value === 0n) {
+          logger.debug(`${candidate.wallet} 已撤销对 ${candidate.spender} 的 ${candidate.token} 授权`);
+          return;
+        }
+        const row = buildApprovalRow({
+          walletAddress: candidate.wallet,
+          token: tokenByAddress.get(candidate.token.toLowerCase()),
+          spenderAddress: candidate.spender,
+          allowance: allowances[index].value,
+          balance: balances[index].value
+        });
+        alerts.push({ row, candidate });
+      });
+    }
+
+    // NFT授权：确认仍然有效，曝光量为持有数量
+    const operatorApprovals = unique.filter(candidate => candidate.kind === 'operator');
+    const tokenApprovals = unique.filter(candidate => candidate.kind === 'token');
+    if (operatorApprovals.length > 0 || tokenApprovals.length > 0) {
+      const { operatorRows, tokenRows, failed: nftFailed } = await checkNftApprovals(multicall, { operatorApprovals, tokenApprovals, holdings: [] }, logger);
+      for (const { approval, ...failure } of nftFailed) {
+        addFailed(approval, failure, 'allowance', failure.error);
+      }
+      const tokenKey = (wallet, token, tokenId) => [wallet, token, tokenId].join(':').toLowerCase();
+      const tokenCandidates = new Map(tokenApprovals.map(candidate => [tokenKey(candidate.wallet, candidate.token, candidate.tokenId), candidate]));
+      for (const row of operatorRows) {
+        // 同一钱包对同一合约可能授权给多个operator
+        const candidate = operatorApprovals.find(c =>
+          c.wallet.toLowerCase() === row.walletAddress.toLowerCase() &&
+          c.token.toLowerCase() === row.tokenAddress.toLowerCase() &&
+          c.spender.toLowerCase() === row.spenderAddress.toLowerCase());
+        alerts.push({ row, candidate });
+      }
+      for (const row of tokenRows) {
+        alerts.push({ row, candidate: tokenCandidates.get(tokenKey(row.walletAddress, row.tokenAddress, row.tokenId)) });
+      }
+    }
+
+    return { alerts, failed };
+  };
+
+  // 处理一轮：检测重组，扫描上次处理之后的新区块，检查发现的授权并保存状态
+  const poll = async () => {
+    let head;
+    try {
+      head = await provider.getBlockNumber();
+    } catch (error) {
+      throw new NetworkError(`获取当前区块高度失败: ${error.message}`, { cause: error });
+    }
+
+    let from = state.lastBlock + 1;
+    let recheck = [];
+    const reorged = await findReorgedBlock();
+    if (reorged !== null) {
+      logger.warn(`检测到链重组，从区块 ${reorged} 开始重新检查`);
+      emitter?.emit('reorg', { chainId, fromBlock: reorged, toBlock: state.lastBlock });
+      recheck = state.recentEvents.filter(event => event.blockNumber >= reorged).map(event => ({ ...event, reorg: true }));
+      state.blocks = state.blocks.filter(block => block.number < reorged);
+      state.recentEvents = state.recentEvents.filter(event => event.blockNumber < reorged);
+      from = reorged;
+    }
+    if (from > head && recheck.length === 0 && state.pendingChecks.length === 0) return;
+
+    // 扫描前后各读取一次head区块的哈希，扫描期间发生重组时日志和之后保存的区块哈希可能来自不同的链
+    const headHash = await getBlockHash(head);
+    const { candidates, gaps } = from <= head ? await scanApprovalEvents(from, head) : { candidates: [], gaps: [] };
+    for (const gap of gaps) {
+      logger.warn(`区块 ${gap.fromBlock}-${gap.toBlock} 的授权事件无法获取: ${gap.error}`);
+      emitter?.emit('coverageGap', { ...gap, chainId });
+    }
+    // 有缺口时只处理到第一个缺口之前，下一轮从缺口处重新扫描，缺口之后的事件也在下一轮处理，避免重复报警
+    const scannedBlock = gaps.length > 0 ? Math.min(...gaps.map(gap => gap.fromBlock)) - 1 : head;
+    const scannedCandidates = candidates.filter(candidate => candidate.blockNumber <= scannedBlock);
+    if (scannedBlock < head) {
+      logger.warn(`从区块 ${scannedBlock + 1} 开始的授权事件将在下一轮重新扫描`);
+    }
+
+    // 用于下一轮检测重组的区块哈希，读取后确认head没有变化，即这些哈希与扫描到的日志属于同一条链
+    const windowBlocks = [];
+    for (let number = Math.max(from, scannedBlock - depth + 1); number <= scannedBlock; number++) {
+      const hash = await getBlockHash(number);
+      if (hash) windowBlocks.push({ number, hash });
+    }
+    if (!headHash || await getBlockHash(head) !== headHash) {
+      logger.warn(`扫描期间区块 ${head} 发生变化（可能发生链重组），从区块 ${from} 开始的授权事件将在下一轮重新扫描`);
+      // 本轮已经处理的重组也留到下一轮：从from重新扫描，被重组区块中的授权并入待检查列表
+      state.lastBlock = from - 1;
+      state.pendingChecks = [...state.pendingChecks, ...recheck.map(toStoredEvent)];
+      return;
+    }
+
+    // 上一轮读取失败的授权、重组区块中的授权和新事件一起检查，新事件优先
+    const { alerts, failed } = await checkCandidates([...state.pendingChecks, ...recheck, ...scannedCandidates], head);
+
+    // 读取失败的授权保存下来，下一轮重新检查，不会因为处理进度前进而丢失告警；同一授权只通知一次
+    const pendingKeys = new Set(state.pendingChecks.map(candidateKey));
+    for (const { candidate, failure } of failed) {
+      if (!pendingKeys.has(candidateKey(candidate))) emitter?.emit('failure', failure);
+    }
+    state.pendingChecks = failed.map(({ candidate }) => toStoredEvent(candidate));
+    if (state.pendingChecks.length > 0) {
+      logger.warn(`${state.pendingChecks.length} 个授权读取失败，将在下一轮重新检查`);
+    }
+    const detectedAt = new Date().toISOString();
+    for (const { row, candidate } of alerts) {
+      const alert = {
+        ...row,
+        chainId,
+        blockNumber: candidate?.blockNumber ?? null,
+        transactionHash: candidate?.transactionHash ?? null,
+        logIndex: candidate?.logIndex ?? null,
+        checkedBlock: head,
+        detectedAt,
+        reorg: Boolean(candidate?.reorg)
+      };
+      emitter?.emit('alert', alert);
+    }
+
+    // 记录最近区块的哈希和事件，用于下一轮检测重组
+    state.blocks = [...state.blocks, ...windowBlocks].filter(block => block.number > scannedBlock - depth);
+    state.recentEvents = [
+      ...state.recentEvents,
+      ...scannedCandidates.map(toStoredEvent)
+    ].filter(event => event.blockNumber > scannedBlock - depth);
+    state.lastBlock = scannedBlock;
+
+    emitter?.emit('poll', { chainId, fromBlock: from, toBlock: scannedBlock, alerts: alerts.length });
+    if (stateFile) {
+      try {
+        await saveWatchState(stateFile, chainId, state);
+      } catch (error) {
+        logger.warn(`保存监控状态失败: ${error.message}`);
+      }
+    }
+  };
+
+  // 持续监控直到stop()，单轮出错时记录警告并在下一轮重试
+  const run = async () => {
+    const network = await provider.getNetwork();
+    chainId = Number(network.chainId);
+
+    state = stateFile ? await loadWatchState(stateFile, chainId, logger) : null;
+    if (state) {
+      logger.info(`从监控状态恢复，上次处理到区块 ${state.lastBlock}`);
+    } else {
+      let head;
+      try {
+        head = await provider.getBlockNumber();
+      } catch (error) {
+        throw new NetworkError(`获取当前区块高度失败: ${error.message}`, { cause: error });
+      }
+      const startBlock = fromBlock === null || fromBlock === undefined ? head + 1 : parseInt(fromBlock);
+      state = { lastBlock: startBlock - 1, blocks: [], recentEvents: [], pendingChecks: [] };
+      logger.info(`从区块 ${startBlock} 开始监控 ${ownerByTopic.size} 个钱包的授权事件`);
+    }
+
+    while (!stopped) {
+      try {
+        await poll();
+      } catch (error) {
+        logger.warn(`监控出错，将在下一轮重试: ${error.message}`);
+      }
+      if (!stopped) await sleeper.sleep(interval);
+    }
+  };
+
+  const stop = () => {
+    stopped = true;
+    sleeper.wake();
+  };
+
+  return { run, stop };
+}
@@ -0,0 +1,43 @@
+// 默认同时进行的RPC请求数
+export const DEFAULT_CONCURRENCY = 4;
+
+// 工作队列：同时最多运行concurrency个任务，其余按提交顺序等待，一个任务变慢不会阻塞其他任务
+// 多处共用同一个队列时，合计同时运行的任务数不超过concurrency
+// 任务内不能再向同一个队列提交任务并等待其完成，否则队列占满时会互相等待
+export function createWorkQueue({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const limit = Math.max(1, parseInt(concurrency) || DEFAULT_CONCURRENCY);
+  const waiting = [];
+  let running = 0;
+
+  const next = () => {
+    while (running < limit && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  return {
+    concurrency: limit,
+
+    // 提交任务，返回任务的结果
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+// 对items中的每一项执行fn，同时最多concurrency个，返回与items一一对应的结果
+export function mapConcurrent(items, concurrency, fn) {
+  const queue = createWorkQueue({ concurrency });
+  return Promise.all(items.map((item, index) => queue.run(() => fn(item, index))));
+}
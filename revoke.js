@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline/promises';
+import dotenv from 'dotenv';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { readResultsFromReport } from './lib/input.js';
+import { resolveNetworks, connectNetwork, getNetworkName } from './lib/networks.js';
+import { prepareRevocations, signRevocations } from './lib/revoke.js';
+import { detectSafes, buildSafeBatch } from './lib/safe.js';
+import { createMulticall } from './lib/multicall.js';
+import { createLogger } from './lib/logger.js';
+import { createProgressPrinter } from './lib/progress.js';
+import { displayRevocations, exportRevocations } from './lib/report.js';
+import { ApprovalCheckerError, InvalidInputError, ConfigError } from './lib/errors.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 配置
+const config = {
+  network: process.env.NETWORK || 'ethereum',
+  logLevel: process.env.LOG_LEVEL || 'info',
+  keystorePassword: process.env.KEYSTORE_PASSWORD
+};
+
+// 命令行参数解析
+const program = new Command();
+
+program
+  .name('revoke-approvals')
+  .description('根据检查结果生成撤销授权的交易')
+  .version('1.0.0')
+  .requiredOption('-r, --report <path>', '检查报告文件（address-checker或advanced-address-checker的--export输出，支持CSV、JSON和NDJSON格式）')
+  .option('-n, --network <names>', '要处理的网络，多个用逗号分隔（默认读取NETWORK环境变量）；报告中没有ChainId列时使用第一个网络')
+  .option('-a, --address <address>', '只处理指定钱包的授权')
+  .option('--only-infinite', '只撤销无限授权')
+  .option('--min-value <value>', '只撤销曝光价值不低于此值（美元）的授权，价值未知的授权不会被跳过', '0')
+  .option('-o, --output <path>', '撤销交易输出文件', 'revoke-transactions.json')
+  .option('--keystore <path>', '使用本地加密keystore文件签名交易（密码读取KEYSTORE_PASSWORD环境变量，未设置时在终端中输入，不回显）')
+  .option('--broadcast', '签名后广播交易（需要--keystore，广播前需要确认）')
+  .option('--safe-batch [dir]', '识别Gnosis Safe多签钱包，为每个Safe生成Safe Transaction Builder批量交易文件（默认输出到当前目录）')
+  .option('-v, --verbose', '显示详细日志')
+  .allowUnknownOption(true); // 允许未知选项，例如--
+
+// 处理参数
+const processedArgs = process.argv.filter(arg => arg !== '--');
+program.parse(processedArgs);
+
+const options = program.opts();
+
+// 日志函数
+const logger = createLogger({ verbose: options.verbose, logLevel: config.logLevel });
+
+// 主函数
+async function main() {
+  try {
+    if (options.broadcast && !options.keystore) {
+      throw new InvalidInputError('广播交易需要使用--keystore指定签名钱包');
+    }
+
+    // 读取检查结果并筛选需要撤销的授权
+    const results = filterResults(await readResultsFromReport(options.report));
+    logger.info(`已加载${results.length}条需要处理的授权`);
+
+    const networks = resolveNetworks(options.network || config.network);
+
+    // 按网络分组，报告中没有ChainId列时全部归入第一个网络
+    const resultsByChain = new Map();
+    for (const result of results) {
+      const chainId = result.chainId ?? networks[0].chainId;
+      if (!resultsByChain.has(chainId)) resultsByChain.set(chainId, []);
+      resultsByChain.get(chainId).push(result);
+    }
+
+    // 依次连接网络并生成撤销交易
+    const transactions = [];
+    const providers = new Map();
+    for (const [chainId, chainResults] of resultsByChain) {
+      const network = networks.find(network => network.chainId === chainId);
+      if (!network) {
+        logger.warn(`报告中有${chainResults.length}条${getNetworkName(chainId)}网络的授权，但未在--network中指定该网络，已跳过`);
+        continue;
+      }
+
+      logger.info(`连接到${network.name}网络...`);
+      const provider = await connectNetwork(network, { logger });
+      providers.set(chainId, provider);
+
+      // Safe多签钱包生成Transaction Builder批量文件，其余钱包生成普通交易
+      let walletResults = chainResults;
+      if (options.safeBatch) {
+        walletResults = await writeSafeBatches(provider, network, chainResults);
+      }
+      if (walletResults.length === 0) continue;
+
+      logger.info(`开始生成${network.name}网络的撤销交易...`);
+      const emitter = new EventEmitter();
+      const progress = createProgressPrinter();
+      emitter.on('progress', event => progress.update(event));
+
+      try {
+        transactions.push(...await prepareRevocations({ provider, results: walletResults, logger, emitter }));
+      } finally {
+        progress.finish();
+      }
+    }
+
+    displayRevocations(transactions);
+
+    // 使用keystore签名
+    let signed = [];
+    if (options.keystore) {
+      const wallet = await loadKeystore(options.keystore);
+      signed = await signRevocations(wallet, transactions);
+      logger.info(`已使用钱包 ${wallet.address} 签名${signed.length}笔交易`);
+      if (signed.length === 0) {
+        logger.warn('keystore钱包在报告中没有可以撤销的授权');
+      }
+    }
+
+    await exportRevocations(transactions, options.output, signed);
+    logger.info(`撤销交易已导出到 ${options.output}`);
+
+    // 确认后依次广播，同一钱包的交易按nonce顺序发送
+    if (options.broadcast && signed.length > 0) {
+      const confirmed = await confirm(`确认在链上广播${signed.length}笔撤销交易？输入 yes 继续: `);
+      if (!confirmed) {
+        logger.info('已取消广播');
+        return;
+      }
+
+      const ordered = [...signed].sort((a, b) => a.transaction.chainId - b.transaction.chainId || a.transaction.nonce - b.transaction.nonce);
+      for (const { transaction, signedTransaction } of ordered) {
+        const provider = providers.get(transaction.chainId);
+        try {
+          const response = await provider.broadcastTransaction(signedTransaction);
+          logger.info(`已广播 ${transaction.revoke.tokenSymbol} ${transaction.revoke.method}: ${response.hash}`);
+        } catch (error) {
+          // 同一钱包后续交易的nonce依赖这笔交易，停止广播
+          throw new ApprovalCheckerError(`广播 ${transaction.revoke.tokenSymbol} ${transaction.revoke.method} 失败，已停止后续广播: ${error.shortMessage || error.message}`, { cause: error });
+        }
+      }
+    }
+
+  } catch (error) {
+    // 库抛出的已知错误只显示错误信息
+    if (error instanceof ApprovalCheckerError) {
+      logger.error(error.message);
+    } else {
+      logger.error('程序执行出错:', error);
+    }
+    process.exit(1);
+  }
+}
+
+// 按命令行参数筛选需要撤销的授权
+function filterResults(results) {
+  const minValue = parseFloat(options.minValue);
+  return results.filter(result => {
+    if (options.address && result.walletAddress.toLowerCase() !== options.address.toLowerCase()) return false;
+    if (options.onlyInfinite && !result.isInfiniteApproval) return false;
+    if (minValue > 0 && result.exposedValueUSD !== null && result.exposedValueUSD < minValue) return false;
+    return true;
+  });
+}
+
+// 识别结果中的Safe钱包，每个Safe写入一个批量交易文件，返回非Safe钱包的结果
+async function writeSafeBatches(provider, network, results) {
+  const multicall = createMulticall(provider, { logger });
+  const safes = await detectSafes(multicall, results.map(result => result.walletAddress));
+  if (safes.size === 0) {
+    logger.info(`${network.name}网络的钱包中没有Safe多签`);
+    return results;
+  }
+
+  const directory = options.safeBatch === true ? '.' : options.safeBatch;
+  await fs.mkdir(directory, { recursive: true });
+
+  for (const safe of safes.values()) {
+    const safeResults = results.filter(result => result.walletAddress.toLowerCase() === safe.address.toLowerCase());
+    const batch = buildSafeBatch({ chainId: network.chainId, safe, results: safeResults });
+    if (batch.transactions.length === 0) {
+      logger.info(`Safe ${safe.address} 在${network.name}网络没有需要撤销的授权`);
+      continue;
+    }
+
+    const filepath = path.join(directory, `safe-${network.name}-${safe.address}.json`);
+    await fs.writeFile(filepath, JSON.stringify(batch, null, 2));
+    logger.info(`Safe ${safe.address}（${safe.threshold}/${safe.owners.length} 多签）的 ${batch.transactions.length} 笔撤销交易已导出到 ${filepath}`);
+  }
+
+  return results.filter(result => !safes.has(result.walletAddress.toLowerCase()));
+}
+
+// 解密keystore文件
+async function loadKeystore(filepath) {
+  let json;
+  try {
+    json = await fs.readFile(filepath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`读取keystore文件 ${filepath} 出错: ${error.message}`, { cause: error });
+  }
+
+  const password = config.keystorePassword ?? await promptPassword('请输入keystore密码: ');
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw new ConfigError(`解密keystore失败: ${error.message}`, { cause: error });
+  }
+}
+
+// 交互输入
+async function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question(question);
+  } finally {
+    rl.close();
+  }
+}
+
+// 交互输入密码，终端不回显输入的字符
+// 标准输入不是终端时无法关闭回显，要求通过KEYSTORE_PASSWORD环境变量提供密码
+async function promptPassword(question) {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY) {
+    throw new ConfigError('标准输入不是终端，无法交互输入keystore密码，请设置KEYSTORE_PASSWORD环境变量');
+  }
+
+  stdout.write(question);
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  stdin.resume();
+
+  return new Promise((resolve, reject) => {
+    let password = '';
+    const finish = (error) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write('\n');
+      if (error) reject(error); else resolve(password);
+    };
+    // 原始模式下按键逐个到达，回车结束输入，Ctrl+C取消，退格删除最后一个字符
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') return finish();
+        if (char === '\u0003') return finish(new ConfigError('已取消输入keystore密码'));
+        if (char === '\u007f' || char === '\b') {
+          password = password.slice(0, -1);
+        } else {
+          password += char;
+        }
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+// 交互确认，只有输入yes才继续
+async function confirm(question) {
+  return (await prompt(question)).trim().toLowerCase() === 'yes';
+}
+
+// 执行主函数
+main().catch(error => {
+  logger.error('未捕获的错误:', error);
+  process.exit(1);
+});
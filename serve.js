@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import { createApprovalServer } from './lib/server.js';
+import { readSpendersFromFile } from './lib/input.js';
+import { resolveNetworks, connectNetwork } from './lib/networks.js';
+import { createContractRegistry, readRegistryFile } from './lib/known-contracts.js';
+import { getEnsProvider } from './lib/ens.js';
+import { createLogger } from './lib/logger.js';
+import { ApprovalCheckerError } from './lib/errors.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 配置
+// NETWORK可以是逗号分隔的多个网络，每个网络的RPC URL从 <网络名大写>_RPC_URL 读取
+const config = {
+  network: process.env.NETWORK || 'ethereum',
+  logLevel: process.env.LOG_LEVEL || 'info'
+};
+
+// 命令行参数解析
+const program = new Command();
+
+program
+  .name('serve-approvals')
+  .description('启动HTTP服务，提供单个钱包的授权查询和批量检查任务接口')
+  .version('1.0.0')
+  .option('-n, --network <names>', '提供查询的网络，多个用逗号分隔，例如 ethereum,bsc,polygon（默认读取NETWORK环境变量）')
+  .option('-p, --port <number>', '监听端口', '3000')
+  .option('--host <host>', '监听地址，默认只接受本机访问', '127.0.0.1')
+  .option('--registry <path>', '补充的已知合约登记文件（带address,protocol,role,chainId表头的CSV/TSV），覆盖内置条目')
+  .option('--denylist <path>', '已知被攻击或恶意合约的黑名单文件，请求风险评估时使用')
+  .option('-b, --blocks <number>', '请求未指定时向前查找的区块数', '1000000')
+  .option('--rps <number>', '每个网络每秒最多发出的RPC请求数，所有请求共用（0为不限制）', '0')
+  .option('--concurrency <number>', '每个网络同时进行的RPC请求数，所有请求共用', '4')
+  .option('--price-ttl <seconds>', '链上价格的缓存时间', '300')
+  .option('--job-concurrency <number>', '同时运行的批量任务数', '1')
+  .option('--max-jobs <number>', '保留的已结束任务数，超出时删除最早的任务', '100')
+  .option('--chunk-size <blocks>', '每次eth_getLogs查询的最大区块数（被RPC拒绝时自动减半）', '50000')
+  .option('--max-retries <number>', '日志查询失败后的最大重试次数', '3')
+  .option('--owners-per-query <number>', '每次eth_getLogs查询的钱包地址数', '50')
+  .option('--tokens-per-query <number>', '每次eth_getLogs查询的代币合约数', '20')
+  .option('--multicall-batch-size <number>', '每个Multicall3请求合并的最大调用数', '500')
+  .option('--no-multicall', '禁用Multicall3，逐个发送eth_call')
+  .option('--no-ens-names', '不反向解析结果中钱包和spender的ENS主名称（请求中的ENS名称仍会解析）')
+  .option('--rpc-timeout <seconds>', '每个RPC请求的超时时间', '30')
+  .option('--rpc-retries <number>', 'RPC请求失败或被限流后的最大重试次数（多个RPC URL时依次切换）', '5')
+  .option('-v, --verbose', '显示详细日志')
+  .allowUnknownOption(true); // 允许未知选项，例如--
+
+// 处理参数
+const processedArgs = process.argv.filter(arg => arg !== '--');
+program.parse(processedArgs);
+
+const options = program.opts();
+
+// 日志函数
+const logger = createLogger({ verbose: options.verbose, logLevel: config.logLevel });
+
+// 主函数
+async function main() {
+  try {
+    // 解析网络，未配置RPC URL时在连接前退出
+    const networks = resolveNetworks(options.network || config.network);
+
+    // 先连接所有网络并确认chainId，所有请求共用这些连接
+    const connections = [];
+    for (const network of networks) {
+      logger.info(`连接到${network.name}网络...`);
+      const provider = await connectNetwork(network, {
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      });
+      logger.info(`已连接到网络: ${network.name} (chainId: ${network.chainId})`);
+      connections.push({ name: network.name, chainId: network.chainId, provider });
+    }
+
+    // 请求中的钱包可以是ENS名称，在以太坊主网解析；未提供主网时单独连接ETHEREUM_RPC_URL，未配置时不支持ENS名称
+    const ensProvider = connections.some(connection => connection.chainId === 1)
+      ? null
+      : await getEnsProvider([], {
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      });
+
+    // 已知合约登记表，用户文件中的条目覆盖内置条目
+    const registry = createContractRegistry(options.registry ? await readRegistryFile(options.registry) : []);
+    const denylist = options.denylist ? await readSpendersFromFile(options.denylist) : [];
+
+    const api = createApprovalServer({
+      networks: connections,
+      registry,
+      denylist,
+      lookbackBlocks: parseInt(options.blocks),
+      requestsPerSecond: parseFloat(options.rps),
+      concurrency: options.concurrency,
+      priceTtl: parseFloat(options.priceTtl) * 1000,
+      jobConcurrency: Math.max(1, parseInt(options.jobConcurrency)),
+      maxJobs: parseInt(options.maxJobs),
+      chunkSize: options.chunkSize,
+      maxRetries: options.maxRetries,
+      ownersPerQuery: options.ownersPerQuery,
+      tokensPerQuery: options.tokensPerQuery,
+      multicall: options.multicall,
+      multicallBatchSize: options.multicallBatchSize,
+      ensProvider,
+      ensNames: options.ensNames,
+      logger
+    });
+
+    const { address, port } = await api.listen(parseInt(options.port), options.host);
+    logger.info(`服务已启动: http://${address}:${port}，按Ctrl+C停止`);
+
+    // Ctrl+C或SIGTERM时停止接受新请求，等待进行中的请求结束后退出（再按一次Ctrl+C立即退出）
+    const stop = async () => {
+      logger.info('正在停止服务...');
+      await api.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+  } catch (error) {
+    // 库抛出的已知错误只显示错误信息
+    if (error instanceof ApprovalCheckerError) {
+      logger.error(error.message);
+    } else {
+      logger.error('程序执行出错:', error);
+    }
+    process.exit(1);
+  }
+}
+
+// 执行主函数
+main().catch(error => {
+  logger.error('未捕获的错误:', error);
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import { EventEmitter } from 'events';
+import { createApprovalWatcher } from './lib/watch.js';
+import { readWalletsFromFile, readTokensFromFile } from './lib/input.js';
+import { resolveNetworks, connectNetwork, getNetworkFilePath, splitChainPrefix, selectForChain } from './lib/networks.js';
+import { applyLabels } from './lib/labels.js';
+import { createContractRegistry, readRegistryFile } from './lib/known-contracts.js';
+import { isEnsName, getEnsProvider, createEnsResolver } from './lib/ens.js';
+import { createLogger } from './lib/logger.js';
+import { displayAlert, appendAlert } from './lib/report.js';
+import { ApprovalCheckerError, InvalidInputError } from './lib/errors.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 配置
+// NETWORK可以是逗号分隔的多个网络，每个网络的RPC URL从 <网络名大写>_RPC_URL 读取
+const config = {
+  network: process.env.NETWORK || 'ethereum',
+  logLevel: process.env.LOG_LEVEL || 'info'
+};
+
+// 命令行参数解析
+const program = new Command();
+
+program
+  .name('watch-approvals')
+  .description('持续监控钱包的新授权事件，立即计算曝光并发出告警')
+  .version('1.0.0')
+  .option('-n, --network <names>', '要监控的网络，多个用逗号分隔，例如 ethereum,bsc,polygon（默认读取NETWORK环境变量）')
+  .option('-a, --address <address>', '单个钱包地址或ENS名称')
+  .option('-af, --address-file <path>', '包含钱包地址的文件路径（每行一个地址或ENS名称，或带address,label,group,owner表头的CSV/TSV）')
+  .option('-t, --token <address>', '只监控单个代币合约（可加chainId:前缀限定网络），默认监控所有ERC20授权')
+  .option('-tf, --token-file <path>', '只监控文件中的代币合约（每行一个地址，可加chainId:前缀限定网络）')
+  .option('--nft', '同时监控ERC721/ERC1155的ApprovalForAll和单个token授权')
+  .option('--registry <path>', '补充的已知合约登记文件（带address,protocol,role,chainId表头的CSV/TSV），覆盖内置条目')
+  .option('--alerts <path>', '将告警追加到NDJSON文件，每行一条')
+  .option('--state <path>', '监控状态文件，重启后从上次处理的区块继续（多网络时按网络名拆分为多个文件）', 'watch-state.json')
+  .option('--no-state', '不保存监控状态，每次启动都从当前区块开始')
+  .option('--from-block <number>', '没有监控状态时开始监控的区块（默认当前区块之后）')
+  .option('--interval <seconds>', '轮询新区块的间隔秒数', '12')
+  .option('--reorg-depth <blocks>', '检测链重组时保留的最近区块数', '12')
+  .option('--chunk-size <blocks>', '每次eth_getLogs查询的最大区块数（被RPC拒绝时自动减半）', '50000')
+  .option('--max-retries <number>', '日志查询失败后的最大重试次数', '3')
+  .option('--owners-per-query <number>', '每次eth_getLogs查询的钱包地址数', '50')
+  .option('--multicall-batch-size <number>', '每个Multicall3请求合并的最大调用数', '500')
+  .option('--no-multicall', '禁用Multicall3，逐个发送eth_call')
+  .option('--rpc-timeout <seconds>', '每个RPC请求的超时时间', '30')
+  .option('--rpc-retries <number>', 'RPC请求失败或被限流后的最大重试次数（多个RPC URL时依次切换）', '5')
+  .option('--no-ens-names', '不反向解析告警中钱包和spender的ENS主名称（输入中的ENS名称仍会解析）')
+  .option('-v, --verbose', '显示详细日志')
+  .allowUnknownOption(true); // 允许未知选项，例如--
+
+// 处理参数
+const processedArgs = process.argv.filter(arg => arg !== '--');
+program.parse(processedArgs);
+
+const options = program.opts();
+
+// 日志函数
+const logger = createLogger({ verbose: options.verbose, logLevel: config.logLevel });
+
+// 主函数
+async function main() {
+  try {
+    // 验证必要参数
+    if (!options.address && !options.addressFile) {
+      throw new InvalidInputError('必须提供钱包地址或地址文件');
+    }
+
+    // 解析要监控的网络，未配置RPC URL时在连接前退出
+    const networks = resolveNetworks(options.network || config.network);
+    const multipleNetworks = networks.length > 1;
+
+    // 先连接所有网络并确认chainId，配置错误时在开始监控前退出
+    const connections = [];
+    for (const network of networks) {
+      logger.info(`连接到${network.name}网络...`);
+      const provider = await connectNetwork(network, {
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      });
+      logger.info(`已连接到网络: ${network.name} (chainId: ${network.chainId})`);
+      connections.push({ network, provider });
+    }
+
+    // 读取地址，ENS名称总是在以太坊主网解析，监控其他网络时单独连接主网
+    const inputWallets = await getWallets();
+    const hasEnsNames = inputWallets.some(entry => isEnsName(entry.address));
+    const ensProvider = hasEnsNames || options.ensNames
+      ? await getEnsProvider(connections, {
+        required: hasEnsNames,
+        timeout: parseFloat(options.rpcTimeout) * 1000,
+        maxRetries: options.rpcRetries,
+        logger
+      })
+      : null;
+    const ens = createEnsResolver({ provider: ensProvider, logger });
+    const wallets = await ens.resolveEntries(inputWallets);
+    const addresses = wallets.map(wallet => wallet.address);
+    logger.info(`已加载${addresses.length}个钱包地址`);
+
+    // 读取代币，未指定时监控所有ERC20授权
+    const tokens = await getTokens();
+    logger.info(tokens.length > 0 ? `已加载${tokens.length}个代币地址` : '未指定代币，将监控所有ERC20授权');
+
+    // 已知合约登记表，用户文件中的条目覆盖内置条目
+    const registry = createContractRegistry(options.registry ? await readRegistryFile(options.registry) : []);
+
+    // 告警附加钱包标签、ENS名称和已知合约信息后显示，指定--alerts时同时写入文件
+    const handleAlert = async (alert) => {
+      const ensNames = options.ensNames
+        ? await ens.lookupAddresses([alert.walletAddress, alert.spenderAddress])
+        : new Map();
+      const [labeled] = applyLabels([alert], { wallets, registry, ensNames });
+      displayAlert(labeled);
+      if (options.alerts) {
+        try {
+          await appendAlert(labeled, options.alerts);
+        } catch (error) {
+          logger.warn(`写入告警文件失败: ${error.message}`);
+        }
+      }
+    };
+
+    // 反向解析是异步的，告警依次处理，保证显示和写入文件的顺序与发出的顺序一致
+    const emitter = new EventEmitter();
+    let pendingAlerts = Promise.resolve();
+    emitter.on('alert', (alert) => {
+      pendingAlerts = pendingAlerts
+        .then(() => handleAlert(alert))
+        .catch(error => logger.error('处理告警出错:', error));
+    });
+    emitter.on('poll', ({ chainId, fromBlock, toBlock, alerts }) => {
+      logger.debug(`chainId ${chainId}: 已处理区块 ${fromBlock}-${toBlock}，${alerts} 条告警`);
+    });
+
+    // 每个网络一个监控器，同时运行
+    // 指定了代币但没有适用于某个网络的代币时，该网络只监控NFT授权；没有使用--nft时跳过该网络
+    // 空列表在监控器中表示监控所有ERC20授权
+    const hasNetworkTokens = network => tokens.length === 0 || selectForChain(tokens, network.chainId).length > 0;
+    const watchedConnections = connections.filter(({ network }) => {
+      if (hasNetworkTokens(network) || options.nft) return true;
+      logger.warn(`${network.name}网络没有适用的代币，已跳过`);
+      return false;
+    });
+    if (watchedConnections.length === 0) {
+      throw new InvalidInputError('指定的代币不适用于任何要监控的网络');
+    }
+
+    const watchers = watchedConnections.map(({ network, provider }) => {
+      // 监控状态记录的是单个网络的进度，多网络运行时每个网络使用单独的文件
+      const stateFile = options.state && multipleNetworks
+        ? getNetworkFilePath(options.state, network.name)
+        : options.state || null;
+
+      return createApprovalWatcher({
+        provider,
+        wallets: addresses,
+        tokens: selectForChain(tokens, network.chainId),
+        erc20: hasNetworkTokens(network),
+        nft: options.nft,
+        stateFile,
+        fromBlock: options.fromBlock ?? null,
+        pollInterval: parseFloat(options.interval) * 1000,
+        reorgDepth: options.reorgDepth,
+        chunkSize: options.chunkSize,
+        maxRetries: options.maxRetries,
+        ownersPerQuery: options.ownersPerQuery,
+        multicall: options.multicall,
+        multicallBatchSize: options.multicallBatchSize,
+        logger,
+        emitter
+      });
+    });
+
+    // Ctrl+C或SIGTERM时等待当前一轮处理完成并保存状态后退出
+    const stop = () => {
+      logger.info('正在停止监控，等待当前处理完成...');
+      for (const watcher of watchers) watcher.stop();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    logger.info(`开始监控，每 ${options.interval} 秒检查一次新区块，按Ctrl+C停止`);
+    await Promise.all(watchers.map(watcher => watcher.run()));
+    await pendingAlerts;
+    logger.info('监控已停止');
+
+  } catch (error) {
+    // 库抛出的已知错误只显示错误信息
+    if (error instanceof ApprovalCheckerError) {
+      logger.error(error.message);
+    } else {
+      logger.error('程序执行出错:', error);
+    }
+    process.exit(1);
+  }
+}
+
+// 读取钱包列表，地址文件可以是带 address,label,group,owner 表头的CSV/TSV
+async function getWallets() {
+  if (options.address) {
+    return [{ address: options.address, label: null, group: null, owner: null }];
+  } else if (options.addressFile) {
+    return readWalletsFromFile(options.addressFile);
+  }
+  return [];
+}
+
+// 读取代币列表
+async function getTokens() {
+  if (options.token) {
+    const { chainId, value } = splitChainPrefix(options.token);
+    return [{ address: value, price: null, chainId }];
+  } else if (options.tokenFile) {
+    return readTokensFromFile(options.tokenFile);
+  }
+  return [];
+}
+
+// 执行主函数
+main().catch(error => {
+  logger.error('未捕获的错误:', error);
+  process.exit(1);
+});